@@ -6,9 +6,14 @@ const configuration = new Configuration({
   apiKey: process.env.OPENAI_API_KEY,
 });
 const openai = new OpenAIApi(configuration);
+const { loadRules, RulesValidationError } = require('./lib/rules-db');
 
-// 시스템 프롬프트 - 디자인 팀장 페르소나 (내용은 그대로 유지)
-const SYSTEM_PROMPT = `
+// 시스템 프롬프트 - 디자인 팀장 페르소나 (기준 수치는 rules.json에서 가져옴)
+const buildSystemPrompt = (rules) => {
+  const { normalText, largeText } = rules.colorContrast;
+  const { minFontSize, lineHeight } = rules.fontRequirements;
+
+  return `
 당신은 웹 접근성과 사용자 경험을 전문으로 하는 시니어 디자인 팀장입니다.
 
 ## 당신의 역할과 전문성:
@@ -52,8 +57,10 @@ const SYSTEM_PROMPT = `
 - Primary: 브랜드 핵심 색상 (화면의 30% 이하)
 - Secondary: 보조 색상, 강조 요소
 - Neutral: 텍스트, 배경, 경계선
-- 색상 대비: AA등급 4.5:1, AAA등급 7:1 (일반 텍스트)
-- 큰 텍스트: AA등급 3:1, AAA등급 4.5:1
+- 색상 대비: AA등급 ${normalText.aa}:1, AAA등급 ${normalText.aaa}:1 (일반 텍스트)
+- 큰 텍스트: AA등급 ${largeText.aa}:1, AAA등급 ${largeText.aaa}:1
+- 최소 폰트 크기: 모바일 ${minFontSize.mobile}px, 데스크톱 ${minFontSize.desktop}px
+- 줄 간격: 최소 ${lineHeight.minimum}, 권장 ${lineHeight.recommended}
 
 ### 추가 전문 지식:
 - 반응형 디자인과 모바일 접근성
@@ -73,6 +80,7 @@ const SYSTEM_PROMPT = `
 
 사용자의 질문에 대해 이 전문성을 바탕으로 도움이 되는 조언을 제공하세요.
 `;
+};
 
 // 메시지 길이 제한
 const MAX_MESSAGE_LENGTH = 2000;
@@ -82,15 +90,16 @@ const MAX_HISTORY_MESSAGES = 10;
 const RESPONSE_TIMEOUT = 8000;
 
 class AIAssistant {
-  constructor() {
+  constructor(rules = loadRules()) {
     this.conversationHistory = [];
+    this.rules = rules;
   }
 
   async generateResponse(userMessage, context = null, history = []) {
     try {
       // 메시지 구성
       const messages = [
-        { role: 'system', content: SYSTEM_PROMPT }
+        { role: 'system', content: buildSystemPrompt(this.rules) }
       ];
 
       // 분석 결과 컨텍스트가 있으면 추가
@@ -154,12 +163,16 @@ class AIAssistant {
   }
 
   buildContextMessage(analysisContext) {
-    const { summary, critical, warnings } = analysisContext;
+    const { summary, critical, warnings, comparison } = analysisContext;
     
     let contextMsg = `## 현재 분석된 웹페이지 정보:
 - 접근성 점수: ${summary.score}/100
-- 등급: ${summary.grade}
-- 총 이슈: ${summary.totalIssues}개 (치명적: ${summary.criticalCount}, 경고: ${summary.warningCount})
+- 등급: ${summary.grade}${summary.pageCount ? `
+- 분석한 페이지: ${summary.pageCount}개 (가장 낮은 점수: ${summary.lowestScore.path} ${summary.lowestScore.score}점)` : ''}${summary.target ? `
+- 목표 수준 ${summary.target.level}: ${summary.target.met ? '충족' : '미달'}${summary.target.failedCriteria.length > 0 ? ` (실패 기준 ${summary.target.failedCriteria.join(', ')})` : ''}` : ''}${summary.conformance ? `
+- WCAG 적합성(자동 검사): ${Object.entries(summary.conformance).map(([level, verdict]) => `${level} ${verdict.status === 'pass' ? '통과' : '미달'}`).join(', ')}` : ''}
+- 총 이슈: ${summary.totalIssues}개 (치명적: ${summary.criticalCount}, 경고: ${summary.warningCount})${comparison ? `
+- 기기별 점수: ${comparison.profiles.map(name => `${name} ${comparison.summary[name].score}점`).join(', ')}${comparison.differences.length > 0 ? ` (기기에 따라 다른 문제: ${comparison.differences.map(item => item.rule).join(', ')})` : ''}` : ''}
 
 `;
 
@@ -167,14 +180,14 @@ class AIAssistant {
     if (critical && critical.length > 0) {
       contextMsg += `### 주요 치명적 문제:\n`;
       critical.slice(0, 3).forEach(issue => {
-        contextMsg += `- ${issue.rule}: ${issue.description}\n`;
+        contextMsg += `- ${issue.rule}${issue.wcag ? ` (WCAG ${issue.wcag.criterion} ${issue.wcag.level})` : ''}: ${issue.description}${issue.occurrences > 1 ? ` (${issue.occurrences}곳)` : ''}\n`;
       });
     }
 
     if (warnings && warnings.length > 0) {
       contextMsg += `\n### 주요 경고사항:\n`;
       warnings.slice(0, 3).forEach(issue => {
-        contextMsg += `- ${issue.rule}: ${issue.description}\n`;
+        contextMsg += `- ${issue.rule}${issue.wcag ? ` (WCAG ${issue.wcag.criterion} ${issue.wcag.level})` : ''}: ${issue.description}${issue.occurrences > 1 ? ` (${issue.occurrences}곳)` : ''}\n`;
       });
     }
 
@@ -205,7 +218,7 @@ class AIAssistant {
     const quickResponses = {
       '안녕': '안녕하세요! 웹 접근성과 디자인에 대해 궁금한 점이 있으시면 언제든 물어보세요. 😊',
       '도움': 'WCAG 2.1 기준, IRI 색채 시스템, 접근성 개선 방법 등에 대해 도움을 드릴 수 있습니다. 구체적인 질문을 해주세요!',
-      '색상': '색상 선택 시 중요한 것은 대비입니다. 일반 텍스트는 4.5:1, 큰 텍스트는 3:1의 대비율을 유지해야 합니다. 구체적인 색상 조합에 대해 물어보세요!',
+      '색상': `색상 선택 시 중요한 것은 대비입니다. 일반 텍스트는 ${this.rules.colorContrast.normalText.aa}:1, 큰 텍스트는 ${this.rules.colorContrast.largeText.aa}:1의 대비율을 유지해야 합니다. 구체적인 색상 조합에 대해 물어보세요!`,
     };
 
     for (const [keyword, response] of Object.entries(quickResponses)) {
@@ -262,7 +275,7 @@ exports.handler = async (event, context) => {
   try {
     // 요청 본문 파싱
     const body = JSON.parse(event.body || '{}');
-    const { message, context, history } = body;
+    const { message, context, history, rulesData } = body;
 
     // 입력 검증
     if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -288,8 +301,24 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // 요청 단위 사용자 정의 규칙 적용
+    let rules;
+    try {
+      rules = loadRules(rulesData);
+    } catch (error) {
+      if (!(error instanceof RulesValidationError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '규칙 데이터가 유효하지 않습니다.',
+          message: error.errors.join(' ')
+        })
+      };
+    }
+
     // AI 어시스턴트 초기화
-    const assistant = new AIAssistant();
+    const assistant = new AIAssistant(rules);
 
     // 빠른 응답 확인
     const quickResponse = assistant.getQuickResponse(message);
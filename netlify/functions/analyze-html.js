@@ -1,48 +1,109 @@
 const cheerio = require('cheerio');
-const tinycolor = require('tinycolor2');
-
-// WCAG & IRI 규칙 데이터 (rules.json의 핵심 부분)
-const RULES = {
-  colorContrast: {
-    normalText: { aa: 4.5, aaa: 7.0 },
-    largeText: { aa: 3.0, aaa: 4.5, sizeThreshold: 18 }
-  },
-  fontRequirements: {
-    minFontSize: { mobile: 16, desktop: 14 },
-    lineHeight: { minimum: 1.5, recommended: 1.6 },
-    letterSpacing: { minimum: 0.12, recommended: 0.15 }
-  },
-  semanticHTML: {
-    requiredAttributes: {
-      img: ['alt'],
-      input: ['type', 'id'],
-      label: ['for'],
-      form: ['action', 'method'],
-      button: ['type'],
-      a: ['href']
-    }
-  }
-};
+const { StyleResolver } = require('./lib/style-resolver');
+const { loadRules, RulesValidationError } = require('./lib/rules-db');
+const { RuleRegistry, RuleConfigError } = require('./lib/rule-registry');
+const { PRINCIPLES, getCriterion } = require('./lib/wcag');
+const { describeNode } = require('./lib/element-info');
+const {
+  DEFAULT_TARGET,
+  ConformanceTargetError,
+  resolveTarget,
+  isWithinTarget,
+  lowestLevel,
+  calculateScore,
+  gradeFor,
+  evaluateConformance,
+  evaluateTarget
+} = require('./lib/scoring');
+const { groupIssues, stripGroupKey } = require('./lib/grouping');
+const {
+  DEFAULT_PROFILE,
+  ProfileError,
+  resolveProfiles,
+  createMediaMatcher,
+  appliesToProfile,
+  compareProfiles
+} = require('./lib/profiles');
+const { SAFETY_LEVELS, AutofixError, resolveMode, applyFixes } = require('./lib/autofix');
+const { ComponentSourceError, resolveSourceType, convertComponent } = require('./lib/component-source');
+const builtinRules = require('./lib/rules');
+
+// 분석 모드 (page: 문서 전체, fragment: 카드·모달 같은 컴포넌트 조각)
+const ANALYSIS_MODES = ['page', 'fragment'];
+
+// 컴포넌트 조각의 기본 시작 제목 수준 (페이지의 H1 아래에 들어간다고 가정)
+const DEFAULT_FRAGMENT_HEADING_LEVEL = 2;
+
+// 기본 규칙 레지스트리 (CUSTOM_RULES_DIR의 회사 규칙도 함께 등록)
+const defaultRegistry = new RuleRegistry(builtinRules);
+if (process.env.CUSTOM_RULES_DIR) {
+  defaultRegistry.loadDirectory(process.env.CUSTOM_RULES_DIR);
+}
 
 class HTMLAccessibilityAnalyzer {
-  constructor(html) {
-    this.$ = cheerio.load(html);
+  constructor(html, options = {}) {
+    this.rules = options.rules || loadRules();
+    this.registry = options.registry || defaultRegistry;
+    this.ruleConfig = options.ruleConfig || {};
+    // 소스 형식: jsx, vue, svelte는 템플릿 마크업을 HTML로 변환해 분석하고 위치는 원본 파일 기준으로 보고
+    this.sourceType = options.sourceType || 'html';
+    this.sourceMap = null;
+    if (this.sourceType !== 'html') {
+      ({ html, sourceMap: this.sourceMap } = convertComponent(html, this.sourceType));
+    }
+    // 목표 적합성 수준 ('A' | 'AA' | 'AAA'): 규칙의 기준값과 실행할 규칙 범위를 정함
+    this.target = options.target || DEFAULT_TARGET;
+    // 분석 모드와 컴포넌트 조각의 시작 제목 수준 (컴포넌트 소스는 기본적으로 조각으로 분석)
+    this.mode = options.mode || (this.sourceType === 'html' ? 'page' : 'fragment');
+    this.startHeadingLevel = this.mode === 'fragment' ? options.startHeadingLevel || DEFAULT_FRAGMENT_HEADING_LEVEL : 1;
+    // 기기 프로필: 미디어 쿼리 판정과 기기별 기준(최소 글자 크기, 터치 대상)에 사용
+    const profileName = options.profile || DEFAULT_PROFILE;
+    this.profile = this.rules.deviceProfiles[profileName];
+    if (!this.profile) {
+      throw new ProfileError(`알 수 없는 기기 프로필: ${profileName}`);
+    }
+    // false면 묶지 않고 요소별 이슈를 그대로 보고
+    this.groupIssues = options.groupIssues !== false;
+    // 자동 수정 모드 ('safe' | 'all' | null)
+    this.autofix = options.autofix || null;
+    this.filename = options.filename;
+    this.html = html;
+    // 파서가 복구한 구문 오류는 parse-error 규칙에서 보고
+    this.parseErrors = [];
+    this.$ = cheerio.load(html, {
+      sourceCodeLocationInfo: true,
+      onParseError: (error) => this.parseErrors.push(this.mapParseError(error))
+    });
+    // loadStylesheet: 연결된 스타일시트를 읽는 함수 (사이트 분석에서 압축 파일의 CSS를 제공)
+    this.styles = new StyleResolver(this.$, {
+      matchMedia: createMediaMatcher(this.profile),
+      loadStylesheet: options.loadStylesheet
+    });
     this.critical = [];
     this.warnings = [];
     this.suggestions = [];
-    this.score = 100;
+    this.manualReview = [];
+    this.ruleErrors = [];
+    this.appliedRules = [];
+    // 점수 계산용 이슈 기록 (규칙, 적용된 심각도)
+    this.scoredIssues = [];
+    // 규칙이 제안한 자동 수정
+    this.fixes = [];
   }
 
   analyze() {
+    // 설정 오류는 요청 오류이므로 그대로 전달
+    // 목표 수준보다 높은 성공 기준만 검사하는 규칙(권장 사항 규칙 제외), 다른 기기 프로필용 규칙,
+    // 컴포넌트 조각 분석에서의 문서 전체(page) 규칙은 실행하지 않음
+    const activeRules = this.registry.resolve(this.ruleConfig)
+      .filter(({ rule }) => rule.bestPractice || isWithinTarget(lowestLevel(rule.wcag), this.target))
+      .filter(({ rule }) => appliesToProfile(rule, this.profile))
+      .filter(({ rule }) => this.mode === 'page' || rule.scope !== 'page');
+
     try {
-      this.checkColorContrast();
-      this.checkSemanticHTML();
-      this.checkImages();
-      this.checkForms();
-      this.checkHeadingStructure();
-      this.checkFontSizes();
-      this.checkKeyboardAccessibility();
-      this.checkARIALabels();
+      activeRules.forEach(({ rule, severity, options }) => {
+        this.runRule(rule, severity, options);
+      });
 
       return this.generateReport();
     } catch (error) {
@@ -51,309 +112,232 @@ class HTMLAccessibilityAnalyzer {
     }
   }
 
-  // 색상 대비 검사
-  checkColorContrast() {
-    const elements = this.$('*').filter((i, el) => {
-      const $el = this.$(el);
-      return $el.css('color') || $el.css('background-color');
-    });
+  // 규칙 하나 실행 (사용자 정의 규칙의 오류가 전체 분석을 중단하지 않도록 격리)
+  runRule(rule, severityOverride, options) {
+    const context = {
+      $: this.$,
+      styles: this.styles,
+      rules: this.rules,
+      target: this.target,
+      profile: this.profile,
+      mode: this.mode,
+      startHeadingLevel: this.startHeadingLevel,
+      parseErrors: this.parseErrors,
+      // 분석한 HTML 원문 (컴포넌트 소스는 변환한 HTML, 요소의 sourceCodeLocation 오프셋 기준)
+      html: this.html,
+      describeElement: (el) => this.describeElement(el),
+      report: (issue) => this.addIssue(rule, severityOverride, issue),
+      review: (issue) => this.manualReview.push(this.recordFix(rule, issue, this.tagIssue(rule, issue)))
+    };
 
-    elements.each((i, el) => {
-      const $el = this.$(el);
-      const color = $el.css('color');
-      const bgColor = $el.css('background-color') || '#ffffff';
-      
-      if (color && color !== 'inherit') {
-        const contrast = this.calculateContrast(color, bgColor);
-        const fontSize = parseInt($el.css('font-size')) || 16;
-        const isLargeText = fontSize >= RULES.colorContrast.largeText.sizeThreshold;
-        
-        const requiredRatio = isLargeText ? 
-          RULES.colorContrast.largeText.aa : 
-          RULES.colorContrast.normalText.aa;
-
-        if (contrast < requiredRatio) {
-          this.critical.push({
-            rule: '색상 대비 부족',
-            description: `색상 대비가 ${contrast.toFixed(2)}:1로 기준(${requiredRatio}:1)에 미달합니다.`,
-            element: `${el.tagName.toLowerCase()}${$el.attr('class') ? '.' + $el.attr('class').split(' ')[0] : ''}`,
-            suggestion: '텍스트와 배경색의 대비를 높이세요.'
-          });
-          this.score -= 10;
-        }
-      }
-    });
+    try {
+      rule.check(context, options);
+      this.appliedRules.push(rule.id);
+    } catch (error) {
+      console.error(`규칙 실행 오류 (${rule.id}):`, error);
+      this.ruleErrors.push({ ruleId: rule.id, message: error.message });
+    }
   }
 
-  // 시맨틱 HTML 검사
-  checkSemanticHTML() {
-    // 필수 속성 검사
-    Object.entries(RULES.semanticHTML.requiredAttributes).forEach(([tag, attrs]) => {
-      this.$(tag).each((i, el) => {
-        const $el = this.$(el);
-        attrs.forEach(attr => {
-          if (!$el.attr(attr)) {
-            this.critical.push({
-              rule: `${tag} 태그 필수 속성 누락`,
-              description: `${attr} 속성이 누락되었습니다.`,
-              element: `<${tag}>`,
-              suggestion: `${attr} 속성을 추가하세요.`
-            });
-            this.score -= 8;
-          }
-        });
-      });
-    });
-
-    // div/span 남용 검사
-    const divCount = this.$('div').length;
-    const spanCount = this.$('span').length;
-    const semanticTags = this.$('header, nav, main, section, article, aside, footer').length;
-    
-    if (divCount > 10 && semanticTags < 3) {
-      this.warnings.push({
-        rule: '시맨틱 태그 사용 권장',
-        description: `div 태그(${divCount}개)가 많이 사용되었습니다.`,
-        suggestion: 'header, nav, main, section, article 등의 시맨틱 태그 사용을 권장합니다.'
-      });
-      this.score -= 5;
-    }
+  // 변환한 컴포넌트의 구문 오류 위치를 원본 파일 기준으로 변경 (오프셋은 변환한 HTML 기준 유지)
+  mapParseError(error) {
+    if (!this.sourceMap) return error;
+    const { line, column, endLine, endColumn } = this.sourceMap.locate(error.startOffset, error.endOffset);
+    return { ...error, startLine: line, startCol: column, endLine, endCol: endColumn };
   }
 
-  // 이미지 접근성 검사
-  checkImages() {
-    this.$('img').each((i, el) => {
-      const $el = this.$(el);
-      const alt = $el.attr('alt');
-      const src = $el.attr('src');
-      
-      if (alt === undefined) {
-        this.critical.push({
-          rule: '이미지 대체 텍스트 누락',
-          description: 'alt 속성이 없습니다.',
-          element: `<img src="${src || ''}">`,
-          suggestion: '이미지의 내용을 설명하는 alt 속성을 추가하세요.'
-        });
-        this.score -= 12;
-      } else if (alt.length === 0 && !$el.attr('role') && !$el.attr('aria-hidden')) {
-        this.warnings.push({
-          rule: '빈 대체 텍스트',
-          description: 'alt 속성이 비어있습니다.',
-          element: `<img src="${src || ''}">`,
-          suggestion: '장식용 이미지라면 aria-hidden="true"를 추가하고, 의미있는 이미지라면 적절한 alt 텍스트를 제공하세요.'
-        });
-        this.score -= 3;
-      }
-    });
+  // 규칙 id, WCAG 성공 기준, 요소 위치 정보 부착 (issue.wcag로 규칙의 대표 기준을 바꿀 수 있음)
+  // 성공 기준이 없는 권장 사항 규칙의 이슈는 wcag가 null
+  tagIssue(rule, issue) {
+    const { wcag, node, fix, ...rest } = issue;
+    const primary = wcag || rule.wcag[0];
+    const related = rule.wcag.filter(number => number !== primary);
+    const criterion = primary ? getCriterion(primary) : null;
+
+    return {
+      ruleId: rule.id,
+      wcag: primary ? {
+        criterion: primary,
+        level: criterion ? criterion.level : null,
+        principle: criterion ? criterion.principle : null,
+        title: criterion ? criterion.title : null,
+        ...(related.length > 0 && { related })
+      } : null,
+      ...rest,
+      // 성공 기준이 없거나 목표 수준 밖의 기준으로 보고한 권장 사항 (적합성 판정에는 반영하지 않음)
+      ...(rule.bestPractice && (!criterion || !isWithinTarget(criterion.level, this.target)) && { bestPractice: true }),
+      ...(node && describeNode(this.$, node, this.sourceMap)),
+      ...(fix && { autoFix: { safety: this.fixSafety(fix), description: fix.description } })
+    };
   }
 
-  // 폼 접근성 검사
-  checkForms() {
-    // 라벨 연결 검사
-    this.$('input, textarea, select').each((i, el) => {
-      const $el = this.$(el);
-      const id = $el.attr('id');
-      const type = $el.attr('type');
-      
-      if (type !== 'hidden' && type !== 'submit' && type !== 'button') {
-        const hasLabel = id && this.$(`label[for="${id}"]`).length > 0;
-        const hasAriaLabel = $el.attr('aria-label') || $el.attr('aria-labelledby');
-        
-        if (!hasLabel && !hasAriaLabel) {
-          this.critical.push({
-            rule: '폼 요소 라벨 누락',
-            description: '연결된 라벨이 없습니다.',
-            element: `<${el.tagName.toLowerCase()} type="${type || 'text'}">`,
-            suggestion: 'label 요소를 연결하거나 aria-label 속성을 추가하세요.'
-          });
-          this.score -= 10;
-        }
-      }
-    });
+  // 알 수 없는 안전도는 검토 필요로 취급
+  fixSafety(fix) {
+    return SAFETY_LEVELS.includes(fix.safety) ? fix.safety : 'review';
+  }
 
-    // 필수 입력 표시 검사
-    this.$('input[required], textarea[required], select[required]').each((i, el) => {
-      const $el = this.$(el);
-      if (!$el.attr('aria-required') && !$el.closest('form').find('*').is(':contains("필수"), :contains("*"), :contains("required")')) {
-        this.warnings.push({
-          rule: '필수 입력 표시 부족',
-          description: '필수 입력 필드임을 명확히 표시하지 않았습니다.',
-          element: `<${el.tagName.toLowerCase()}>`,
-          suggestion: 'aria-required="true" 속성을 추가하고 시각적으로도 필수임을 표시하세요.'
-        });
-        this.score -= 3;
-      }
-    });
+  // 이슈에 붙은 자동 수정 기록 (tagged 반환)
+  recordFix(rule, issue, tagged) {
+    if (issue.fix && Array.isArray(issue.fix.operations)) {
+      this.fixes.push({ ruleId: rule.id, fix: { ...issue.fix, safety: this.fixSafety(issue.fix) }, issue: tagged });
+    }
+    return tagged;
   }
 
-  // 제목 구조 검사
-  checkHeadingStructure() {
-    const headings = this.$('h1, h2, h3, h4, h5, h6');
-    const h1Count = this.$('h1').length;
-    
-    // H1 개수 검사
-    if (h1Count === 0) {
-      this.critical.push({
-        rule: 'H1 태그 누락',
-        description: '페이지에 H1 태그가 없습니다.',
-        suggestion: '페이지의 주제를 나타내는 H1 태그를 추가하세요.'
-      });
-      this.score -= 15;
-    } else if (h1Count > 1) {
-      this.warnings.push({
-        rule: 'H1 태그 중복',
-        description: `H1 태그가 ${h1Count}개 사용되었습니다.`,
-        suggestion: 'H1 태그는 페이지당 하나만 사용하는 것이 권장됩니다.'
+  // 이슈 기록 (요청 설정 > rules.json의 analysis_criteria > 규칙 기본값 순으로 분류)
+  addIssue(rule, severityOverride, issue) {
+    const severity = severityOverride ||
+      (rule.category && this.rules.severityOf(rule.category)) ||
+      rule.severity;
+    const target = {
+      critical: this.critical,
+      warning: this.warnings,
+      suggestion: this.suggestions
+    }[severity];
+
+    // 전개 속성({...props})으로 속성이 더 전달될 수 있는 요소는 자동 판정 대신 수동 검토로 보고
+    if (this.sourceMap && issue.node && this.sourceMap.hasSpreadAttributes(issue.node)) {
+      this.manualReview.push({
+        ...this.tagIssue(rule, issue),
+        reviewReason: '전개 속성({...props})으로 전달되는 속성은 정적으로 확인할 수 없습니다.'
       });
-      this.score -= 5;
+      return;
     }
 
-    // 제목 순서 검사
-    let prevLevel = 0;
-    headings.each((i, el) => {
-      const currentLevel = parseInt(el.tagName.charAt(1));
-      if (prevLevel > 0 && currentLevel > prevLevel + 1) {
-        this.warnings.push({
-          rule: '제목 레벨 건너뛰기',
-          description: `H${prevLevel} 다음에 H${currentLevel}이 나타났습니다.`,
-          element: `<${el.tagName.toLowerCase()}>`,
-          suggestion: '제목 레벨을 순차적으로 사용하세요.'
-        });
-        this.score -= 3;
-      }
-      prevLevel = currentLevel;
-    });
+    const tagged = this.recordFix(rule, issue, this.tagIssue(rule, issue));
+    target.push(tagged);
+    this.scoredIssues.push({ issue: tagged, severity, rule, node: issue.node });
   }
 
-  // 폰트 크기 검사
-  checkFontSizes() {
-    this.$('*').each((i, el) => {
-      const $el = this.$(el);
-      const fontSize = $el.css('font-size');
-      
-      if (fontSize) {
-        const size = parseInt(fontSize);
-        if (size < RULES.fontRequirements.minFontSize.desktop) {
-          this.warnings.push({
-            rule: '폰트 크기 부족',
-            description: `폰트 크기가 ${size}px로 권장 크기(${RULES.fontRequirements.minFontSize.desktop}px) 미만입니다.`,
-            element: `${el.tagName.toLowerCase()}`,
-            suggestion: '읽기 쉬운 크기로 폰트를 키우세요.'
-          });
-          this.score -= 2;
-        }
-      }
-    });
+  // 보고서에 표시할 요소 설명 (태그.첫번째클래스)
+  describeElement(el) {
+    const className = this.$(el).attr('class');
+    return `${el.tagName.toLowerCase()}${className ? '.' + className.trim().split(/\s+/)[0] : ''}`;
   }
 
-  // 키보드 접근성 검사
-  checkKeyboardAccessibility() {
-    // 포커스 가능한 요소 검사
-    const focusableElements = this.$('a, button, input, textarea, select, [tabindex]');
-    
-    focusableElements.each((i, el) => {
-      const $el = this.$(el);
-      const tabindex = $el.attr('tabindex');
-      
-      if (tabindex && parseInt(tabindex) > 0) {
-        this.warnings.push({
-          rule: '양수 tabindex 사용',
-          description: `tabindex="${tabindex}"는 키보드 탐색 순서를 예측하기 어렵게 만듭니다.`,
-          element: `<${el.tagName.toLowerCase()}>`,
-          suggestion: 'tabindex="0" 또는 음수 값을 사용하거나, HTML 구조로 탐색 순서를 조정하세요.'
-        });
-        this.score -= 2;
-      }
+  // 원칙별 이슈 수 집계
+  summarizeByPrinciple() {
+    const summary = {};
+    Object.values(PRINCIPLES).forEach(({ id, name }) => {
+      summary[id] = { name, critical: 0, warning: 0, suggestion: 0, manualReview: 0 };
     });
 
-    // 클릭 이벤트만 있는 요소 검사 (JavaScript로는 완전 검사 불가하지만 기본 체크)
-    this.$('[onclick]').each((i, el) => {
-      const $el = this.$(el);
-      if (!$el.is('a, button, input, textarea, select') && !$el.attr('tabindex')) {
-        this.suggestions.push({
-          rule: '키보드 접근 불가 요소',
-          description: 'onclick 이벤트가 있지만 키보드로 접근할 수 없는 요소입니다.',
-          element: `<${el.tagName.toLowerCase()}>`,
-          suggestion: 'button 태그를 사용하거나 tabindex="0"과 키보드 이벤트 핸들러를 추가하세요.'
-        });
-      }
+    const count = (issues, key) => issues.forEach(issue => {
+      if (issue.wcag && issue.wcag.principle) summary[issue.wcag.principle][key]++;
     });
+    count(this.critical, 'critical');
+    count(this.warnings, 'warning');
+    count(this.suggestions, 'suggestion');
+    count(this.manualReview, 'manualReview');
+
+    return summary;
   }
 
-  // ARIA 라벨 검사
-  checkARIALabels() {
-    // 랜드마크 역할 검사
-    const landmarks = ['main', 'navigation', 'banner', 'contentinfo', 'complementary'];
-    landmarks.forEach(landmark => {
-      const elements = this.$(`[role="${landmark}"], ${landmark}`);
-      if (elements.length === 0 && landmark === 'main') {
-        this.suggestions.push({
-          rule: 'main 랜드마크 누락',
-          description: '페이지의 주요 콘텐츠를 나타내는 main 요소나 role="main"이 없습니다.',
-          suggestion: '<main> 태그나 role="main"을 추가하여 주요 콘텐츠 영역을 명시하세요.'
-        });
+  // 성공 기준별 판정 (실행된 규칙이 검사한 기준 중 목표 수준 이하만 포함)
+  // fail: 치명적/경고 이슈 존재, review: 수동 검토 또는 추정 규칙(heuristic)의 이슈만 존재, pass: 자동 검사에서 문제 없음
+  summarizeByCriterion() {
+    const summary = {};
+    const ensure = (number) => {
+      if (!summary[number]) {
+        const criterion = getCriterion(number);
+        summary[number] = {
+          title: criterion ? criterion.title : null,
+          level: criterion ? criterion.level : null,
+          principle: criterion ? criterion.principle : null,
+          status: 'pass',
+          issueCount: 0,
+          rules: []
+        };
       }
+      return summary[number];
+    };
+
+    this.appliedRules.forEach(id => {
+      this.registry.get(id).wcag.forEach(number => {
+        const entry = ensure(number);
+        if (!entry.rules.includes(id)) entry.rules.push(id);
+      });
     });
 
-    // ARIA 속성 유효성 검사
-    this.$('[aria-labelledby]').each((i, el) => {
-      const $el = this.$(el);
-      const labelledby = $el.attr('aria-labelledby');
-      if (labelledby && !this.$(`#${labelledby}`).length) {
-        this.warnings.push({
-          rule: '잘못된 aria-labelledby 참조',
-          description: `aria-labelledby="${labelledby}"가 참조하는 요소가 존재하지 않습니다.`,
-          element: `<${el.tagName.toLowerCase()}>`,
-          suggestion: '존재하는 ID를 참조하거나 해당 ID를 가진 요소를 추가하세요.'
-        });
-        this.score -= 3;
+    // 성공 기준이 없는 권장 사항은 판정에서 제외
+    const withCriterion = (issues) => issues.filter(issue => issue.wcag);
+
+    withCriterion([...this.critical, ...this.warnings]).forEach(issue => {
+      const entry = ensure(issue.wcag.criterion);
+      // 추정 규칙의 이슈는 위반을 확정할 수 없으므로 수동 검토로 집계
+      if (!this.registry.get(issue.ruleId).heuristic) {
+        entry.status = 'fail';
+      } else if (entry.status === 'pass') {
+        entry.status = 'review';
       }
+      entry.issueCount++;
     });
-  }
 
-  // 색상 대비 계산
-  calculateContrast(color1, color2) {
-    try {
-      const c1 = tinycolor(color1);
-      const c2 = tinycolor(color2);
-      
-      if (!c1.isValid() || !c2.isValid()) {
-        return 21; // 기본값으로 최고 대비 반환
-      }
-      
-      return tinycolor.readability(c1, c2);
-    } catch (error) {
-      return 21; // 오류 시 최고 대비 반환
-    }
+    withCriterion(this.suggestions).forEach(issue => {
+      ensure(issue.wcag.criterion).issueCount++;
+    });
+
+    withCriterion(this.manualReview).forEach(issue => {
+      const entry = ensure(issue.wcag.criterion);
+      if (entry.status === 'pass') entry.status = 'review';
+    });
+
+    return Object.keys(summary)
+      .filter(number => isWithinTarget(summary[number].level, this.target))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .reduce((sorted, number) => ({ ...sorted, [number]: summary[number] }), {});
   }
 
-  // 점수 등급 계산
-  calculateGrade(score) {
-    if (score >= 90) return 'AAA (우수)';
-    if (score >= 80) return 'AA (양호)';
-    if (score >= 70) return 'A (보통)';
-    if (score >= 60) return 'B (개선 필요)';
-    return 'C (대폭 개선 필요)';
+  // 보고서용 이슈 목록 (원인별 묶음 또는 요소별 원본)
+  presentIssues(issues) {
+    return this.groupIssues ? groupIssues(issues) : issues.map(stripGroupKey);
   }
 
   // 최종 보고서 생성
   generateReport() {
     const totalIssues = this.critical.length + this.warnings.length;
-    
+    const config = this.rules.scoring;
+    const scoring = calculateScore(this.scoredIssues, {
+      config,
+      elementCount: this.$('body *').length
+    });
+    const byCriterion = this.summarizeByCriterion();
+    const conformance = evaluateConformance(byCriterion, this.target);
+
     return {
       summary: {
-        score: Math.max(0, this.score),
-        grade: this.calculateGrade(this.score),
+        score: scoring.score,
+        grade: gradeFor(config, scoring.score),
+        target: evaluateTarget(conformance, this.target),
+        conformance,
+        scoring: {
+          deductions: scoring.deductions,
+          pageSizeFactor: scoring.pageSizeFactor,
+          elementCount: scoring.elementCount
+        },
         totalIssues,
         criticalCount: this.critical.length,
         warningCount: this.warnings.length,
-        suggestionCount: this.suggestions.length
+        suggestionCount: this.suggestions.length,
+        manualReviewCount: this.manualReview.length,
+        byPrinciple: this.summarizeByPrinciple(),
+        byCriterion
       },
-      critical: this.critical,
-      warnings: this.warnings,
-      suggestions: this.suggestions,
+      critical: this.presentIssues(this.critical),
+      warnings: this.presentIssues(this.warnings),
+      suggestions: this.presentIssues(this.suggestions),
+      manualReview: this.presentIssues(this.manualReview),
+      grouped: this.groupIssues,
+      ...(this.sourceType !== 'html' && { sourceType: this.sourceType }),
+      mode: this.mode,
+      ...(this.mode === 'fragment' && { startHeadingLevel: this.startHeadingLevel }),
+      profile: this.profile.name,
+      ...(this.autofix && { fixes: applyFixes(this.html, this.fixes, { mode: this.autofix, filename: this.filename }) }),
+      appliedRules: this.appliedRules,
+      ...(this.ruleErrors.length > 0 && { ruleErrors: this.ruleErrors }),
       timestamp: new Date().toISOString(),
-      wcagVersion: '2.1'
+      wcagVersion: this.rules.data.wcag.version,
+      rulesVersion: this.rules.schemaVersion
     };
   }
 }
@@ -389,7 +373,10 @@ exports.handler = async (event, context) => {
   try {
     // 요청 본문 파싱
     const body = JSON.parse(event.body || '{}');
-    const { html, filename } = body;
+    const {
+      html, filename, rulesData, rules: ruleConfig, groupIssues, autofix, target, profiles,
+      sourceType, startHeadingLevel
+    } = body;
 
     // 입력 검증
     if (!html || typeof html !== 'string') {
@@ -415,16 +402,172 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // HTML 분석 실행
-    const analyzer = new HTMLAccessibilityAnalyzer(html);
-    const results = analyzer.analyze();
+    // 소스 형식 확인 (지정하지 않으면 파일 확장자로 판단)
+    let source;
+    try {
+      source = resolveSourceType(sourceType, filename);
+    } catch (error) {
+      if (!(error instanceof ComponentSourceError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '소스 형식이 올바르지 않습니다.',
+          message: error.message
+        })
+      };
+    }
+
+    // 분석 모드 확인 (컴포넌트 소스는 기본적으로 조각으로 분석)
+    const mode = body.mode !== undefined ? body.mode : (source === 'html' ? 'page' : 'fragment');
+    if (!ANALYSIS_MODES.includes(mode)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '분석 모드가 올바르지 않습니다.',
+          message: `mode는 ${ANALYSIS_MODES.map(item => `"${item}"`).join(', ')} 중 하나여야 합니다.`
+        })
+      };
+    }
+
+    if (startHeadingLevel !== undefined &&
+        (mode !== 'fragment' || !Number.isInteger(startHeadingLevel) || startHeadingLevel < 1 || startHeadingLevel > 6)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '시작 제목 수준이 올바르지 않습니다.',
+          message: 'startHeadingLevel은 fragment 모드에서 1~6 사이의 정수로 지정해야 합니다.'
+        })
+      };
+    }
+
+    // 요청 단위 사용자 정의 규칙 적용
+    let rules;
+    try {
+      rules = loadRules(rulesData);
+    } catch (error) {
+      if (!(error instanceof RulesValidationError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '규칙 데이터가 유효하지 않습니다.',
+          message: error.errors.join(' ')
+        })
+      };
+    }
+
+    // 자동 수정 모드 확인
+    let autofixMode;
+    try {
+      autofixMode = resolveMode(autofix);
+    } catch (error) {
+      if (!(error instanceof AutofixError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '자동 수정 설정이 올바르지 않습니다.',
+          message: error.message
+        })
+      };
+    }
+
+    // 자동 수정은 원본 HTML에만 적용할 수 있음
+    if (autofixMode && source !== 'html') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '자동 수정 설정이 올바르지 않습니다.',
+          message: '자동 수정은 HTML 파일에서만 사용할 수 있습니다.'
+        })
+      };
+    }
+
+    // 목표 적합성 수준 확인
+    let targetLevel;
+    try {
+      targetLevel = resolveTarget(target);
+    } catch (error) {
+      if (!(error instanceof ConformanceTargetError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '목표 적합성 수준이 올바르지 않습니다.',
+          message: error.message
+        })
+      };
+    }
+
+    // 기기 프로필 확인
+    let profileNames;
+    try {
+      profileNames = resolveProfiles(profiles, rules);
+    } catch (error) {
+      if (!(error instanceof ProfileError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '기기 프로필 설정이 올바르지 않습니다.',
+          message: error.message
+        })
+      };
+    }
+
+    // HTML 분석 실행 (profiles를 지정하면 프로필마다 분석하여 나란히 비교)
+    const analyze = (profile) => new HTMLAccessibilityAnalyzer(html, {
+      rules, ruleConfig, groupIssues, autofix: autofixMode, filename, target: targetLevel, profile, mode, startHeadingLevel,
+      sourceType: source
+    }).analyze();
+    let results;
+    try {
+      if (profileNames) {
+        const reports = {};
+        profileNames.forEach(name => {
+          reports[name] = analyze(name);
+        });
+        results = { profiles: reports, comparison: compareProfiles(reports) };
+      } else {
+        results = analyze();
+      }
+    } catch (error) {
+      if (error instanceof ComponentSourceError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: '컴포넌트 소스를 변환할 수 없습니다.',
+            message: error.message
+          })
+        };
+      }
+      if (!(error instanceof RuleConfigError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '규칙 설정이 올바르지 않습니다.',
+          message: error.errors.join(' ')
+        })
+      };
+    }
     
     // 파일명이 있으면 결과에 포함
     if (filename) {
       results.filename = filename;
     }
 
-    console.log(`HTML 분석 완료: ${filename || 'unknown'} - 점수: ${results.summary.score}`);
+    const summaries = profileNames
+      ? profileNames.map(name => [`${name} `, results.profiles[name].summary])
+      : [['', results.summary]];
+    summaries.forEach(([label, summary]) => {
+      console.log(`HTML 분석 완료: ${filename || 'unknown'} - ${label}점수: ${summary.score}, 목표 ${targetLevel} ${summary.target.met ? '충족' : '미달'}`);
+    });
 
     return {
       statusCode: 200,
@@ -448,4 +591,7 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.HTMLAccessibilityAnalyzer = HTMLAccessibilityAnalyzer;
+exports.defaultRegistry = defaultRegistry;
@@ -0,0 +1,323 @@
+const { HTMLAccessibilityAnalyzer } = require('./analyze-html');
+const { loadRules, RulesValidationError } = require('./lib/rules-db');
+const { RuleConfigError } = require('./lib/rule-registry');
+const { DEFAULT_TARGET, ConformanceTargetError, resolveTarget, isWithinTarget, gradeFor } = require('./lib/scoring');
+const { ProfileError, resolveProfiles } = require('./lib/profiles');
+const { ZipError, readZip } = require('./lib/zip');
+const {
+  MAX_PAGES,
+  SiteError,
+  stripCommonRoot,
+  buildInventory,
+  createStylesheetLoader,
+  collectRecurringIssues,
+  checkConsistency
+} = require('./lib/site');
+
+// 압축 파일 크기 제한 (base64를 푼 크기, 요청 본문 6MB 제한 안에 들어가도록)
+const MAX_ARCHIVE_SIZE = 4 * 1024 * 1024;
+
+// 페이지 하나의 크기 제한 (analyze-html과 같은 500KB)
+const MAX_PAGE_SIZE = 500000;
+
+function sortCriteria(numbers) {
+  return Array.from(new Set(numbers)).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// 사이트 전체 분석
+// 페이지마다 HTMLAccessibilityAnalyzer로 분석하고(연결된 CSS는 압축 파일에서 읽음),
+// 페이지 간 반복 이슈와 일관성 검사 결과를 합쳐 사이트 보고서를 만듭니다.
+class SiteAccessibilityAnalyzer {
+  constructor(files, options = {}) {
+    this.files = stripCommonRoot(files);
+    this.rules = options.rules || loadRules();
+    this.ruleConfig = options.ruleConfig || {};
+    this.target = options.target || DEFAULT_TARGET;
+    this.profile = options.profile;
+    this.groupIssues = options.groupIssues;
+    // true면 페이지별 전체 보고서도 포함
+    this.includePageReports = Boolean(options.includePageReports);
+  }
+
+  analyze() {
+    const inventory = buildInventory(this.files);
+    const analyzed = [];
+    const skippedPages = [];
+
+    inventory.pages.forEach(page => {
+      if (analyzed.length >= MAX_PAGES) {
+        skippedPages.push({ path: page.path, reason: `한 번에 최대 ${MAX_PAGES}개 페이지까지 분석합니다.` });
+        return;
+      }
+      const html = this.files.get(page.path).toString('utf8');
+      if (html.length > MAX_PAGE_SIZE) {
+        skippedPages.push({ path: page.path, reason: '페이지 크기가 500KB를 넘습니다.' });
+        return;
+      }
+
+      const analyzer = new HTMLAccessibilityAnalyzer(html, {
+        rules: this.rules,
+        ruleConfig: this.ruleConfig,
+        groupIssues: this.groupIssues,
+        target: this.target,
+        profile: this.profile,
+        filename: page.path,
+        loadStylesheet: createStylesheetLoader(this.files, page.path)
+      });
+      analyzed.push({
+        path: page.path,
+        title: page.title,
+        report: analyzer.analyze(),
+        context: { $: analyzer.$, styles: analyzer.styles }
+      });
+    });
+
+    if (analyzed.length === 0) {
+      throw new SiteError('분석할 수 있는 페이지가 없습니다.');
+    }
+
+    // 일관성 기준(AA)은 목표 수준에 포함될 때만 검사
+    const consistency = checkConsistency(this.files, analyzed)
+      .filter(issue => isWithinTarget(issue.wcag.level, this.target));
+
+    return this.generateReport({ ...inventory, skippedPages }, analyzed, consistency);
+  }
+
+  generateReport(inventory, analyzed, consistency) {
+    const config = this.rules.scoring;
+    const total = (key) => analyzed.reduce((sum, page) => sum + page.report.summary[key], 0);
+
+    const pages = analyzed.map(({ path, title, report }) => ({
+      path,
+      title,
+      score: report.summary.score,
+      grade: report.summary.grade,
+      targetMet: report.summary.target.met,
+      criticalCount: report.summary.criticalCount,
+      warningCount: report.summary.warningCount,
+      suggestionCount: report.summary.suggestionCount,
+      manualReviewCount: report.summary.manualReviewCount
+    }));
+
+    // 사이트 점수는 페이지 점수의 평균, 가장 낮은 페이지도 함께 표시
+    const score = Math.round(pages.reduce((sum, page) => sum + page.score, 0) / pages.length);
+    const lowest = pages.reduce((min, page) => (page.score < min.score ? page : min));
+
+    // 모든 페이지가 목표를 충족하고 페이지 간 일관성 이슈가 없어야 사이트가 목표를 충족
+    const failedCriteria = sortCriteria([
+      ...analyzed.flatMap(page => page.report.summary.target.failedCriteria),
+      ...consistency.map(issue => issue.wcag.criterion)
+    ]);
+    const reviewCriteria = sortCriteria(analyzed.flatMap(page => page.report.summary.target.reviewCriteria))
+      .filter(number => !failedCriteria.includes(number));
+
+    const recurringIssues = collectRecurringIssues(analyzed);
+
+    return {
+      summary: {
+        score,
+        grade: gradeFor(config, score),
+        pageCount: pages.length,
+        lowestScore: { path: lowest.path, score: lowest.score },
+        target: {
+          level: this.target,
+          met: failedCriteria.length === 0,
+          failedCriteria,
+          reviewCriteria,
+          pagesMeetingTarget: pages.filter(page => page.targetMet).length
+        },
+        totalIssues: total('totalIssues') + consistency.length,
+        criticalCount: total('criticalCount'),
+        warningCount: total('warningCount') + consistency.length,
+        suggestionCount: total('suggestionCount'),
+        manualReviewCount: total('manualReviewCount'),
+        recurringIssueCount: recurringIssues.length,
+        consistencyIssueCount: consistency.length
+      },
+      pages,
+      inventory,
+      recurringIssues,
+      consistency,
+      ...(this.includePageReports && {
+        reports: analyzed.reduce((reports, page) => ({ ...reports, [page.path]: page.report }), {})
+      }),
+      profile: analyzed[0].report.profile,
+      timestamp: new Date().toISOString(),
+      wcagVersion: this.rules.data.wcag.version,
+      rulesVersion: this.rules.schemaVersion
+    };
+  }
+}
+
+// Netlify Function 핸들러
+exports.handler = async (event, context) => {
+  // CORS 헤더 설정
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  // OPTIONS 요청 처리 (CORS preflight)
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // POST 요청만 허용
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method Not Allowed' })
+    };
+  }
+
+  try {
+    // 요청 본문 파싱
+    const body = JSON.parse(event.body || '{}');
+    const { archive, filename, rulesData, rules: ruleConfig, groupIssues, target, profile, includePageReports } = body;
+
+    // 입력 검증
+    if (!archive || typeof archive !== 'string') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '압축 파일이 필요합니다.',
+          message: 'archive 필드는 필수이며 base64로 인코딩한 ZIP 파일이어야 합니다.'
+        })
+      };
+    }
+
+    // 압축 파일 크기 제한 (보안 및 성능)
+    const buffer = Buffer.from(archive, 'base64');
+    if (buffer.length > MAX_ARCHIVE_SIZE) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '압축 파일이 너무 큽니다.',
+          message: '압축 파일 크기는 4MB 이하여야 합니다.'
+        })
+      };
+    }
+
+    // 요청 단위 사용자 정의 규칙 적용
+    let rules;
+    try {
+      rules = loadRules(rulesData);
+    } catch (error) {
+      if (!(error instanceof RulesValidationError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '규칙 데이터가 유효하지 않습니다.',
+          message: error.errors.join(' ')
+        })
+      };
+    }
+
+    // 목표 적합성 수준 확인
+    let targetLevel;
+    try {
+      targetLevel = resolveTarget(target);
+    } catch (error) {
+      if (!(error instanceof ConformanceTargetError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '목표 적합성 수준이 올바르지 않습니다.',
+          message: error.message
+        })
+      };
+    }
+
+    // 기기 프로필 확인 (사이트 분석은 프로필 하나만)
+    let profileNames;
+    try {
+      profileNames = resolveProfiles(profile, rules);
+      if (profileNames && profileNames.length > 1) {
+        throw new ProfileError('사이트 분석은 기기 프로필을 하나만 지정할 수 있습니다.');
+      }
+    } catch (error) {
+      if (!(error instanceof ProfileError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '기기 프로필 설정이 올바르지 않습니다.',
+          message: error.message
+        })
+      };
+    }
+
+    // 압축 해제 및 사이트 분석 실행
+    let results;
+    try {
+      const files = readZip(buffer);
+      results = new SiteAccessibilityAnalyzer(files, {
+        rules, ruleConfig, groupIssues, target: targetLevel, profile: profileNames ? profileNames[0] : undefined,
+        includePageReports
+      }).analyze();
+    } catch (error) {
+      if (error instanceof ZipError || error instanceof SiteError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: '압축 파일을 분석할 수 없습니다.',
+            message: error.message
+          })
+        };
+      }
+      if (!(error instanceof RuleConfigError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '규칙 설정이 올바르지 않습니다.',
+          message: error.errors.join(' ')
+        })
+      };
+    }
+
+    // 파일명이 있으면 결과에 포함
+    if (filename) {
+      results.filename = filename;
+    }
+
+    const { summary } = results;
+    console.log(`사이트 분석 완료: ${filename || 'unknown'} - 페이지 ${summary.pageCount}개, 평균 점수: ${summary.score}, 목표 ${targetLevel} ${summary.target.met ? '충족' : '미달'}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(results)
+    };
+
+  } catch (error) {
+    console.error('사이트 분석 함수 오류:', error);
+
+    // 개발 환경에서는 상세 오류, 프로덕션에서는 일반적 오류
+    const isDev = process.env.NODE_ENV === 'development';
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: '서버 내부 오류',
+        message: isDev ? error.message : '분석 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.',
+        ...(isDev && { stack: error.stack })
+      })
+    };
+  }
+};
+
+exports.SiteAccessibilityAnalyzer = SiteAccessibilityAnalyzer;
@@ -0,0 +1,243 @@
+// 접근 가능한 이름 계산 (W3C Accessible Name and Description Computation 1.2)
+// 보조기술이 요소를 읽을 때 사용하는 이름을 정적 HTML에서 계산합니다.
+
+const { NAME_FROM_CONTENT_ROLES, INTERACTIVE_ROLES, getRole } = require('./aria');
+const { isDynamicValue } = require('./component-source');
+
+// 이름 계산 시 공백으로 구분되는 블록 요소
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul'
+]);
+
+// 이름에 포함되지 않는 요소
+const SKIPPED_TAGS = new Set(['script', 'style', 'template', 'noscript', 'head']);
+
+// 브라우저가 기본으로 붙이는 버튼 이름
+const DEFAULT_BUTTON_NAMES = {
+  submit: 'Submit',
+  reset: 'Reset',
+  image: 'Submit'
+};
+
+// 의미 없는 이름 (소문자 비교)
+const MEANINGLESS_NAMES = new Set([
+  'button', 'btn', 'link', 'click', 'icon', 'image', 'img', 'graphic', 'picture', 'photo',
+  'untitled', 'null', 'undefined', 'submit button', 'image link',
+  '버튼', '링크', '클릭', '아이콘', '이미지', '사진', '그림'
+]);
+
+// 이름 검사 대상에서 제외하는 네이티브 입력 필드 (form-label 규칙에서 검사)
+const NATIVE_FIELD_TYPES = new Set(['button', 'submit', 'reset', 'image']);
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// 요소의 접근 가능한 이름과 출처 계산
+// options.usePlaceholder가 false면 placeholder를 이름으로 인정하지 않음
+function computeAccessibleName(context, el, options = {}) {
+  const calculator = new NameCalculator(context, options);
+  const result = calculator.compute(el, { isRoot: true });
+  return { name: normalize(result.name), source: normalize(result.name) ? result.source : null };
+}
+
+class NameCalculator {
+  constructor({ $, styles }, options) {
+    this.$ = $;
+    this.styles = styles;
+    this.usePlaceholder = options.usePlaceholder !== false;
+    this.visited = new Set();
+  }
+
+  // 숨김 여부 (aria-hidden, hidden 속성, display:none)
+  isHidden(el) {
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+      if (node.attribs['aria-hidden'] === 'true') return true;
+    }
+    return this.styles ? !this.styles.isRendered(el) : false;
+  }
+
+  getById(id) {
+    return this.$(`[id="${id.replace(/"/g, '\\"')}"]`)[0] || null;
+  }
+
+  compute(el, state) {
+    // aria-labelledby의 자기 참조는 허용하고, 그 외의 순환 참조는 차단
+    if (!state.inLabelledBy && this.visited.has(el)) return { name: '', source: null };
+    this.visited.add(el);
+
+    const attribs = el.attribs || {};
+    const tag = el.tagName.toLowerCase();
+    const role = getRole(el);
+
+    // 2A: 숨겨진 요소는 aria-labelledby로 직접 참조된 경우에만 포함
+    if (!state.inLabelledBy && !state.isRoot && this.isHidden(el)) {
+      return { name: '', source: null };
+    }
+
+    // 2B: aria-labelledby (공백으로 구분된 id 목록)
+    if (!state.inLabelledBy && attribs['aria-labelledby']) {
+      // 바인딩한 참조는 이름이 있는 것으로 보고 알 수 없는 값({표현식})을 이름으로 사용
+      if (isDynamicValue(attribs['aria-labelledby'])) return { name: attribs['aria-labelledby'], source: 'aria-labelledby' };
+      const names = attribs['aria-labelledby'].trim().split(/\s+/)
+        .map(id => this.getById(id))
+        .filter(Boolean)
+        .map(node => this.compute(node, { inLabelledBy: true, inContent: true }).name);
+      const name = normalize(names.join(' '));
+      if (name) return { name, source: 'aria-labelledby' };
+    }
+
+    // 2E: 다른 요소의 이름을 계산하는 중 만난 컨트롤은 현재 값을 사용
+    if (state.inContent && !state.isRoot) {
+      const embedded = this.embeddedControlValue(el, role);
+      if (embedded !== null) return { name: embedded, source: 'value' };
+    }
+
+    // 2C: aria-label
+    if (attribs['aria-label'] && attribs['aria-label'].trim()) {
+      return { name: attribs['aria-label'], source: 'aria-label' };
+    }
+
+    // 2D: 네이티브 텍스트 대안 (label, alt, legend, caption 등)
+    if (role !== 'presentation' && role !== 'none') {
+      const native = this.nativeName(el, tag);
+      if (native) return native;
+    }
+
+    // 2F: 콘텐츠로부터 이름 계산
+    if (state.inContent || NAME_FROM_CONTENT_ROLES.has(role)) {
+      const name = this.contentName(el);
+      if (normalize(name)) return { name, source: 'contents' };
+    }
+
+    // 2I: title 속성 (툴팁)
+    if (attribs.title && attribs.title.trim()) {
+      return { name: attribs.title, source: 'title' };
+    }
+
+    // html-aam: placeholder는 최후의 수단
+    if (this.usePlaceholder && (tag === 'input' || tag === 'textarea') && attribs.placeholder && attribs.placeholder.trim()) {
+      return { name: attribs.placeholder, source: 'placeholder' };
+    }
+
+    // 제출/초기화 버튼의 기본 이름
+    if (tag === 'input') {
+      const type = (attribs.type || '').toLowerCase();
+      if (DEFAULT_BUTTON_NAMES[type]) return { name: DEFAULT_BUTTON_NAMES[type], source: 'default' };
+    }
+
+    return { name: '', source: null };
+  }
+
+  nativeName(el, tag) {
+    const $el = this.$(el);
+    const attribs = el.attribs;
+
+    if (tag === 'input') {
+      const type = (attribs.type || 'text').toLowerCase();
+      if (['button', 'submit', 'reset'].includes(type)) {
+        return attribs.value && attribs.value.trim() ? { name: attribs.value, source: 'value' } : null;
+      }
+      if (type === 'image') {
+        return attribs.alt && attribs.alt.trim() ? { name: attribs.alt, source: 'alt' } : null;
+      }
+    }
+
+    if (['input', 'select', 'textarea', 'meter', 'progress', 'output'].includes(tag)) {
+      const labels = this.getLabels(el);
+      const name = normalize(labels.map(label => this.compute(label, { inContent: true }).name).join(' '));
+      return name ? { name, source: 'label' } : null;
+    }
+
+    if (tag === 'img' || tag === 'area') {
+      return attribs.alt && attribs.alt.trim() ? { name: attribs.alt, source: 'alt' } : null;
+    }
+
+    const captionTag = { fieldset: 'legend', table: 'caption', figure: 'figcaption' }[tag];
+    if (captionTag) {
+      const caption = $el.children(captionTag)[0];
+      const name = caption ? normalize(this.compute(caption, { inContent: true }).name) : '';
+      return name ? { name, source: captionTag } : null;
+    }
+
+    if (tag === 'svg') {
+      const title = $el.children('title')[0];
+      const name = title ? normalize(this.$(title).text()) : '';
+      return name ? { name, source: 'title' } : null;
+    }
+
+    return null;
+  }
+
+  // 명시적(label[for])·암묵적(감싸는 label) 라벨 목록
+  getLabels(el) {
+    const labels = [];
+    const id = el.attribs.id;
+    if (id) {
+      this.$('label').each((i, label) => {
+        if (label.attribs.for === id) labels.push(label);
+      });
+    }
+    const wrapping = this.$(el).closest('label')[0];
+    if (wrapping && !labels.includes(wrapping)) labels.push(wrapping);
+    return labels;
+  }
+
+  embeddedControlValue(el, role) {
+    const $el = this.$(el);
+    if (role === 'textbox' || role === 'searchbox') {
+      return el.tagName.toLowerCase() === 'textarea' ? $el.text() : (el.attribs.value || '');
+    }
+    if (role === 'combobox' || role === 'listbox') {
+      const selected = $el.find('option[selected]').first();
+      return normalize((selected.length ? selected : $el.find('option').first()).text());
+    }
+    if (role === 'slider' || role === 'spinbutton') {
+      return el.attribs['aria-valuetext'] || el.attribs['aria-valuenow'] || el.attribs.value || '';
+    }
+    return null;
+  }
+
+  contentName(el) {
+    return (el.children || []).map(child => {
+      if (child.type === 'text') return child.data;
+      if (child.type !== 'tag' || SKIPPED_TAGS.has(child.tagName.toLowerCase())) return '';
+
+      const childName = this.compute(child, { inContent: true }).name;
+      return BLOCK_TAGS.has(child.tagName.toLowerCase()) ? ` ${childName} ` : childName;
+    }).join('');
+  }
+}
+
+// 이름이 의미를 전달하지 못하는지 (기호만 있거나, 파일명이거나, 일반적인 단어)
+function isMeaninglessName(name) {
+  const text = normalize(name).toLowerCase();
+  if (!text) return false;
+  if (MEANINGLESS_NAMES.has(text)) return true;
+  if (/^[\p{P}\p{S}\s]+$/u.test(text)) return true;
+  return /^[\w-]+\.(png|jpe?g|gif|svg|webp|ico)$/.test(text);
+}
+
+// 이름이 필요한 대화형 요소 (버튼, 링크, 사용자 정의 위젯)
+function getInteractiveElements(context) {
+  const { $, styles } = context;
+
+  return $('body *').toArray().filter(el => {
+    if (!INTERACTIVE_ROLES.has(getRole(el))) return false;
+
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'select' || tag === 'textarea') return false;
+    if (tag === 'input' && !NATIVE_FIELD_TYPES.has((el.attribs.type || 'text').toLowerCase())) return false;
+
+    if ($(el).closest('[aria-hidden="true"]').length > 0) return false;
+    return !styles || styles.isRendered(el);
+  });
+}
+
+module.exports = {
+  computeAccessibleName,
+  isMeaninglessName,
+  getInteractiveElements
+};
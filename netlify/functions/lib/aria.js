@@ -0,0 +1,485 @@
+// ARIA 역할 유틸리티
+// 명시적 role 속성과 HTML 요소의 암묵적 역할을 해석하고
+// WAI-ARIA 1.2의 역할·속성 표로 role과 aria-* 속성을 검증합니다.
+
+// 콘텐츠(하위 텍스트)로부터 이름을 계산하는 역할
+const NAME_FROM_CONTENT_ROLES = new Set([
+  'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+  'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+]);
+
+// 이름이 반드시 필요한 위젯 역할
+const INTERACTIVE_ROLES = new Set([
+  'button', 'checkbox', 'combobox', 'link', 'listbox', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'option', 'radio', 'scrollbar', 'searchbox', 'slider', 'spinbutton',
+  'switch', 'tab', 'textbox', 'treeitem'
+]);
+
+// WAI-ARIA 1.2 추상 역할 (작성자가 사용하면 안 됨)
+const ABSTRACT_ROLES = new Set([
+  'command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section',
+  'sectionhead', 'select', 'structure', 'widget', 'window'
+]);
+
+// 이름 금지 역할 (aria-label, aria-labelledby 사용 불가)
+const NAME_PROHIBITED = ['aria-label', 'aria-labelledby'];
+
+// WAI-ARIA 1.2 구체 역할 표
+// owned: 필수 소유 요소, context: 필수 상위 역할, required: 필수 속성, prohibited: 금지 속성
+const ROLES = {
+  alert: {},
+  alertdialog: {},
+  application: {},
+  article: {},
+  banner: {},
+  blockquote: {},
+  button: {},
+  caption: { prohibited: NAME_PROHIBITED },
+  cell: { context: ['row'] },
+  checkbox: { required: ['aria-checked'] },
+  code: { prohibited: NAME_PROHIBITED },
+  columnheader: { context: ['row'] },
+  combobox: { required: ['aria-expanded'] },
+  complementary: {},
+  contentinfo: {},
+  definition: {},
+  deletion: { prohibited: NAME_PROHIBITED },
+  dialog: {},
+  directory: {},
+  document: {},
+  emphasis: { prohibited: NAME_PROHIBITED },
+  feed: { owned: ['article'] },
+  figure: {},
+  form: {},
+  generic: { prohibited: NAME_PROHIBITED },
+  grid: { owned: ['row', 'rowgroup'] },
+  gridcell: { context: ['row'] },
+  group: {},
+  heading: { required: ['aria-level'] },
+  img: {},
+  insertion: { prohibited: NAME_PROHIBITED },
+  link: {},
+  list: { owned: ['listitem'] },
+  listbox: { owned: ['group', 'option'] },
+  listitem: { context: ['list', 'directory'] },
+  log: {},
+  main: {},
+  marquee: {},
+  math: {},
+  menu: { owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'] },
+  menubar: { owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'] },
+  menuitem: { context: ['group', 'menu', 'menubar'] },
+  menuitemcheckbox: { context: ['group', 'menu', 'menubar'], required: ['aria-checked'] },
+  menuitemradio: { context: ['group', 'menu', 'menubar'], required: ['aria-checked'] },
+  meter: { required: ['aria-valuenow'] },
+  navigation: {},
+  none: { prohibited: NAME_PROHIBITED },
+  note: {},
+  option: { context: ['group', 'listbox'] },
+  paragraph: { prohibited: NAME_PROHIBITED },
+  presentation: { prohibited: NAME_PROHIBITED },
+  progressbar: {},
+  radio: { required: ['aria-checked'] },
+  radiogroup: { owned: ['radio'] },
+  region: {},
+  row: { context: ['grid', 'rowgroup', 'table', 'treegrid'], owned: ['cell', 'columnheader', 'gridcell', 'rowheader'] },
+  rowgroup: { context: ['grid', 'table', 'treegrid'], owned: ['row'] },
+  rowheader: { context: ['row'] },
+  scrollbar: { required: ['aria-controls', 'aria-valuenow'] },
+  search: {},
+  searchbox: {},
+  separator: {},
+  slider: { required: ['aria-valuenow'] },
+  spinbutton: {},
+  status: {},
+  strong: { prohibited: NAME_PROHIBITED },
+  subscript: { prohibited: NAME_PROHIBITED },
+  superscript: { prohibited: NAME_PROHIBITED },
+  switch: { required: ['aria-checked'] },
+  tab: { context: ['tablist'] },
+  table: { owned: ['row', 'rowgroup'] },
+  tablist: { owned: ['tab'] },
+  tabpanel: {},
+  term: {},
+  textbox: {},
+  time: {},
+  timer: {},
+  toolbar: {},
+  tooltip: {},
+  tree: { owned: ['group', 'treeitem'] },
+  treegrid: { owned: ['row', 'rowgroup'] },
+  treeitem: { context: ['group', 'tree'] }
+};
+
+// WAI-ARIA 1.2 상태·속성의 값 형식
+// boolean, tristate, nillable(true/false/undefined), token, tokens, idref, idrefs, integer, number, string
+const ATTRIBUTES = {
+  'aria-activedescendant': { type: 'idref' },
+  'aria-atomic': { type: 'boolean' },
+  'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+  'aria-braillelabel': { type: 'string' },
+  'aria-brailleroledescription': { type: 'string' },
+  'aria-busy': { type: 'boolean' },
+  'aria-checked': { type: 'tristate' },
+  'aria-colcount': { type: 'integer' },
+  'aria-colindex': { type: 'integer' },
+  'aria-colindextext': { type: 'string' },
+  'aria-colspan': { type: 'integer' },
+  'aria-controls': { type: 'idrefs' },
+  'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+  'aria-describedby': { type: 'idrefs' },
+  'aria-description': { type: 'string' },
+  'aria-details': { type: 'idref' },
+  'aria-disabled': { type: 'boolean' },
+  'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'] },
+  'aria-errormessage': { type: 'idref' },
+  'aria-expanded': { type: 'nillable' },
+  'aria-flowto': { type: 'idrefs' },
+  'aria-grabbed': { type: 'nillable' },
+  'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+  'aria-hidden': { type: 'nillable' },
+  'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] },
+  'aria-keyshortcuts': { type: 'string' },
+  'aria-label': { type: 'string' },
+  'aria-labelledby': { type: 'idrefs' },
+  'aria-level': { type: 'integer' },
+  'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'] },
+  'aria-modal': { type: 'boolean' },
+  'aria-multiline': { type: 'boolean' },
+  'aria-multiselectable': { type: 'boolean' },
+  'aria-orientation': { type: 'token', values: ['horizontal', 'vertical', 'undefined'] },
+  'aria-owns': { type: 'idrefs' },
+  'aria-placeholder': { type: 'string' },
+  'aria-posinset': { type: 'integer' },
+  'aria-pressed': { type: 'tristate' },
+  'aria-readonly': { type: 'boolean' },
+  'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'] },
+  'aria-required': { type: 'boolean' },
+  'aria-roledescription': { type: 'string' },
+  'aria-rowcount': { type: 'integer' },
+  'aria-rowindex': { type: 'integer' },
+  'aria-rowindextext': { type: 'string' },
+  'aria-rowspan': { type: 'integer' },
+  'aria-selected': { type: 'nillable' },
+  'aria-setsize': { type: 'integer' },
+  'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+  'aria-valuemax': { type: 'number' },
+  'aria-valuemin': { type: 'number' },
+  'aria-valuenow': { type: 'number' },
+  'aria-valuetext': { type: 'string' }
+};
+
+// 값 형식별 허용 값 설명 (오류 메시지용)
+const TYPE_DESCRIPTIONS = {
+  boolean: 'true 또는 false',
+  tristate: 'true, false 또는 mixed',
+  nillable: 'true, false 또는 undefined',
+  integer: '정수',
+  number: '숫자',
+  idref: '요소 id 하나',
+  idrefs: '공백으로 구분된 요소 id 목록'
+};
+
+const INPUT_ROLES = {
+  button: 'button',
+  submit: 'button',
+  reset: 'button',
+  image: 'button',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  range: 'slider',
+  number: 'spinbutton',
+  search: 'searchbox',
+  email: 'textbox',
+  tel: 'textbox',
+  text: 'textbox',
+  url: 'textbox',
+  password: 'textbox'
+};
+
+// HTML 요소의 암묵적 역할 (html-aam 기준의 주요 요소)
+function getImplicitRole(el) {
+  const tag = el.tagName.toLowerCase();
+  const attribs = el.attribs || {};
+
+  switch (tag) {
+    case 'a':
+    case 'area':
+      return attribs.href !== undefined ? 'link' : null;
+    case 'button':
+      return 'button';
+    case 'input': {
+      const type = (attribs.type || 'text').toLowerCase();
+      if (type === 'hidden') return null;
+      if (['text', 'search', 'email', 'tel', 'url'].includes(type) && attribs.list) return 'combobox';
+      return INPUT_ROLES[type] || 'textbox';
+    }
+    case 'select':
+      return attribs.multiple !== undefined || parseInt(attribs.size, 10) > 1 ? 'listbox' : 'combobox';
+    case 'textarea':
+      return 'textbox';
+    case 'option':
+      return 'option';
+    case 'img':
+      return attribs.alt === '' ? 'presentation' : 'img';
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return 'heading';
+    case 'ul': case 'ol': case 'menu':
+      return 'list';
+    case 'li':
+      return 'listitem';
+    case 'nav':
+      return 'navigation';
+    case 'main':
+      return 'main';
+    case 'header':
+      return 'banner';
+    case 'footer':
+      return 'contentinfo';
+    case 'aside':
+      return 'complementary';
+    case 'form':
+      return 'form';
+    case 'section':
+      return 'region';
+    case 'article':
+      return 'article';
+    case 'table':
+      return 'table';
+    case 'thead': case 'tbody': case 'tfoot':
+      return 'rowgroup';
+    case 'tr':
+      return 'row';
+    case 'td':
+      return 'cell';
+    case 'th':
+      return attribs.scope === 'row' ? 'rowheader' : 'columnheader';
+    case 'dialog':
+      return 'dialog';
+    case 'fieldset':
+      return 'group';
+    case 'summary':
+      return 'button';
+    case 'p':
+      return 'paragraph';
+    case 'blockquote':
+      return 'blockquote';
+    case 'figure':
+      return 'figure';
+    case 'caption':
+      return 'caption';
+    case 'hr':
+      return 'separator';
+    case 'strong':
+      return 'strong';
+    case 'em':
+      return 'emphasis';
+    case 'code':
+      return 'code';
+    case 'del':
+      return 'deletion';
+    case 'ins':
+      return 'insertion';
+    case 'sub':
+      return 'subscript';
+    case 'sup':
+      return 'superscript';
+    case 'div': case 'span': case 'b': case 'i': case 'u': case 's': case 'small':
+    case 'bdi': case 'bdo': case 'data': case 'pre': case 'q': case 'samp':
+      return 'generic';
+    default:
+      return null;
+  }
+}
+
+// role 속성에 쓰인 토큰 목록 (소문자)
+function getRoleTokens(el) {
+  const role = el.attribs && el.attribs.role;
+  return role && role.trim() ? role.trim().toLowerCase().split(/\s+/) : [];
+}
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+// 요소의 실제 역할 (role 속성의 첫 번째 유효 토큰, 없으면 암묵적 역할)
+function getRole(el) {
+  const explicit = getRoleTokens(el).find(isValidRole);
+  return explicit || getImplicitRole(el);
+}
+
+// 명시적으로 지정된 유효 역할 (없으면 null)
+function getExplicitRole(el) {
+  return getRoleTokens(el).find(isValidRole) || null;
+}
+
+function getRoleSpec(role) {
+  return isValidRole(role) ? ROLES[role] : null;
+}
+
+function getAttributeSpec(name) {
+  return Object.prototype.hasOwnProperty.call(ATTRIBUTES, name) ? ATTRIBUTES[name] : null;
+}
+
+// 속성 값이 형식에 맞는지 검사하고, 맞지 않으면 허용 값 설명을 반환
+function validateAttributeValue(name, value) {
+  const spec = getAttributeSpec(name);
+  if (!spec) return null;
+
+  const text = (value || '').trim();
+  const lower = text.toLowerCase();
+  let valid;
+
+  switch (spec.type) {
+    case 'boolean':
+      valid = lower === 'true' || lower === 'false';
+      break;
+    case 'tristate':
+      valid = ['true', 'false', 'mixed', 'undefined', ''].includes(lower);
+      break;
+    case 'nillable':
+      valid = ['true', 'false', 'undefined', ''].includes(lower);
+      break;
+    case 'token':
+      valid = spec.values.includes(lower);
+      break;
+    case 'tokens':
+      valid = lower !== '' && lower.split(/\s+/).every(token => spec.values.includes(token));
+      break;
+    case 'integer':
+      valid = /^-?\d+$/.test(text);
+      break;
+    case 'number':
+      valid = text !== '' && Number.isFinite(Number(text));
+      break;
+    case 'idref':
+      valid = text !== '' && !/\s/.test(text);
+      break;
+    case 'idrefs':
+      valid = text !== '';
+      break;
+    default:
+      valid = true;
+  }
+
+  if (valid) return null;
+  return spec.values ? spec.values.join(', ') : TYPE_DESCRIPTIONS[spec.type];
+}
+
+// 네이티브 HTML이 이미 제공하는 ARIA 상태 (필수 속성 검사에서 제외)
+function providesNatively(el, attribute) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.attribs.type || 'text').toLowerCase();
+
+  switch (attribute) {
+    case 'aria-checked':
+      return tag === 'input' && (type === 'checkbox' || type === 'radio');
+    case 'aria-level':
+      return /^h[1-6]$/.test(tag);
+    case 'aria-valuenow':
+      return (tag === 'input' && (type === 'range' || type === 'number')) || tag === 'meter' || tag === 'progress';
+    case 'aria-expanded':
+      return tag === 'select' || (tag === 'input' && el.attribs.list !== undefined);
+    default:
+      return false;
+  }
+}
+
+// 키보드 포커스를 받을 수 있는 요소인지 (tabindex="-1"은 순차 탐색에서 제외되므로 포함하지 않음)
+function isFocusable(el) {
+  const tag = el.tagName.toLowerCase();
+  const attribs = el.attribs || {};
+
+  if (attribs.tabindex !== undefined && !Number.isNaN(parseInt(attribs.tabindex, 10))) {
+    return parseInt(attribs.tabindex, 10) >= 0;
+  }
+  if (attribs.disabled !== undefined && ['button', 'input', 'select', 'textarea'].includes(tag)) return false;
+
+  switch (tag) {
+    case 'a':
+    case 'area':
+      return attribs.href !== undefined;
+    case 'button':
+    case 'select':
+    case 'textarea':
+    case 'iframe':
+    case 'summary':
+      return true;
+    case 'input':
+      return (attribs.type || '').toLowerCase() !== 'hidden';
+    case 'audio':
+    case 'video':
+      return attribs.controls !== undefined;
+    default:
+      return attribs.contenteditable !== undefined && attribs.contenteditable !== 'false';
+  }
+}
+
+// 역할 구조에서 투명하게 취급하는 요소 (역할이 없거나 generic/none/presentation)
+function isTransparent(el) {
+  const role = getRole(el);
+  return !role || role === 'generic' || role === 'none' || role === 'presentation';
+}
+
+function getById($, id) {
+  return $(`[id="${id.replace(/"/g, '\\"')}"]`)[0] || null;
+}
+
+// 접근성 트리에서 소유한 요소 (투명한 요소는 건너뛰고, aria-owns 참조 포함)
+function getOwnedElements($, el) {
+  const owned = [];
+  const collect = node => {
+    (node.children || []).forEach(child => {
+      if (child.type !== 'tag') return;
+      if (child.attribs['aria-hidden'] === 'true') return;
+      if (isTransparent(child)) {
+        collect(child);
+      } else {
+        owned.push(child);
+      }
+    });
+  };
+  collect(el);
+
+  const owns = el.attribs['aria-owns'];
+  if (owns && owns.trim()) {
+    owns.trim().split(/\s+/).map(id => getById($, id)).filter(Boolean).forEach(node => owned.push(node));
+  }
+  return owned;
+}
+
+// 접근성 트리에서 가장 가까운 상위 요소의 역할 (aria-owns로 소유된 경우 소유자 우선)
+function getContextRole($, el) {
+  const id = el.attribs.id;
+  if (id) {
+    const owner = $('[aria-owns]').toArray()
+      .find(node => node.attribs['aria-owns'].trim().split(/\s+/).includes(id));
+    if (owner) return getRole(owner);
+  }
+
+  for (let node = el.parent; node && node.type === 'tag'; node = node.parent) {
+    if (!isTransparent(node)) return getRole(node);
+  }
+  return null;
+}
+
+module.exports = {
+  NAME_FROM_CONTENT_ROLES,
+  INTERACTIVE_ROLES,
+  ABSTRACT_ROLES,
+  ROLES,
+  ATTRIBUTES,
+  getImplicitRole,
+  getRoleTokens,
+  isValidRole,
+  getRole,
+  getExplicitRole,
+  getRoleSpec,
+  getAttributeSpec,
+  validateAttributeValue,
+  providesNatively,
+  isFocusable,
+  getOwnedElements,
+  getContextRole
+};
@@ -0,0 +1,264 @@
+// 자동 수정
+// 규칙이 report의 fix로 넘긴 수정 작업(속성 추가·삭제, 요소 이름 변경)을
+// 원본 HTML의 소스 위치에 맞춘 텍스트 편집으로 바꿔 적용하고 unified diff를 만듭니다.
+// 파서가 다시 직렬화하지 않으므로 수정하지 않은 부분의 서식은 그대로 유지됩니다.
+
+// safe: 동작과 의미를 바꾸지 않는 수정, review: 의도를 확인해야 하는 수정
+const SAFETY_LEVELS = ['safe', 'review'];
+
+// 적용 범위 (safe: 안전한 수정만, all: 검토 필요 수정 포함)
+const MODES = ['safe', 'all'];
+
+const DIFF_CONTEXT_LINES = 3;
+
+class AutofixError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AutofixError';
+  }
+}
+
+// 수정 작업 생성 함수 (규칙에서 사용)
+function setAttribute(node, name, value) {
+  return { type: 'setAttribute', node, name, value };
+}
+
+function removeAttribute(node, name) {
+  return { type: 'removeAttribute', node, name };
+}
+
+function renameElement(node, tagName) {
+  return { type: 'renameElement', node, tagName };
+}
+
+// 요청의 autofix 값 해석 (true는 safe와 같음, 꺼져 있으면 null)
+function resolveMode(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return 'safe';
+  if (MODES.includes(value)) return value;
+  throw new AutofixError(`autofix는 true, false, ${MODES.map(mode => `"${mode}"`).join(', ')} 중 하나여야 합니다.`);
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// 수정 작업을 텍스트 편집 목록으로 변환 (소스 위치가 없으면 null)
+function toEdits(source, operation) {
+  const location = operation.node && operation.node.sourceCodeLocation;
+  if (!location || !location.startTag) return null;
+
+  const startTag = location.startTag;
+  const attributes = startTag.attrs || {};
+
+  switch (operation.type) {
+    case 'setAttribute': {
+      const text = `${operation.name}="${escapeAttribute(operation.value)}"`;
+      const existing = attributes[operation.name];
+      if (existing) return [{ start: existing.startOffset, end: existing.endOffset, text }];
+
+      // "/>"로 닫힌 태그는 "/" 앞에 삽입
+      let position = startTag.endOffset - 1;
+      if (source[position - 1] === '/') position--;
+      return [{ start: position, end: position, text: ` ${text}`, attribute: operation.name }];
+    }
+
+    case 'removeAttribute': {
+      const existing = attributes[operation.name];
+      if (!existing) return [];
+      // 앞쪽 공백까지 함께 삭제
+      let start = existing.startOffset;
+      while (start > startTag.startOffset && /\s/.test(source[start - 1])) start--;
+      return [{ start, end: existing.endOffset, text: '' }];
+    }
+
+    case 'renameElement': {
+      const name = operation.node.tagName;
+      const edits = [{ start: startTag.startOffset + 1, end: startTag.startOffset + 1 + name.length, text: operation.tagName }];
+      // 닫는 태그가 생략된 요소는 이름을 바꿀 수 없음
+      if (!location.endTag) return null;
+      edits.push({ start: location.endTag.startOffset + 2, end: location.endTag.startOffset + 2 + name.length, text: operation.tagName });
+      return edits;
+    }
+
+    default:
+      return null;
+  }
+}
+
+function overlaps(a, b) {
+  // 같은 태그에 같은 속성을 다른 값으로 추가하면 속성이 중복되므로 충돌
+  if (a.attribute && a.attribute === b.attribute && a.start === b.start) return true;
+  if (a.start === a.end || b.start === b.end) {
+    // 삽입은 다른 편집의 범위 안쪽에 있을 때만 충돌
+    return a.start > b.start && a.start < b.end || b.start > a.start && b.start < a.end;
+  }
+  return a.start < b.end && b.start < a.end;
+}
+
+// 뒤쪽 편집부터 적용 (같은 위치의 삽입은 원래 순서 유지)
+function applyEdits(source, edits) {
+  return edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.end - a.end || b.index - a.index)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+}
+
+// 줄 시작 오프셋 목록
+function lineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function lineOf(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (starts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+}
+
+// 편집 목록으로 unified diff 생성
+// 편집이 닿는 줄 범위만 비교하므로 큰 문서에서도 전체 줄 비교(LCS)가 필요 없습니다.
+function createUnifiedDiff(source, edits, filename = 'index.html') {
+  if (edits.length === 0) return '';
+
+  const starts = lineStarts(source);
+  const lines = source.split('\n');
+
+  // 같은 줄이나 이웃한 줄의 편집끼리 묶어 변경 블록 생성
+  const blocks = [];
+  edits.slice().sort((a, b) => a.start - b.start).forEach(edit => {
+    const first = lineOf(starts, edit.start);
+    const last = lineOf(starts, edit.end);
+    const block = blocks[blocks.length - 1];
+    if (block && first <= block.last + 1) {
+      block.last = Math.max(block.last, last);
+      block.edits.push(edit);
+    } else {
+      blocks.push({ first, last, edits: [edit] });
+    }
+  });
+
+  blocks.forEach(block => {
+    const offset = starts[block.first];
+    const end = block.last + 1 < starts.length ? starts[block.last + 1] - 1 : source.length;
+    const original = source.slice(offset, end);
+    const shifted = block.edits.map(edit => ({ ...edit, start: edit.start - offset, end: edit.end - offset }));
+    block.oldLines = lines.slice(block.first, block.last + 1);
+    block.newLines = applyEdits(original, shifted).split('\n');
+  });
+
+  // 앞뒤 문맥 줄이 겹치는 블록은 하나의 hunk로 합침
+  const hunks = [];
+  blocks.forEach(block => {
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && block.first - DIFF_CONTEXT_LINES <= hunk.blocks[hunk.blocks.length - 1].last + DIFF_CONTEXT_LINES + 1) {
+      hunk.blocks.push(block);
+    } else {
+      hunks.push({ blocks: [block] });
+    }
+  });
+
+  let lineShift = 0;
+  const output = [`--- a/${filename}`, `+++ b/${filename}`];
+
+  hunks.forEach(({ blocks: hunkBlocks }) => {
+    const start = Math.max(0, hunkBlocks[0].first - DIFF_CONTEXT_LINES);
+    const end = Math.min(lines.length - 1, hunkBlocks[hunkBlocks.length - 1].last + DIFF_CONTEXT_LINES);
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    let cursor = start;
+
+    hunkBlocks.forEach(block => {
+      for (; cursor < block.first; cursor++) {
+        body.push(` ${lines[cursor]}`);
+        oldCount++;
+        newCount++;
+      }
+      block.oldLines.forEach(line => body.push(`-${line}`));
+      block.newLines.forEach(line => body.push(`+${line}`));
+      oldCount += block.oldLines.length;
+      newCount += block.newLines.length;
+      cursor = block.last + 1;
+    });
+    for (; cursor <= end; cursor++) {
+      body.push(` ${lines[cursor]}`);
+      oldCount++;
+      newCount++;
+    }
+
+    output.push(`@@ -${start + 1},${oldCount} +${start + 1 + lineShift},${newCount} @@`, ...body);
+    lineShift += newCount - oldCount;
+  });
+
+  return `${output.join('\n')}\n`;
+}
+
+// 수집된 수정 적용
+// fixes: [{ ruleId, fix: { safety, description, operations }, issue }]
+function applyFixes(source, fixes, { mode = 'safe', filename } = {}) {
+  const accepted = [];
+  const seen = new Set();
+
+  const changes = fixes.map(({ ruleId, fix, issue }) => {
+    const change = {
+      ruleId,
+      safety: fix.safety,
+      description: fix.description,
+      ...(issue.location && { location: issue.location }),
+      ...(issue.selector && { selector: issue.selector }),
+      applied: false
+    };
+
+    if (mode === 'safe' && fix.safety !== 'safe') {
+      return { ...change, reason: '검토가 필요한 수정이라 적용하지 않았습니다.' };
+    }
+
+    const edits = [];
+    for (const operation of fix.operations) {
+      const converted = toEdits(source, operation);
+      if (!converted) return { ...change, reason: '원본 HTML에서 요소 위치를 찾을 수 없습니다.' };
+      edits.push(...converted);
+    }
+
+    // 다른 규칙이 같은 수정을 이미 적용한 경우 중복 편집 제외
+    const unique = edits.filter(edit => !seen.has(`${edit.start}:${edit.end}:${edit.text}`));
+    if (unique.some(edit => accepted.some(other => overlaps(edit, other)))) {
+      return { ...change, reason: '다른 수정과 같은 위치를 바꾸므로 적용하지 않았습니다.' };
+    }
+
+    unique.forEach(edit => {
+      seen.add(`${edit.start}:${edit.end}:${edit.text}`);
+      accepted.push(edit);
+    });
+    return { ...change, applied: true };
+  });
+
+  return {
+    mode,
+    html: applyEdits(source, accepted),
+    diff: createUnifiedDiff(source, accepted, filename),
+    appliedCount: changes.filter(change => change.applied).length,
+    skippedCount: changes.filter(change => !change.applied).length,
+    changes
+  };
+}
+
+module.exports = {
+  SAFETY_LEVELS,
+  AutofixError,
+  setAttribute,
+  removeAttribute,
+  renameElement,
+  resolveMode,
+  applyFixes,
+  createUnifiedDiff
+};
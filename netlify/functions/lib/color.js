@@ -0,0 +1,226 @@
+// 색상 계산 유틸리티
+// 반투명 색상 합성과 조상 요소를 따라가는 실제 배경색 계산을 담당합니다.
+
+const tinycolor = require('tinycolor2');
+
+// 배경이 지정되지 않았을 때의 캔버스 색상
+const CANVAS_COLOR = { r: 255, g: 255, b: 255, a: 1 };
+
+// CSS 색상 문자열을 {r, g, b, a}로 변환 (해석 불가 시 null)
+function parseColor(value) {
+  if (!value) return null;
+  const color = tinycolor(value);
+  return color.isValid() ? color.toRgb() : null;
+}
+
+// 전경색을 불투명한 배경색 위에 합성
+function composite(foreground, background) {
+  const alpha = foreground.a;
+  const blend = (channel) => Math.round(foreground[channel] * alpha + background[channel] * (1 - alpha));
+  return { r: blend('r'), g: blend('g'), b: blend('b'), a: 1 };
+}
+
+function withAlpha(color, alpha) {
+  return { ...color, a: color.a * alpha };
+}
+
+function toHex(color) {
+  return tinycolor(color).toHexString();
+}
+
+function contrastRatio(color1, color2) {
+  return tinycolor.readability(color1, color2);
+}
+
+// opacity 속성 값 해석 (0~1)
+function parseOpacity(value) {
+  if (!value) return 1;
+  const match = String(value).trim().match(/^([\d.]+)(%)?$/);
+  if (!match) return 1;
+  const number = parseFloat(match[1]) / (match[2] ? 100 : 1);
+  return Math.min(1, Math.max(0, number));
+}
+
+// 그라디언트나 이미지 배경 여부
+function getBackgroundImage(styles, el) {
+  const image = styles.getCascadedValue(el, 'background-image');
+  if (!image || image.trim().toLowerCase() === 'none') return null;
+  return /gradient\(/i.test(image) ? 'gradient' : 'image';
+}
+
+// 요소의 텍스트가 실제로 그려지는 전경색과 배경색 계산
+// 조상 요소를 따라 올라가며 불투명한 배경을 찾고, 반투명 배경과 opacity를 합성합니다.
+// 배경 이미지나 그라디언트를 만나면 자동 판정 대신 수동 검토 대상으로 표시합니다.
+function resolveEffectiveColors(styles, el) {
+  const chain = [];
+  for (let node = el; node; node = styles.getParentElement(node)) {
+    chain.push(node);
+  }
+
+  // 각 요소의 누적 opacity (자신과 모든 조상의 곱)
+  const cumulativeOpacity = new Map();
+  chain.slice().reverse().reduce((opacity, node) => {
+    const value = opacity * parseOpacity(styles.getCascadedValue(node, 'opacity'));
+    cumulativeOpacity.set(node, value);
+    return value;
+  }, 1);
+
+  const layers = [];
+  let backgroundImage = null;
+  let backgroundSource = null;
+
+  for (const node of chain) {
+    const image = getBackgroundImage(styles, node);
+    if (image) {
+      backgroundImage = image;
+      backgroundSource = node;
+      break;
+    }
+
+    const color = parseColor(styles.getComputedStyle(node)['background-color']);
+    if (!color || color.a === 0) continue;
+
+    const layer = withAlpha(color, cumulativeOpacity.get(node));
+    layers.push({ node, color: layer });
+    if (!backgroundSource) backgroundSource = node;
+    if (layer.a >= 1) break;
+  }
+
+  // 캔버스부터 요소 방향으로 배경 레이어 합성
+  const background = layers.reduceRight((backdrop, layer) => composite(layer.color, backdrop), CANVAS_COLOR);
+
+  const declaredForeground = parseColor(styles.getComputedStyle(el).color) || { r: 0, g: 0, b: 0, a: 1 };
+  const foreground = composite(withAlpha(declaredForeground, cumulativeOpacity.get(el)), background);
+
+  return {
+    foreground,
+    background,
+    declaredForeground,
+    backgroundSource,
+    backgroundImage,
+    layers
+  };
+}
+
+// sRGB 채널(0~255)과 선형 값(0~1) 변환
+function toLinear(channel) {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+  const encoded = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return encoded * 255;
+}
+
+// sRGB → OKLab (Björn Ottosson, 2020)
+function toOklab({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+// OKLab → 선형 sRGB (색역 밖이면 0~1을 벗어남)
+function oklabToLinear({ l: lightness, a, b }) {
+  const l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(lightness - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+function toOklch(color) {
+  const { l, a, b } = toOklab(color);
+  return { l, c: Math.sqrt(a * a + b * b), h: Math.atan2(b, a) };
+}
+
+// OKLCH → sRGB, 색역을 벗어나면 명도와 색상은 유지한 채 채도를 줄임
+function fromOklch({ l, c, h }) {
+  const toRgb = (chroma) => oklabToLinear({ l, a: chroma * Math.cos(h), b: chroma * Math.sin(h) });
+  const inGamut = (channels) => channels.every(value => value >= -1e-6 && value <= 1 + 1e-6);
+
+  let channels = toRgb(c);
+  if (!inGamut(channels)) {
+    let low = 0;
+    let high = c;
+    for (let i = 0; i < 16; i++) {
+      const middle = (low + high) / 2;
+      if (inGamut(toRgb(middle))) low = middle;
+      else high = middle;
+    }
+    channels = toRgb(low);
+  }
+
+  const [r, g, b] = channels.map(value => Math.round(Math.min(255, Math.max(0, fromLinear(Math.min(1, Math.max(0, value)))))));
+  return { r, g, b, a: 1 };
+}
+
+// 지각적 색 차이 (OKLab 유클리드 거리 × 100)
+function colorDistance(color1, color2) {
+  const x = toOklab(color1);
+  const y = toOklab(color2);
+  return Math.sqrt((x.l - y.l) ** 2 + (x.a - y.a) ** 2 + (x.b - y.b) ** 2) * 100;
+}
+
+const LIGHTNESS_STEP = 0.01;
+
+// 한 방향(어둡게 -1, 밝게 +1)으로 명도를 바꿔 기준을 처음 넘는 색 찾기
+function searchLightness(base, fixed, minimum, direction) {
+  const passes = (l) => contrastRatio(fromOklch({ ...base, l }), fixed) >= minimum;
+
+  let previous = base.l;
+  for (let l = base.l + direction * LIGHTNESS_STEP; ; l += direction * LIGHTNESS_STEP) {
+    const bounded = Math.min(1, Math.max(0, l));
+    if (passes(bounded)) {
+      // 기준을 넘지 못한 명도와 넘은 명도 사이를 좁혀 가장 가까운 값 선택
+      let low = previous;
+      let high = bounded;
+      for (let i = 0; i < 12; i++) {
+        const middle = (low + high) / 2;
+        if (passes(middle)) high = middle;
+        else low = middle;
+      }
+      return fromOklch({ ...base, l: high });
+    }
+    if (bounded === 0 || bounded === 1) return null;
+    previous = bounded;
+  }
+}
+
+// 색상(hue)을 유지하면서 fixed와의 대비가 minimum 이상인 가장 가까운 색 (없으면 null)
+function findNearestCompliantColor(color, fixed, minimum) {
+  const base = toOklch(color);
+  const candidates = [-1, 1]
+    .map(direction => searchLightness(base, fixed, minimum, direction))
+    .filter(Boolean)
+    .map(candidate => ({
+      color: toHex(candidate),
+      ratio: Math.floor(contrastRatio(candidate, fixed) * 100) / 100,
+      distance: Math.round(colorDistance(color, candidate) * 10) / 10
+    }));
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best));
+}
+
+module.exports = {
+  parseColor,
+  composite,
+  contrastRatio,
+  toHex,
+  parseOpacity,
+  resolveEffectiveColors,
+  toOklch,
+  fromOklch,
+  colorDistance,
+  findNearestCompliantColor
+};
@@ -0,0 +1,833 @@
+// 컴포넌트 소스 변환
+// React(JSX/TSX), Vue 단일 파일 컴포넌트, Svelte 파일에서 정적 템플릿 마크업을 꺼내 분석할 수 있는 HTML로 바꿉니다.
+// 실행해야 알 수 있는 표현식은 {표현식} 형태의 속성 값·텍스트로 남겨 '없음'이 아닌 '알 수 없음'으로 다루고,
+// 변환한 HTML의 위치를 원본 파일의 줄/열로 되돌리는 위치 지도(SourceMap)를 함께 만듭니다.
+
+const SOURCE_TYPES = ['html', 'jsx', 'vue', 'svelte'];
+
+// 파일 확장자 → 소스 형식
+const EXTENSIONS = {
+  '.html': 'html',
+  '.htm': 'html',
+  '.jsx': 'jsx',
+  '.tsx': 'jsx',
+  '.vue': 'vue',
+  '.svelte': 'svelte'
+};
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// 태그 없이 자식만 렌더링하는 컴포넌트 (kebab-case)
+const WRAPPER_COMPONENTS = new Set([
+  'template', 'transition', 'transition-group', 'keep-alive', 'teleport', 'suspense',
+  'fragment', 'react-fragment', 'strict-mode', 'react-strict-mode'
+]);
+
+// <a>로 렌더링되는 라우터 링크 컴포넌트 (to 속성은 href로 변환)
+const LINK_COMPONENTS = new Set(['link', 'nav-link', 'router-link', 'nuxt-link']);
+
+// Vue 템플릿에서 소문자로도 쓰는 내장 컴포넌트
+const VUE_BUILTINS = new Set([
+  'template', 'transition', 'transition-group', 'keep-alive', 'teleport', 'suspense',
+  'component', 'router-link', 'router-view', 'nuxt-link'
+]);
+
+// 요소로 렌더링되는 Svelte 특수 요소 (나머지 svelte:*는 태그 없이 자식만 남김)
+const SVELTE_ELEMENTS = new Set(['svelte:element', 'svelte:component', 'svelte:self']);
+
+// 숫자를 그대로 쓰는 CSS 속성 (나머지 숫자 값은 px)
+const UNITLESS_PROPERTIES = new Set(['line-height', 'font-weight', 'opacity', 'z-index', 'flex', 'flex-grow', 'flex-shrink', 'order', 'zoom']);
+
+// 정규식 리터럴이나 JSX가 올 수 있는 위치 (이 문자 다음)
+const EXPRESSION_PRECEDERS = /[(,=:[!&|?{};+\-*%<>~^]/;
+const EXPRESSION_KEYWORDS = /(?:^|[^\w$])(return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)$/;
+
+// 값 안에 {…} 표현식이 있으면 실행 전에는 알 수 없는 값
+const DYNAMIC_PATTERN = /\{[\s\S]*\}/;
+
+class ComponentSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ComponentSourceError';
+  }
+}
+
+// 속성 값이 표현식으로 채워지는지 (컴포넌트에서 바인딩한 값)
+function isDynamicValue(value) {
+  return typeof value === 'string' && DYNAMIC_PATTERN.test(value);
+}
+
+// 요청의 sourceType 해석 (지정하지 않으면 파일 확장자, 알 수 없으면 html)
+function resolveSourceType(value, filename) {
+  if (value !== undefined && value !== null && value !== '') {
+    if (SOURCE_TYPES.includes(value)) return value;
+    throw new ComponentSourceError(`sourceType은 ${SOURCE_TYPES.map(type => `"${type}"`).join(', ')} 중 하나여야 합니다.`);
+  }
+  const extension = typeof filename === 'string' && filename.toLowerCase().match(/\.[a-z]+$/);
+  return (extension && EXTENSIONS[extension[0]]) || 'html';
+}
+
+function lineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+// 오프셋 → 1부터 시작하는 줄/열
+function positionOf(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (starts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return { line: low + 1, column: offset - starts[low] + 1 };
+}
+
+// 변환한 HTML 위치 → 원본 파일 위치
+// 구간마다 원본 범위를 기록하며, 길이가 같은 구간(그대로 복사한 부분)은 글자 단위로,
+// 바뀐 구간은 시작과 끝만 원본에 맞춥니다.
+class SourceMap {
+  constructor(source) {
+    this.starts = lineStarts(source);
+    this.segments = [];
+    // 전개 속성({...props})이 있는 요소의 변환 후 시작 오프셋
+    this.spreadOffsets = new Set();
+  }
+
+  add(generated, length, originalStart, originalEnd) {
+    this.segments.push({ generated, length, originalStart, originalEnd });
+  }
+
+  originalOffset(offset) {
+    let low = 0;
+    let high = this.segments.length - 1;
+    if (high < 0) return 0;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.segments[middle].generated <= offset) low = middle;
+      else high = middle - 1;
+    }
+
+    const segment = this.segments[low];
+    const delta = Math.min(Math.max(offset - segment.generated, 0), segment.length);
+    if (segment.length === segment.originalEnd - segment.originalStart) return segment.originalStart + delta;
+    return delta >= segment.length - 1 ? Math.max(segment.originalEnd - 1, segment.originalStart) : segment.originalStart;
+  }
+
+  // 변환한 HTML의 [startOffset, endOffset) → 원본의 시작·끝 줄/열
+  locate(startOffset, endOffset) {
+    const start = positionOf(this.starts, this.originalOffset(startOffset));
+    const end = positionOf(this.starts, this.originalOffset(Math.max(endOffset - 1, startOffset)) + 1);
+    return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+  }
+
+  hasSpreadAttributes(el) {
+    const location = el && el.sourceCodeLocation;
+    return Boolean(location && this.spreadOffsets.has(location.startOffset));
+  }
+}
+
+// 변환 결과와 위치 지도를 함께 쌓는 출력
+class Output {
+  constructor(source) {
+    this.source = source;
+    this.text = '';
+    this.map = new SourceMap(source);
+  }
+
+  // 원본 구간을 그대로 복사
+  copy(start, end) {
+    if (end > start) this.write(this.source.slice(start, end), start, end);
+  }
+
+  // 변환한 텍스트 출력 (원본의 [start, end)에 대응)
+  write(text, start, end) {
+    if (!text) return;
+    this.map.add(this.text.length, text.length, start, end);
+    this.text += text;
+  }
+}
+
+function fail(source, offset, message) {
+  const { line, column } = positionOf(lineStarts(source), offset);
+  throw new ComponentSourceError(`${line}행 ${column}열: ${message}`);
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+function escapeAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function toKebab(name) {
+  return name
+    .replace(/[.:]/g, '-')
+    .replace(/([a-z\d])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+function skipSpace(source, pos) {
+  while (pos < source.length && /\s/.test(source[pos])) pos++;
+  return pos;
+}
+
+function readName(source, pos, pattern) {
+  let end = pos;
+  while (end < source.length && pattern.test(source[end])) end++;
+  return source.slice(pos, end);
+}
+
+// 문자열 리터럴 끝 다음 위치
+function skipString(source, pos) {
+  const quote = source[pos];
+  for (let i = pos + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === quote) return i + 1;
+    else if (source[i] === '\n') break;
+  }
+  return fail(source, pos, '문자열이 닫히지 않았습니다.');
+}
+
+// 템플릿 리터럴 끝 다음 위치 (${ } 안의 코드도 건너뜀)
+function skipTemplate(source, pos) {
+  for (let i = pos + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === '`') return i + 1;
+    else if (source[i] === '$' && source[i + 1] === '{') i = scanScript(source, i + 2, { untilBrace: true, jsx: false }).end;
+  }
+  return fail(source, pos, '템플릿 문자열이 닫히지 않았습니다.');
+}
+
+function skipRegex(source, pos) {
+  let inClass = false;
+  for (let i = pos + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') i++;
+    else if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) {
+      let end = i + 1;
+      while (end < source.length && /[a-z]/i.test(source[end])) end++;
+      return end;
+    } else if (char === '\n') {
+      break;
+    }
+  }
+  return fail(source, pos, '정규식이 닫히지 않았습니다.');
+}
+
+function atExpressionStart(source, pos, previous) {
+  if (!previous || EXPRESSION_PRECEDERS.test(previous)) return true;
+  return EXPRESSION_KEYWORDS.test(source.slice(Math.max(0, pos - 12), pos).trimEnd());
+}
+
+// 자바스크립트 코드를 건너뛰며 JSX 요소 수집
+// untilBrace면 짝이 맞는 }에서 멈추고 그 위치를 end로 반환합니다.
+function scanScript(source, start, { untilBrace = false, jsx = true } = {}) {
+  const elements = [];
+  let depth = 0;
+  let previous = '';
+  let pos = start;
+
+  while (pos < source.length) {
+    const char = source[pos];
+    const next = source[pos + 1];
+
+    if (/\s/.test(char)) {
+      pos++;
+    } else if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', pos);
+      pos = end === -1 ? source.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', pos + 2);
+      if (end === -1) fail(source, pos, '주석이 닫히지 않았습니다.');
+      pos = end + 2;
+    } else if (char === '"' || char === '\'') {
+      pos = skipString(source, pos);
+      previous = char;
+    } else if (char === '`') {
+      pos = skipTemplate(source, pos);
+      previous = char;
+    } else if (char === '/' && atExpressionStart(source, pos, previous)) {
+      pos = skipRegex(source, pos);
+      previous = char;
+    } else {
+      // 식이 올 자리의 <는 JSX로 읽되, TypeScript 제네릭이면 코드로 취급
+      const element = char === '<' && jsx && /[A-Za-z_$>]/.test(next || '') && atExpressionStart(source, pos, previous)
+        ? tryParseJsxElement(source, pos)
+        : null;
+      if (element) {
+        elements.push(element);
+        pos = element.end;
+        previous = ')';
+        continue;
+      }
+
+      if (char === '{') depth++;
+      if (char === '}') {
+        if (untilBrace && depth === 0) return { end: pos, elements };
+        depth--;
+      }
+      previous = char;
+      pos++;
+    }
+  }
+
+  if (untilBrace) fail(source, start - 1, '중괄호가 닫히지 않았습니다.');
+  return { end: pos, elements };
+}
+
+// TypeScript 제네릭 화살표 함수 (<T,>(x: T) => ..., <T extends U>(...) => ...)
+const GENERIC_ARROW = /^<\s*[A-Za-z_$][\w$]*\s*(,|extends\b)/;
+
+function tryParseJsxElement(source, pos) {
+  try {
+    return parseJsxElement(source, pos);
+  } catch (error) {
+    if (error instanceof ComponentSourceError && GENERIC_ARROW.test(source.slice(pos, pos + 64))) return null;
+    throw error;
+  }
+}
+
+// { 다음 위치부터 짝이 맞는 }까지의 표현식
+function readExpression(source, pos, options) {
+  const { end, elements } = scanScript(source, pos + 1, { untilBrace: true, ...options });
+  return { type: 'expression', code: source.slice(pos + 1, end), elements, start: pos, end: end + 1 };
+}
+
+const JSX_NAME = /[\w$\-:.]/;
+
+function parseJsxElement(source, start) {
+  let pos = skipSpace(source, start + 1);
+  // 이름이 없으면 프래그먼트(<>)
+  const name = readName(source, pos, JSX_NAME);
+  pos += name.length;
+
+  const attrs = [];
+  for (;;) {
+    pos = skipSpace(source, pos);
+    if (pos >= source.length) fail(source, start, '태그가 닫히지 않았습니다.');
+    if (source.startsWith('/>', pos)) {
+      return { type: 'element', name, attrs, children: [], selfClosing: true, start, openEnd: pos + 2, end: pos + 2 };
+    }
+    if (source[pos] === '>') {
+      pos++;
+      break;
+    }
+    if (source[pos] === '{') {
+      const expression = readExpression(source, pos);
+      if (!/^\s*\.\.\./.test(expression.code)) fail(source, pos, '속성 자리에는 전개 구문({...props})만 쓸 수 있습니다.');
+      attrs.push({ spread: true, code: expression.code.trim().slice(3), start: pos, end: expression.end });
+      pos = expression.end;
+      continue;
+    }
+
+    const attrName = readName(source, pos, JSX_NAME);
+    if (!attrName) fail(source, pos, `<${name}>의 속성을 읽을 수 없습니다.`);
+    const attr = { name: attrName, value: null, start: pos };
+    pos = skipSpace(source, pos + attrName.length);
+    if (source[pos] === '=') {
+      pos = skipSpace(source, pos + 1);
+      if (source[pos] === '"' || source[pos] === '\'') {
+        const close = source.indexOf(source[pos], pos + 1);
+        if (close === -1) fail(source, pos, '속성 값이 닫히지 않았습니다.');
+        attr.value = { type: 'string', text: source.slice(pos + 1, close), start: pos, end: close + 1 };
+      } else if (source[pos] === '{') {
+        attr.value = readExpression(source, pos);
+      } else if (source[pos] === '<') {
+        const element = parseJsxElement(source, pos);
+        attr.value = { type: 'expression', code: source.slice(pos, element.end), elements: [element], start: pos, end: element.end };
+      } else {
+        fail(source, pos, `${attrName} 속성 값을 읽을 수 없습니다.`);
+      }
+      pos = attr.value.end;
+    }
+    attr.end = pos;
+    attrs.push(attr);
+  }
+
+  const openEnd = pos;
+  const children = [];
+  for (;;) {
+    if (pos >= source.length) fail(source, start, `<${name}>의 닫는 태그가 없습니다.`);
+
+    if (source.startsWith('</', pos)) {
+      const closeStart = pos;
+      pos = skipSpace(source, pos + 2);
+      const closeName = readName(source, pos, JSX_NAME);
+      pos = skipSpace(source, pos + closeName.length);
+      if (closeName !== name || source[pos] !== '>') fail(source, closeStart, `<${name}>의 닫는 태그가 맞지 않습니다.`);
+      return { type: 'element', name, attrs, children, selfClosing: false, start, openEnd, closeStart, end: pos + 1 };
+    }
+
+    if (source[pos] === '<') {
+      const child = parseJsxElement(source, pos);
+      children.push(child);
+      pos = child.end;
+    } else if (source[pos] === '{') {
+      const expression = readExpression(source, pos);
+      children.push(expression);
+      pos = expression.end;
+    } else {
+      let end = pos;
+      while (end < source.length && source[end] !== '<' && source[end] !== '{') end++;
+      children.push({ type: 'text', start: pos, end });
+      pos = end;
+    }
+  }
+}
+
+// 리터럴 값 해석 (문자열·숫자·true/false/null/undefined, 아니면 undefined 반환)
+function evaluateLiteral(code) {
+  const text = code.trim();
+  let match = text.match(/^(['"])((?:\\.|(?!\1)[^\\])*)\1$/);
+  if (match) return { value: match[2].replace(/\\(.)/g, '$1') };
+  match = text.match(/^`([^`$\\]*)`$/);
+  if (match) return { value: match[1] };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { value: text };
+  if (text === 'true') return { value: true };
+  if (text === 'false') return { value: false };
+  if (text === 'null' || text === 'undefined') return { value: null };
+  return undefined;
+}
+
+// 리터럴 값만 쓴 스타일 객체를 CSS 선언으로 변환 ({ color: '#333', fontSize: 14 })
+function styleObjectToCss(code) {
+  const match = code.trim().match(/^\{([\s\S]*)\}$/);
+  if (!match) return null;
+
+  const declarations = [];
+  const pattern = /\s*(['"]?)([\w-]+)\1\s*:\s*('[^']*'|"[^"]*"|-?[\d.]+)\s*(?:,|$)/y;
+  const body = match[1].trim();
+  let pair;
+  while (pattern.lastIndex < body.length && (pair = pattern.exec(body))) {
+    const property = pair[2].includes('-') ? pair[2] : toKebab(pair[2]);
+    const raw = pair[3];
+    const value = /^['"]/.test(raw)
+      ? raw.slice(1, -1)
+      : (UNITLESS_PROPERTIES.has(property) || parseFloat(raw) === 0 ? raw : `${raw}px`);
+    declarations.push(`${property}: ${value}`);
+  }
+  if (pattern.lastIndex !== body.length && body.length > 0) return null;
+  return declarations.join('; ');
+}
+
+// 바인딩 값 → 출력할 속성 값
+// 리터럴이면 정적 값으로, 아니면 알 수 없는 값({표현식})으로 남깁니다.
+function boundValue(name, code) {
+  if (name === 'style') {
+    const css = styleObjectToCss(code);
+    return css === null ? { dynamic: code } : { text: css };
+  }
+
+  const literal = evaluateLiteral(code);
+  if (!literal) return { dynamic: code };
+  if (literal.value === null) return null;
+  if (typeof literal.value === 'boolean') {
+    // aria-*, data-*는 문자열로, 나머지 불리언 속성은 true면 속성만, false면 생략
+    if (/^(aria|data)-/.test(name)) return { text: String(literal.value) };
+    return literal.value ? {} : null;
+  }
+  return { text: literal.value };
+}
+
+// 속성 하나 변환: null(생략), { spread }, { content }(요소 내용을 채우는 속성), { name, value }
+// value: undefined(값 없는 속성), { raw }(원본 값 그대로), { text }(정적 값), { dynamic }(표현식)
+function transformAttribute(attr, dialect) {
+  if (attr.spread) return { spread: true };
+  const { name, value } = attr;
+
+  if (dialect === 'jsx') {
+    if (['key', 'ref', 'children'].includes(name)) return null;
+    if (name === 'dangerouslySetInnerHTML') return value && value.type === 'expression' ? { content: value.code } : null;
+    const htmlName = { className: 'class', htmlFor: 'for' }[name] || name;
+    if (!value) return { name: htmlName };
+    if (value.type === 'string') return { name: htmlName, value: { raw: value } };
+    const bound = boundValue(htmlName, value.code);
+    return bound && { name: htmlName, value: bound.text === undefined && bound.dynamic === undefined ? undefined : bound };
+  }
+
+  if (dialect === 'vue') {
+    const bind = name.match(/^(?:v-bind:|:)([^.]+)/);
+    if (name === 'v-bind') return { spread: true };
+    if (bind) {
+      if (['key', 'ref', 'is'].includes(bind[1])) return null;
+      const bound = value ? boundValue(bind[1], value.text) : { dynamic: bind[1] };
+      return bound && { name: bind[1], value: bound.text === undefined && bound.dynamic === undefined ? undefined : bound };
+    }
+    const on = name.match(/^(?:v-on:|@)([\w-]+)/);
+    if (on) return { name: `on${on[1].toLowerCase()}`, value: { dynamic: value ? value.text : on[1] } };
+    if (name === 'v-html' || name === 'v-text') return value ? { content: value.text } : null;
+    if (name.startsWith('v-') || name.startsWith('#') || ['key', 'ref', 'is'].includes(name)) return null;
+    return { name, value: value ? { raw: value } : undefined };
+  }
+
+  // svelte
+  const directive = name.match(/^(on|bind|class|style|use|transition|in|out|animate|let):(.+)$/);
+  if (directive) {
+    const [, kind, target] = directive;
+    const code = value ? value.code || value.text : target;
+    if (kind === 'on') return value ? { name: `on${target.split('|')[0].toLowerCase()}`, value: { dynamic: code } } : null;
+    if (kind === 'bind' && !['this', 'group'].includes(target)) return { name: target, value: { dynamic: code } };
+    return null;
+  }
+  if (name === 'this') return null;
+  if (!value) return { name };
+  if (value.type === 'expression') {
+    const bound = boundValue(name, value.code);
+    return bound && { name, value: bound.text === undefined && bound.dynamic === undefined ? undefined : bound };
+  }
+  return { name, value: { raw: value } };
+}
+
+// 태그 이름 변환: { tag }(출력할 태그, null이면 태그 없이 자식만), { link }(라우터 링크 → <a>)
+function resolveTag(name, dialect) {
+  if (dialect === 'svelte' && name.startsWith('svelte:')) {
+    return { tag: SVELTE_ELEMENTS.has(name) ? `x-${toKebab(name)}` : null };
+  }
+
+  const kebab = toKebab(name);
+  const isComponent = dialect === 'jsx'
+    ? name === '' || /^[A-Z]|\./.test(name)
+    : /[A-Z.]/.test(name) || (dialect === 'vue' && VUE_BUILTINS.has(kebab));
+  if (!isComponent) return { tag: name };
+
+  if (name === '' || WRAPPER_COMPONENTS.has(kebab)) return { tag: null };
+  if (LINK_COMPONENTS.has(kebab)) return { tag: 'a', link: true };
+  // 알 수 없는 컴포넌트는 사용자 정의 요소로 남김 (이름에 -가 있어야 HTML 요소와 겹치지 않음)
+  return { tag: kebab.includes('-') ? kebab : `x-${kebab}` };
+}
+
+// 변환한 속성 목록 (같은 이름이 여럿이면 정적 값을 우선)
+function transformAttributes(attrs, dialect, link) {
+  const result = { attributes: [], spread: false, content: null };
+
+  attrs.forEach(attr => {
+    const transformed = transformAttribute(attr, dialect);
+    if (!transformed) return;
+    if (transformed.spread) {
+      result.spread = true;
+      return;
+    }
+    if (transformed.content !== undefined) {
+      result.content = transformed.content;
+      return;
+    }
+
+    const name = link && transformed.name === 'to' ? 'href' : transformed.name;
+    const entry = { ...transformed, name };
+    const index = result.attributes.findIndex(item => item.name.toLowerCase() === name.toLowerCase());
+    if (index === -1) result.attributes.push(entry);
+    else if (result.attributes[index].value && result.attributes[index].value.dynamic !== undefined) result.attributes[index] = entry;
+  });
+
+  return result;
+}
+
+function renderAttribute(source, { name, value }) {
+  if (!value) return ` ${name}`;
+  if (value.raw) return ` ${name}=${source.slice(value.raw.start, value.raw.end)}`;
+  if (value.dynamic !== undefined) return ` ${name}="${escapeAttribute(`{${value.dynamic.trim()}}`)}"`;
+  return ` ${name}="${escapeAttribute(value.text)}"`;
+}
+
+// 시작 태그 출력 (요소 내용을 채우는 속성이 있으면 알 수 없는 텍스트로 추가)
+function writeStartTag(output, tag, transformed, start, end) {
+  const generated = output.text.length;
+  const attributes = transformed.attributes.map(attr => renderAttribute(output.source, attr)).join('');
+  output.write(`<${tag}${attributes}>`, start, end);
+  if (transformed.spread) output.map.spreadOffsets.add(generated);
+  if (transformed.content !== null) output.write(escapeText(`{${transformed.content.trim()}}`), start, end);
+}
+
+// 표현식 자리의 출력: 안에 JSX가 있으면 그 요소들, 리터럴 문자열이면 텍스트, 아니면 알 수 없는 텍스트
+function emitJsxExpression(output, expression) {
+  if (expression.elements.length > 0) {
+    expression.elements.forEach(element => emitJsxElement(output, element));
+    return;
+  }
+
+  const code = expression.code.replace(/\/\*[\s\S]*?\*\//g, '').trim();
+  if (!code) return;
+  const literal = evaluateLiteral(code);
+  if (literal) {
+    if (literal.value !== null && typeof literal.value !== 'boolean') output.write(escapeText(String(literal.value)), expression.start, expression.end);
+    return;
+  }
+  output.write(escapeText(`{${code}}`), expression.start, expression.end);
+}
+
+function emitJsxElement(output, element) {
+  const { tag, link } = resolveTag(element.name, 'jsx');
+
+  if (tag) {
+    writeStartTag(output, tag, transformAttributes(element.attrs, 'jsx', link), element.start, element.openEnd);
+  }
+
+  element.children.forEach(child => {
+    if (child.type === 'text') output.copy(child.start, child.end);
+    else if (child.type === 'expression') emitJsxExpression(output, child);
+    else emitJsxElement(output, child);
+  });
+
+  if (tag && !VOID_TAGS.has(tag)) {
+    const start = element.selfClosing ? element.openEnd - 2 : element.closeStart;
+    output.write(`</${tag}>`, start, element.end);
+  }
+}
+
+function convertJsx(output) {
+  const { elements } = scanScript(output.source, 0);
+  if (elements.length === 0) throw new ComponentSourceError('JSX 마크업을 찾을 수 없습니다.');
+
+  elements.forEach((element, index) => {
+    if (index > 0) output.write('\n', element.start, element.start);
+    emitJsxElement(output, element);
+  });
+}
+
+const MARKUP_ATTRIBUTE_NAME = /[^\s=/>"'{]/;
+
+// Vue·Svelte 템플릿의 시작 태그 읽기
+function parseMarkupTag(source, start, limit, dialect) {
+  let pos = start + 1;
+  const name = readName(source, pos, /[\w\-:.]/);
+  pos += name.length;
+
+  const attrs = [];
+  for (;;) {
+    pos = skipSpace(source, pos);
+    if (pos >= limit) fail(source, start, `<${name}> 태그가 닫히지 않았습니다.`);
+    if (source.startsWith('/>', pos)) return { name, attrs, selfClosing: true, start, end: pos + 2 };
+    if (source[pos] === '>') return { name, attrs, selfClosing: false, start, end: pos + 1 };
+
+    // Svelte의 {name} 축약형과 {...props}
+    if (source[pos] === '{' && dialect === 'svelte') {
+      const expression = readExpression(source, pos, { jsx: false });
+      const code = expression.code.trim();
+      attrs.push(code.startsWith('...') ? { spread: true } : { name: code, value: { type: 'expression', code } });
+      pos = expression.end;
+      continue;
+    }
+
+    const attrName = readName(source, pos, MARKUP_ATTRIBUTE_NAME);
+    if (!attrName) {
+      pos++;
+      continue;
+    }
+    let value = null;
+    pos = skipSpace(source, pos + attrName.length);
+    if (source[pos] === '=') {
+      pos = skipSpace(source, pos + 1);
+      if (source[pos] === '"' || source[pos] === '\'') {
+        const close = source.indexOf(source[pos], pos + 1);
+        if (close === -1) fail(source, pos, '속성 값이 닫히지 않았습니다.');
+        value = { type: 'string', text: source.slice(pos + 1, close), start: pos, end: close + 1 };
+        // Svelte는 따옴표 안의 값 전체가 {…} 하나면 표현식
+        if (dialect === 'svelte' && /^\{[\s\S]*\}$/.test(value.text)) {
+          const inner = readExpression(value.text, 0, { jsx: false });
+          if (inner.end === value.text.length) value = { ...value, type: 'expression', code: inner.code };
+        }
+        pos = close + 1;
+      } else if (source[pos] === '{' && dialect === 'svelte') {
+        const expression = readExpression(source, pos, { jsx: false });
+        value = { type: 'expression', code: expression.code, start: pos, end: expression.end };
+        pos = expression.end;
+      } else {
+        const raw = readName(source, pos, /[^\s>]/);
+        value = { type: 'string', text: raw, start: pos, end: pos + raw.length };
+        pos += raw.length;
+      }
+    }
+    attrs.push({ name: attrName, value });
+  }
+}
+
+// 원시 텍스트 요소(script, style)의 닫는 태그 끝 위치
+function rawElementEnd(source, tag, from, limit) {
+  const match = new RegExp(`</${tag}\\s*>`, 'i').exec(source.slice(from, limit));
+  if (!match) fail(source, from, `<${tag}>의 닫는 태그가 없습니다.`);
+  return { contentEnd: from + match.index, end: from + match.index + match[0].length };
+}
+
+// 스타일 블록 출력 (lang을 지정한 전처리기 문법은 제외)
+function emitStyle(output, tag, contentEnd, end) {
+  const lang = tag.attrs.find(attr => attr.name === 'lang');
+  if (lang && lang.value && !/^css$/i.test(lang.value.text)) return;
+  output.write('<style>', tag.start, tag.end);
+  output.copy(tag.end, contentEnd);
+  output.write('</style>', contentEnd, end);
+}
+
+// Vue·Svelte 템플릿 마크업 변환 ([start, limit) 구간)
+function convertMarkup(output, start, limit, dialect) {
+  const source = output.source;
+  let pos = start;
+  let textStart = pos;
+
+  const flushText = () => {
+    output.copy(textStart, pos);
+  };
+
+  while (pos < limit) {
+    const char = source[pos];
+
+    if (char === '<' && source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos + 4);
+      const commentEnd = end === -1 || end + 3 > limit ? limit : end + 3;
+      flushText();
+      output.copy(pos, commentEnd);
+      pos = textStart = commentEnd;
+    } else if (char === '<' && source[pos + 1] === '/') {
+      flushText();
+      const close = source.indexOf('>', pos);
+      if (close === -1 || close >= limit) fail(source, pos, '닫는 태그가 닫히지 않았습니다.');
+      const { tag } = resolveTag(source.slice(pos + 2, close).trim(), dialect);
+      if (tag) output.write(`</${tag}>`, pos, close + 1);
+      pos = textStart = close + 1;
+    } else if (char === '<' && /[A-Za-z]/.test(source[pos + 1] || '')) {
+      flushText();
+      const tagInfo = parseMarkupTag(source, pos, limit, dialect);
+      const lowerName = tagInfo.name.toLowerCase();
+
+      if (lowerName === 'script' || lowerName === 'style') {
+        const { contentEnd, end } = tagInfo.selfClosing ? { contentEnd: tagInfo.end, end: tagInfo.end } : rawElementEnd(source, lowerName, tagInfo.end, limit);
+        if (lowerName === 'style') emitStyle(output, tagInfo, contentEnd, end);
+        pos = textStart = end;
+        continue;
+      }
+
+      const { tag, link } = resolveTag(tagInfo.name, dialect);
+      if (tag) {
+        writeStartTag(output, tag, transformAttributes(tagInfo.attrs, dialect, link), tagInfo.start, tagInfo.end);
+        if (tagInfo.selfClosing && !VOID_TAGS.has(tag)) output.write(`</${tag}>`, tagInfo.end - 2, tagInfo.end);
+      }
+      pos = textStart = tagInfo.end;
+    } else if (char === '<') {
+      // 태그가 아닌 <는 텍스트로 이스케이프
+      flushText();
+      output.write('&lt;', pos, pos + 1);
+      pos = textStart = pos + 1;
+    } else if (dialect === 'vue' && source.startsWith('{{', pos)) {
+      flushText();
+      const close = source.indexOf('}}', pos + 2);
+      if (close === -1 || close >= limit) fail(source, pos, '{{ }} 보간이 닫히지 않았습니다.');
+      const text = source.slice(pos, close + 2);
+      output.write(escapeText(text), pos, close + 2);
+      pos = textStart = close + 2;
+    } else if (dialect === 'svelte' && /^\{\s*\//.test(source.slice(pos, pos + 32))) {
+      // {/if}, {/each} 같은 닫는 블록 (/를 정규식으로 읽지 않도록 먼저 처리)
+      flushText();
+      const close = source.indexOf('}', pos);
+      if (close === -1 || close >= limit) fail(source, pos, '블록 구문이 닫히지 않았습니다.');
+      pos = textStart = close + 1;
+    } else if (dialect === 'svelte' && char === '{') {
+      flushText();
+      const expression = readExpression(source, pos, { jsx: false });
+      const code = expression.code.trim();
+      // {#if}, {:else} 같은 블록 구문과 {@const}, {@debug}는 출력하지 않음
+      if (/^@html\s/.test(code)) {
+        output.write(escapeText(`{${code.slice(5).trim()}}`), pos, expression.end);
+      } else if (!/^[#:]|^@(const|debug)\b/.test(code)) {
+        output.write(escapeText(`{${code}}`), pos, expression.end);
+      }
+      pos = textStart = expression.end;
+    } else {
+      pos++;
+    }
+  }
+
+  flushText();
+}
+
+// 최상위 블록 (<template>, <script>, <style>) 찾기
+function findTopLevelBlocks(source) {
+  const blocks = [];
+  const open = /<!--[\s\S]*?-->|<(template|script|style)\b/gi;
+  let match;
+
+  while ((match = open.exec(source))) {
+    if (!match[1]) continue;
+    const name = match[1].toLowerCase();
+    const tag = parseMarkupTag(source, match.index, source.length, 'html');
+    let contentEnd;
+    let end;
+
+    if (tag.selfClosing) {
+      contentEnd = end = tag.end;
+    } else if (name === 'template') {
+      // 안쪽 <template>과 짝을 맞춰 바깥 블록의 끝 찾기
+      const nested = /<(\/?)template\b[^>]*?(\/?)>/gi;
+      nested.lastIndex = tag.end;
+      let depth = 1;
+      let item;
+      while (depth > 0 && (item = nested.exec(source))) {
+        if (item[1]) depth--;
+        else if (!item[2]) depth++;
+      }
+      if (depth > 0) fail(source, match.index, '<template>의 닫는 태그가 없습니다.');
+      contentEnd = item.index;
+      end = nested.lastIndex;
+    } else {
+      ({ contentEnd, end } = rawElementEnd(source, name, tag.end, source.length));
+    }
+
+    blocks.push({ name, tag, contentEnd, end });
+    open.lastIndex = end;
+  }
+
+  return blocks;
+}
+
+function convertVue(output) {
+  const blocks = findTopLevelBlocks(output.source);
+  const template = blocks.find(block => block.name === 'template');
+  if (!template) throw new ComponentSourceError('Vue 파일에서 <template> 블록을 찾을 수 없습니다.');
+
+  const lang = template.tag.attrs.find(attr => attr.name === 'lang');
+  if (lang && lang.value && !/^html$/i.test(lang.value.text)) {
+    throw new ComponentSourceError(`lang="${lang.value.text}" 템플릿은 지원하지 않습니다. HTML 템플릿만 분석할 수 있습니다.`);
+  }
+
+  convertMarkup(output, template.tag.end, template.contentEnd, 'vue');
+  blocks.filter(block => block.name === 'style').forEach(block => emitStyle(output, block.tag, block.contentEnd, block.end));
+}
+
+// Svelte는 최상위 <script>, <style>을 뺀 나머지가 모두 마크업
+function convertSvelte(output) {
+  const blocks = findTopLevelBlocks(output.source).filter(block => block.name !== 'template');
+  let pos = 0;
+
+  blocks.forEach(block => {
+    convertMarkup(output, pos, block.tag.start, 'svelte');
+    pos = block.end;
+  });
+  convertMarkup(output, pos, output.source.length, 'svelte');
+
+  blocks.filter(block => block.name === 'style').forEach(block => emitStyle(output, block.tag, block.contentEnd, block.end));
+}
+
+// 컴포넌트 소스 → { html, sourceMap }
+function convertComponent(source, type) {
+  const output = new Output(source);
+  if (type === 'jsx') convertJsx(output);
+  else if (type === 'vue') convertVue(output);
+  else if (type === 'svelte') convertSvelte(output);
+  else throw new ComponentSourceError(`변환할 수 없는 소스 형식: ${type}`);
+
+  return { html: output.text, sourceMap: output.map };
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  ComponentSourceError,
+  isDynamicValue,
+  resolveSourceType,
+  convertComponent
+};
@@ -0,0 +1,79 @@
+// 보고서용 요소 위치 정보
+// 업로드된 HTML의 줄/열, 고유 CSS 선택자, 잘라낸 outerHTML을 만들어
+// 비슷한 요소가 많아도 문제 위치로 바로 찾아갈 수 있게 합니다.
+
+const SNIPPET_MAX_LENGTH = 200;
+
+// CSS 식별자로 그대로 쓸 수 있는 id인지
+const SAFE_IDENTIFIER = /^[A-Za-z_][\w-]*$/;
+
+// 원본 HTML에서의 시작 위치 (파서가 보완한 요소는 null)
+// 컴포넌트 소스를 변환해 분석한 경우 sourceMap으로 원본 파일의 줄/열을 찾습니다.
+function getLocation(el, sourceMap) {
+  const location = el && el.sourceCodeLocation;
+  if (!location) return null;
+  if (sourceMap) return sourceMap.locate(location.startOffset, location.endOffset);
+  return {
+    line: location.startLine,
+    column: location.startCol,
+    endLine: location.endLine,
+    endColumn: location.endCol
+  };
+}
+
+function getElementParent(el) {
+  let parent = el.parent;
+  while (parent && parent.type !== 'tag') {
+    parent = parent.parent;
+  }
+  return parent || null;
+}
+
+// 같은 부모 안에서 고유하게 가리키는 선택자 조각
+function selectorSegment(el) {
+  const tag = el.tagName.toLowerCase();
+  const parent = el.parent;
+  if (!parent || !parent.children) return tag;
+
+  const sameTag = parent.children.filter(child => child.type === 'tag' && child.tagName === el.tagName);
+  if (sameTag.length === 1) return tag;
+  return `${tag}:nth-of-type(${sameTag.indexOf(el) + 1})`;
+}
+
+// 고유 CSS 선택자 경로 (가장 가까운 고유 id 조상부터 시작)
+function getUniqueSelector($, el) {
+  const segments = [];
+
+  for (let node = el; node; node = getElementParent(node)) {
+    const id = node.attribs && node.attribs.id;
+    if (id && SAFE_IDENTIFIER.test(id) && $(`[id="${id}"]`).length === 1) {
+      segments.unshift(`#${id}`);
+      break;
+    }
+    segments.unshift(selectorSegment(node));
+  }
+
+  return segments.join(' > ');
+}
+
+// 공백을 정리하고 길이를 제한한 outerHTML
+function getSnippet($, el, maxLength = SNIPPET_MAX_LENGTH) {
+  const html = $.html(el).replace(/\s+/g, ' ').trim();
+  if (html.length <= maxLength) return html;
+  return `${html.slice(0, maxLength - 1)}…`;
+}
+
+function describeNode($, el, sourceMap) {
+  return {
+    location: getLocation(el, sourceMap),
+    selector: getUniqueSelector($, el),
+    snippet: getSnippet($, el)
+  };
+}
+
+module.exports = {
+  getLocation,
+  getUniqueSelector,
+  getSnippet,
+  describeNode
+};
@@ -0,0 +1,233 @@
+// 포커스 표시 스타일 분석
+// StyleResolver는 :focus 같은 상호작용 상태를 계산에서 제외하므로,
+// 수집된 스타일시트 규칙을 직접 살펴 포커스 상태에서 적용되는 선언을 찾습니다.
+
+const tinycolor = require('tinycolor2');
+const { parseDeclarations, calculateSpecificity, compareSpecificity, splitOutside } = require('./style-resolver');
+const { isFocusable } = require('./aria');
+
+// :focus, :focus-visible (:focus-within은 조상 요소에 적용되므로 제외)
+const FOCUS_PSEUDO = /:focus(?:-visible)?(?![\w-])/gi;
+// 마우스 포커스에만 적용되는 규칙 (:focus:not(:focus-visible))
+const KEYBOARD_EXCLUDED = /:not\(\s*:focus-visible\s*\)/gi;
+// 포커스와 함께 다른 상태가 필요한 규칙은 키보드 포커스만으로는 적용되지 않음
+const OTHER_STATES = /:(hover|active|visited|target|checked)(?![\w-])/i;
+const PSEUDO_ELEMENT = /::?(before|after)$/i;
+
+// 포커스 테두리 대신 쓸 수 있는 표시 속성
+const INDICATOR_PROPERTIES = /^(box-shadow|border(-(top|right|bottom|left))?(-(color|width|style))?|background(-color)?|text-decoration(-line)?)$/;
+
+// 캐시 (스타일 계산기마다 한 번만 수집)
+const collected = new WeakMap();
+// 요소별 포커스 분석 결과 캐시 (스타일 계산기 → 요소 → 결과)
+const analyzed = new WeakMap();
+
+// 마지막 복합 선택자 (선택자가 가리키는 요소)
+function subjectCompound(selector) {
+  const parts = splitOutside(selector.replace(/\s*([>+~])\s*/g, ' $1 '), ' ');
+  return parts[parts.length - 1] || '';
+}
+
+// 선택자를 포커스 상태 정보와 상태를 뺀 기본 선택자로 분리
+function parseFocusSelector(selector) {
+  const subject = subjectCompound(selector);
+  const keyboardExcluded = KEYBOARD_EXCLUDED.test(subject);
+  KEYBOARD_EXCLUDED.lastIndex = 0;
+
+  const withoutExclusion = subject.replace(KEYBOARD_EXCLUDED, '');
+  const focus = FOCUS_PSEUDO.test(withoutExclusion);
+  FOCUS_PSEUDO.lastIndex = 0;
+
+  const prefix = selector.slice(0, selector.length - subject.length);
+  const strippedSubject = withoutExclusion.replace(FOCUS_PSEUDO, '');
+  const pseudoElement = PSEUDO_ELEMENT.test(strippedSubject);
+  const base = `${prefix}${strippedSubject.replace(PSEUDO_ELEMENT, '')}`.trim();
+
+  return {
+    base: !base || /[>+~]$/.test(base) ? `${base} *`.trim() : base,
+    focus,
+    keyboardExcluded,
+    pseudoElement,
+    otherState: OTHER_STATES.test(selector)
+  };
+}
+
+// 문서의 모든 스타일 규칙을 선택자 단위 항목으로 수집 (기기 프로필과 맞지 않는 미디어 조건의 규칙 제외)
+function collectEntries(styles) {
+  if (collected.has(styles)) return collected.get(styles);
+
+  const entries = [];
+  styles.rules.filter(rule => styles.appliesMedia(rule.media)).forEach(rule => {
+    rule.selectors.forEach(selector => {
+      const parsed = parseFocusSelector(selector);
+      if (parsed.otherState || parsed.keyboardExcluded) return;
+      entries.push({
+        selector,
+        ...parsed,
+        declarations: rule.declarations,
+        specificity: calculateSpecificity(selector),
+        order: entries.length
+      });
+    });
+  });
+
+  collected.set(styles, entries);
+  return entries;
+}
+
+// 항목의 기본 선택자와 일치하는 요소 집합 (항목마다 한 번만 조회)
+function matchedElements($, entry) {
+  if (!entry.elements) {
+    try {
+      entry.elements = new Set($(entry.base).toArray());
+    } catch (error) {
+      entry.elements = new Set(); // 지원하지 않는 선택자는 무시
+    }
+  }
+  return entry.elements;
+}
+
+function isZeroLength(token) {
+  return /^0(\.0+)?([a-z]+)?$/i.test(token);
+}
+
+// 값에서 색상 토큰 추출
+function findColor(value) {
+  const token = splitOutside(value, ' ').find(part => /^(#|rgba?\(|hsla?\(|[a-z]+$)/i.test(part) && tinycolor(part).isValid());
+  return token || null;
+}
+
+// outline 선언 분류: remove(테두리 제거), restore(테두리 지정), null(색상·오프셋 등 영향 없음)
+function classifyOutline(declaration) {
+  const value = declaration.value.trim().toLowerCase();
+  switch (declaration.property) {
+    case 'outline': {
+      const tokens = splitOutside(value, ' ');
+      const color = findColor(value);
+      if (tokens.includes('none') || tokens.some(isZeroLength) || (color && tinycolor(color).getAlpha() === 0)) return 'remove';
+      return 'restore';
+    }
+    case 'outline-style':
+      return value === 'none' ? 'remove' : 'restore';
+    case 'outline-width':
+      return isZeroLength(value) ? 'remove' : 'restore';
+    case 'outline-color':
+      return tinycolor(value).isValid() && tinycolor(value).getAlpha() === 0 ? 'remove' : null;
+    default:
+      return null;
+  }
+}
+
+// 눈에 보이는 대체 표시인지 (none, 0, transparent 제외)
+function isVisibleIndicator(declaration) {
+  if (!INDICATOR_PROPERTIES.test(declaration.property)) return false;
+  const value = declaration.value.trim().toLowerCase();
+  if (['none', 'transparent', 'initial', 'unset', 'inherit'].includes(value)) return false;
+  if (declaration.property === 'box-shadow') {
+    // 크기가 모두 0인 그림자는 보이지 않음
+    return splitOutside(value, ',').some(shadow => splitOutside(shadow, ' ').some(token => /^-?[\d.]+[a-z]*$/.test(token) && !isZeroLength(token)));
+  }
+  const tokens = splitOutside(value, ' ');
+  return !tokens.includes('none') && !tokens.every(isZeroLength);
+}
+
+// 키보드 포커스를 받았을 때 요소에 적용되는 선언 목록 (캐스케이드 순서 정보 포함)
+function getFocusDeclarations(context, el) {
+  const { $, styles } = context;
+  const declarations = [];
+
+  collectEntries(styles).forEach(entry => {
+    if (!matchedElements($, entry).has(el)) return;
+    entry.declarations.forEach(declaration => {
+      declarations.push({ ...declaration, entry, specificity: entry.specificity, order: entry.order });
+    });
+  });
+
+  const inline = el.attribs && el.attribs.style;
+  if (inline) {
+    parseDeclarations(inline).forEach(declaration => {
+      declarations.push({ ...declaration, entry: null, specificity: [Infinity, 0, 0], order: Infinity });
+    });
+  }
+
+  return declarations;
+}
+
+function outranks(a, b) {
+  if (a.important !== b.important) return a.important;
+  const bySpecificity = compareSpecificity(a.specificity, b.specificity);
+  if (bySpecificity !== 0) return bySpecificity > 0;
+  return a.order >= b.order;
+}
+
+// 요소의 포커스 표시 분석
+// outline: 캐스케이드에서 이긴 outline 선언 (없으면 브라우저 기본 포커스 링)
+// removed: outline을 없애는 선언이 이겼는지
+// indicators: 포커스 상태 규칙에서 지정한 대체 표시 선언
+function analyzeFocus(context, el) {
+  if (!analyzed.has(context.styles)) analyzed.set(context.styles, new WeakMap());
+  const cache = analyzed.get(context.styles);
+  if (cache.has(el)) return cache.get(el);
+
+  const declarations = getFocusDeclarations(context, el);
+
+  const outline = declarations
+    .filter(declaration => !(declaration.entry && declaration.entry.pseudoElement) && classifyOutline(declaration) !== null)
+    .reduce((winner, declaration) => (!winner || outranks(declaration, winner) ? declaration : winner), null);
+
+  const indicators = declarations.filter(declaration => declaration.entry && declaration.entry.focus && isVisibleIndicator(declaration));
+
+  const result = {
+    outline,
+    removed: Boolean(outline && classifyOutline(outline) === 'remove'),
+    indicators,
+    declarations
+  };
+  cache.set(el, result);
+  return result;
+}
+
+// 포커스를 받을 수 있고 화면에 렌더링되는 요소
+function getFocusTargets(context) {
+  const { $, styles } = context;
+  return $('body *').toArray().filter(el => isFocusable(el) && styles.isRendered(el));
+}
+
+// 포커스 상태에서 지정한 표시 색상 목록
+// placement가 outer면 요소 바깥 배경, inner면 요소 자체 배경과 비교
+function getIndicatorColors(context, el, focus) {
+  const { styles } = context;
+  const colors = [];
+  const currentColor = styles.getComputedStyle(el).color;
+
+  if (focus.outline && !focus.removed && focus.outline.entry && focus.outline.entry.focus) {
+    const color = focus.outline.property === 'outline' ? findColor(focus.outline.value) : null;
+    const explicit = focus.declarations.find(declaration => declaration.property === 'outline-color' && declaration.entry && declaration.entry.focus);
+    colors.push({ property: 'outline', color: color || (explicit && explicit.value) || currentColor, placement: 'outer' });
+  }
+
+  focus.indicators.forEach(declaration => {
+    const { property, value } = declaration;
+    if (property === 'box-shadow') {
+      splitOutside(value, ',').forEach(shadow => {
+        const color = findColor(shadow) || currentColor;
+        colors.push({ property, color, placement: /\binset\b/i.test(shadow) ? 'inner' : 'outer' });
+      });
+    } else if (property.startsWith('border')) {
+      colors.push({ property, color: findColor(value) || currentColor, placement: 'outer' });
+    } else if (property.startsWith('background')) {
+      const color = findColor(value);
+      if (color) colors.push({ property, color, placement: 'inner' });
+    }
+  });
+
+  return colors.filter(item => tinycolor(item.color).isValid());
+}
+
+module.exports = {
+  parseFocusSelector,
+  classifyOutline,
+  analyzeFocus,
+  getFocusTargets,
+  getIndicatorColors
+};
@@ -0,0 +1,95 @@
+// 폼 유틸리티
+// 제출 컨트롤 판별, autocomplete 토큰 검증, 개인정보 입력 필드의 입력 목적 추정
+
+// 텍스트 입력으로 취급하는 input 유형
+const TEXT_INPUT_TYPES = new Set(['text', 'email', 'tel', 'url', 'search', 'password', 'number', 'date', 'month']);
+
+// HTML autofill 필드 이름 (WCAG 1.3.5 입력 목적 목록과 동일)
+const FIELD_NAMES = new Set([
+  'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+  'nickname', 'organization-title', 'username', 'new-password', 'current-password', 'one-time-code',
+  'organization', 'street-address', 'address-line1', 'address-line2', 'address-line3',
+  'address-level4', 'address-level3', 'address-level2', 'address-level1', 'country', 'country-name',
+  'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number',
+  'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type', 'transaction-currency',
+  'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month', 'bday-year', 'sex', 'url', 'photo'
+]);
+
+// 연락처 필드 (home, work 등 수식어를 앞에 붙일 수 있음)
+const CONTACT_FIELD_NAMES = new Set([
+  'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local', 'tel-local-prefix',
+  'tel-local-suffix', 'tel-extension', 'email', 'impp'
+]);
+const CONTACT_QUALIFIERS = new Set(['home', 'work', 'mobile', 'fax', 'pager']);
+
+// 이름·id·라벨로 입력 목적 추정 (먼저 맞는 항목 우선)
+const PURPOSE_PATTERNS = [
+  ['email', /e-?mail|메일/i],
+  ['tel', /phone|^tel|mobile|휴대|전화|연락처/i],
+  ['username', /user.?(name|id)|login.?id|아이디/i],
+  ['organization', /company|organi[sz]ation|회사|소속/i],
+  ['given-name', /first.?name|given.?name/i],
+  ['family-name', /last.?name|family.?name|surname/i],
+  ['postal-code', /zip|postal|post.?code|우편/i],
+  ['street-address', /address|addr|주소/i],
+  ['bday', /birth|bday|생년|생일/i],
+  ['cc-number', /card.?(no|num)|cc.?num|카드.?번호/i],
+  ['country-name', /country|국가/i],
+  ['name', /^(full.?)?name$|이름|성명/i]
+];
+
+// 폼을 제출하는 컨트롤인지
+function isSubmitControl(el) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.attribs.type || '').toLowerCase();
+  if (tag === 'input') return type === 'submit' || type === 'image';
+  // type 없는 button은 폼 안에서 제출 버튼으로 동작
+  return tag === 'button' && (type === 'submit' || (!type && (el.attribs.form !== undefined || hasFormAncestor(el))));
+}
+
+function hasFormAncestor(el) {
+  for (let node = el.parent; node && node.type === 'tag'; node = node.parent) {
+    if (node.tagName.toLowerCase() === 'form') return true;
+  }
+  return false;
+}
+
+// autocomplete 값 검증 ([section-*] [shipping|billing] [수식어] 필드이름 [webauthn])
+function isValidAutocomplete(value) {
+  const tokens = (value || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return false;
+  if (tokens.length === 1 && (tokens[0] === 'on' || tokens[0] === 'off')) return true;
+
+  if (tokens[tokens.length - 1] === 'webauthn') tokens.pop();
+  const field = tokens.pop();
+  if (!FIELD_NAMES.has(field) && !CONTACT_FIELD_NAMES.has(field)) return false;
+
+  if (CONTACT_FIELD_NAMES.has(field) && CONTACT_QUALIFIERS.has(tokens[tokens.length - 1])) tokens.pop();
+  if (tokens[tokens.length - 1] === 'shipping' || tokens[tokens.length - 1] === 'billing') tokens.pop();
+  if (tokens.length > 0 && tokens[0].startsWith('section-') && tokens[0].length > 8) tokens.shift();
+  return tokens.length === 0;
+}
+
+// 개인정보 입력 필드면 예상 autocomplete 값, 아니면 null
+function guessAutocomplete(el, label) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.attribs.type || 'text').toLowerCase();
+  if (tag === 'input' && !TEXT_INPUT_TYPES.has(type)) return null;
+  if (tag !== 'input' && tag !== 'select' && tag !== 'textarea') return null;
+
+  if (type === 'email') return 'email';
+  if (type === 'tel') return 'tel';
+  if (type === 'password') {
+    return /new|confirm|신규|새|확인/i.test([el.attribs.name, el.attribs.id, label].join(' ')) ? 'new-password' : 'current-password';
+  }
+
+  const candidates = [el.attribs.name, el.attribs.id, label].filter(Boolean).map(text => text.trim());
+  const match = PURPOSE_PATTERNS.find(([, pattern]) => candidates.some(text => pattern.test(text)));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  isSubmitControl,
+  isValidAutocomplete,
+  guessAutocomplete
+};
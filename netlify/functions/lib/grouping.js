@@ -0,0 +1,49 @@
+// 반복되는 이슈 묶기
+// 같은 규칙·같은 원인(같은 색상 조합, 같은 CSS 규칙 등)으로 생긴 이슈를 하나로 묶고
+// 발생 횟수와 해당 요소 목록을 붙입니다. 규칙은 issue.groupKey로 원인을 직접 지정할 수 있으며,
+// 지정하지 않으면 같은 설명을 가진 이슈끼리 묶습니다.
+
+// 요소마다 다른 위치 정보 (묶음의 elements 목록으로 이동)
+const OCCURRENCE_FIELDS = ['element', 'location', 'selector', 'snippet'];
+
+function groupKeyOf(issue) {
+  const cause = issue.groupKey !== undefined ? issue.groupKey : `${issue.rule}|${issue.description}`;
+  return `${issue.ruleId}|${cause}`;
+}
+
+function occurrenceOf(issue) {
+  return OCCURRENCE_FIELDS.reduce((occurrence, field) => {
+    if (issue[field] !== undefined) occurrence[field] = issue[field];
+    return occurrence;
+  }, {});
+}
+
+// 내부용 groupKey 제거
+function stripGroupKey(issue) {
+  const { groupKey, ...rest } = issue;
+  return rest;
+}
+
+// 이슈 목록을 원인별 묶음으로 변환 (처음 발견된 순서 유지)
+// 대표 위치는 첫 요소를 사용하고, 모든 요소는 elements에 담습니다.
+function groupIssues(issues) {
+  const groups = new Map();
+
+  issues.forEach(issue => {
+    const key = groupKeyOf(issue);
+    if (!groups.has(key)) {
+      groups.set(key, { ...stripGroupKey(issue), occurrences: 0, elements: [] });
+    }
+    const group = groups.get(key);
+    group.occurrences++;
+    const occurrence = occurrenceOf(issue);
+    if (Object.keys(occurrence).length > 0) group.elements.push(occurrence);
+  });
+
+  return Array.from(groups.values());
+}
+
+module.exports = {
+  groupIssues,
+  stripGroupKey
+};
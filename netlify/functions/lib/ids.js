@@ -0,0 +1,52 @@
+// id 참조 유틸리티
+// ARIA 속성, label[for], 표의 headers 등 다른 요소를 id로 가리키는 속성을 수집합니다.
+
+const { ATTRIBUTES } = require('./aria');
+const { isDynamicValue } = require('./component-source');
+
+// id 목록을 값으로 갖는 HTML 속성
+const HTML_IDREF_ATTRIBUTES = ['for', 'headers', 'list', 'form', 'popovertarget', 'commandfor'];
+
+const IDREF_ATTRIBUTES = [
+  ...Object.keys(ATTRIBUTES).filter(name => ['idref', 'idrefs'].includes(ATTRIBUTES[name].type)),
+  ...HTML_IDREF_ATTRIBUTES
+];
+
+// 참조된 id → [{ el, attribute }]
+function getIdReferences($) {
+  const references = new Map();
+
+  $(IDREF_ATTRIBUTES.map(name => `[${name}]`).join(', ')).each((i, el) => {
+    IDREF_ATTRIBUTES.forEach(attribute => {
+      const value = el.attribs[attribute];
+      // 바인딩한 값은 어떤 id를 가리킬지 알 수 없음
+      if (!value || isDynamicValue(value)) return;
+      value.trim().split(/\s+/).forEach(id => {
+        if (!references.has(id)) references.set(id, []);
+        references.get(id).push({ el, attribute });
+      });
+    });
+  });
+
+  return references;
+}
+
+// 두 번 이상 쓰인 id → 해당 요소 목록
+function getDuplicateIds($) {
+  const elements = new Map();
+  $('[id]').each((i, el) => {
+    const id = el.attribs.id;
+    // 목록에서 반복 렌더링하는 바인딩 id는 실행 시 서로 다른 값이 될 수 있음
+    if (!id || isDynamicValue(id)) return;
+    if (!elements.has(id)) elements.set(id, []);
+    elements.get(id).push(el);
+  });
+
+  return new Map([...elements].filter(([, list]) => list.length > 1));
+}
+
+module.exports = {
+  IDREF_ATTRIBUTES,
+  getIdReferences,
+  getDuplicateIds
+};
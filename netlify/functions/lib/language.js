@@ -0,0 +1,175 @@
+// 언어 태그(BCP 47) 검증과 문자 체계 판별
+// lang 속성이 올바른지 확인하고, 문서 언어와 다른 문자로 쓰인 문단을 찾는 데 사용합니다.
+
+// ISO 639-1 두 글자 언어 코드
+const ISO_639_1 = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+  'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+  'hy hz ia id ie ig ii ik in io is it iu iw ja ji jv jw ka kg ki kj kk kl km kn ko kr ks ku kv kw ' +
+  'ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mo mr ms mt my na nb nd ne ng nl nn no nr nv ' +
+  'ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg sh si sk sl sm sn so sq sr ' +
+  'ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo ' +
+  'za zh zu'
+).split(' '));
+
+// 국가 코드를 언어 코드로 잘못 쓴 흔한 사례
+const COMMON_MISTAKES = {
+  kr: 'ko',
+  jp: 'ja',
+  cn: 'zh',
+  gr: 'el',
+  cz: 'cs',
+  dk: 'da',
+  ua: 'uk',
+  vn: 'vi'
+};
+
+// BCP 47 langtag 문법 (언어-문자-지역-변이형-확장-사설)
+const LANGTAG = new RegExp(
+  '^(?:' +
+    '(?:[a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4}|[a-z]{5,8})' +
+    '(?:-[a-z]{4})?' +
+    '(?:-(?:[a-z]{2}|\\d{3}))?' +
+    '(?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*' +
+    '(?:-[\\da-wy-z](?:-[a-z\\d]{2,8})+)*' +
+    '(?:-x(?:-[a-z\\d]{1,8})+)?' +
+  '|x(?:-[a-z\\d]{1,8})+)$',
+  'i'
+);
+
+// 언어 태그 검증 결과 { valid, primary, reason, suggestion }
+function validateLanguageTag(value) {
+  const tag = (value || '').trim();
+  if (!tag) return { valid: false, primary: null, reason: 'lang 값이 비어 있습니다.', suggestion: null };
+
+  // 밑줄은 흔한 실수 (ko_KR)
+  if (tag.includes('_')) {
+    return { valid: false, primary: null, reason: '하위 태그는 밑줄(_)이 아니라 하이픈(-)으로 구분합니다.', suggestion: tag.replace(/_/g, '-') };
+  }
+  if (!LANGTAG.test(tag)) {
+    return { valid: false, primary: null, reason: 'BCP 47 언어 태그 형식이 아닙니다.', suggestion: null };
+  }
+
+  const primary = tag.split('-')[0].toLowerCase();
+  if (COMMON_MISTAKES[primary]) {
+    return {
+      valid: false,
+      primary,
+      reason: `"${primary}"는 국가 코드입니다. 언어 코드는 "${COMMON_MISTAKES[primary]}"입니다.`,
+      suggestion: [COMMON_MISTAKES[primary], ...tag.split('-').slice(1)].join('-')
+    };
+  }
+  if (primary.length === 2 && !ISO_639_1.has(primary)) {
+    return { valid: false, primary, reason: `"${primary}"는 등록된 언어 코드가 아닙니다.`, suggestion: null };
+  }
+  return { valid: true, primary, reason: null, suggestion: null };
+}
+
+// 언어별로 쓰이는 문자 체계 (한국어·일본어 문장에는 한자가 섞일 수 있음)
+const LANGUAGE_SCRIPTS = {
+  ko: ['hangul', 'han'],
+  ja: ['kana', 'han'],
+  zh: ['han'],
+  ru: ['cyrillic'],
+  uk: ['cyrillic'],
+  bg: ['cyrillic'],
+  el: ['greek'],
+  ar: ['arabic'],
+  he: ['hebrew'],
+  th: ['thai']
+};
+
+const LATIN_LANGUAGES = new Set([
+  'en', 'fr', 'de', 'es', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'nb', 'fi', 'pl', 'cs', 'sk',
+  'hu', 'ro', 'tr', 'id', 'ms', 'vi', 'ca', 'hr', 'sl', 'et', 'lv', 'lt'
+]);
+
+const SCRIPT_PATTERNS = {
+  hangul: /\p{Script=Hangul}/u,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  han: /\p{Script=Han}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  greek: /\p{Script=Greek}/u,
+  arabic: /\p{Script=Arabic}/u,
+  hebrew: /\p{Script=Hebrew}/u,
+  thai: /\p{Script=Thai}/u,
+  latin: /\p{Script=Latin}/u
+};
+
+// 언어에서 예상되는 문자 체계 목록 (판별할 수 없는 언어는 null)
+function expectedScripts(lang) {
+  const primary = (lang || '').trim().split('-')[0].toLowerCase();
+  if (LANGUAGE_SCRIPTS[primary]) return LANGUAGE_SCRIPTS[primary];
+  return LATIN_LANGUAGES.has(primary) ? ['latin'] : null;
+}
+
+// 텍스트의 문자 체계별 글자 수
+function countScripts(text) {
+  const counts = {};
+  for (const char of text) {
+    const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(char));
+    if (script) counts[script] = (counts[script] || 0) + 1;
+  }
+  return counts;
+}
+
+// 예상 문자 체계 밖의 글자 비율과 그중 가장 많은 문자 체계
+function detectForeignScript(text, expected) {
+  const counts = countScripts(text);
+  const letters = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const foreign = Object.entries(counts)
+    .filter(([script]) => !expected.includes(script))
+    .sort((a, b) => b[1] - a[1]);
+  const foreignLetters = foreign.reduce((sum, [, count]) => sum + count, 0);
+
+  return {
+    script: foreign.length > 0 ? foreign[0][0] : null,
+    ratio: letters > 0 ? foreignLetters / letters : 0,
+    letters
+  };
+}
+
+// 문자 체계별 대표 언어 (라틴·키릴 문자는 여러 언어가 쓰므로 추정일 뿐임)
+const SCRIPT_LANGUAGES = {
+  hangul: 'ko',
+  kana: 'ja',
+  han: 'zh',
+  cyrillic: 'ru',
+  greek: 'el',
+  arabic: 'ar',
+  hebrew: 'he',
+  thai: 'th',
+  latin: 'en'
+};
+
+// 텍스트의 주 언어 추정 (글자가 없으면 null)
+// 한글이나 가나가 섞여 있으면 한자보다 우선합니다.
+function guessLanguage(text) {
+  const counts = countScripts(text);
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) return null;
+
+  let [script] = ranked[0];
+  if (script === 'han') {
+    if (counts.hangul) script = 'hangul';
+    else if (counts.kana) script = 'kana';
+  }
+  return SCRIPT_LANGUAGES[script];
+}
+
+// 요소에 적용되는 언어 (가장 가까운 lang 속성)
+function getElementLanguage(el) {
+  for (let node = el; node && node.type === 'tag'; node = node.parent) {
+    const lang = node.attribs.lang !== undefined ? node.attribs.lang : node.attribs['xml:lang'];
+    if (lang !== undefined) return lang.trim();
+  }
+  return null;
+}
+
+module.exports = {
+  validateLanguageTag,
+  expectedScripts,
+  detectForeignScript,
+  guessLanguage,
+  getElementLanguage
+};
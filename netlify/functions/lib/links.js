@@ -0,0 +1,58 @@
+// 링크 유틸리티
+// 링크 규칙들이 공유하는 대상 수집과 텍스트·주소 정규화
+
+const { getInteractiveElements } = require('./accessible-name');
+const { getRole } = require('./aria');
+
+// 목적을 알 수 없는 일반적인 링크 텍스트
+const GENERIC_LINK_TEXTS = [
+  '여기', '여기를 클릭', '여기를 클릭하세요', '클릭', '클릭하세요', '더보기', '더 보기', '자세히',
+  '자세히 보기', '바로가기', '바로 가기', '이동', '보기', '링크',
+  'click here', 'click', 'here', 'more', 'read more', 'learn more', 'more info', 'details',
+  'link', 'go', 'this', 'this page'
+];
+
+// 링크 목적을 판단할 수 있는 문맥 요소
+const CONTEXT_SELECTOR = 'p, li, td, th, dd';
+
+// 화면에 보이고 보조기술에 노출되는 링크
+function getLinks(context) {
+  return getInteractiveElements(context).filter(el => getRole(el) === 'link');
+}
+
+// 연결된 설명이나 같은 문단·목록 항목·표 셀의 문맥으로 링크 목적을 보완하는지
+function hasLinkContext($, el, name) {
+  if (el.attribs['aria-describedby']) return true;
+  const contextBlock = $(el).closest(CONTEXT_SELECTOR);
+  const contextText = contextBlock.length > 0 ? contextBlock.text().replace(/\s+/g, ' ').trim() : '';
+  return contextText.length > name.length + 10;
+}
+
+// 비교용 링크 텍스트 (대소문자, 앞뒤 기호·공백 무시)
+function normalizeLinkText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\p{P}\p{S}\s]+|[\p{P}\p{S}\s]+$/gu, '');
+}
+
+// 비교용 주소 (끝의 / 무시)
+function normalizeHref(href) {
+  const value = (href || '').trim();
+  return value.length > 1 ? value.replace(/\/+(?=$|[?#])/, '') : value;
+}
+
+// 이동할 곳이 없는 가짜 주소 (href="#", href="javascript:...")
+function isPseudoHref(href) {
+  const value = (href || '').trim().toLowerCase();
+  return value === '' || value === '#' || value === '#!' || value.startsWith('javascript:');
+}
+
+module.exports = {
+  GENERIC_LINK_TEXTS,
+  getLinks,
+  hasLinkContext,
+  normalizeLinkText,
+  normalizeHref,
+  isPseudoHref
+};
@@ -0,0 +1,149 @@
+// 미디어 쿼리 평가
+// 기기 프로필의 화면 크기와 입력 방식으로 @media 조건을 판정합니다.
+// 정적 분석에서 알 수 없는 사용자 환경 설정(prefers-*)은 기본값으로 가정하고,
+// 지원하지 않는 미디어 특성은 일치하지 않는 것으로 처리합니다.
+
+const { splitOutside } = require('./style-resolver');
+
+const ROOT_FONT_SIZE = 16;
+
+// 사용자 설정 미디어 특성의 기본값
+const PREFERENCE_DEFAULTS = {
+  'prefers-reduced-motion': 'no-preference',
+  'prefers-color-scheme': 'light',
+  'prefers-contrast': 'no-preference',
+  'prefers-reduced-transparency': 'no-preference',
+  'forced-colors': 'none',
+  'inverted-colors': 'none',
+  'scripting': 'enabled'
+};
+
+// 미디어 쿼리의 길이 값을 px로 변환 (em·rem은 기본 글자 크기 기준)
+function lengthToPixels(value) {
+  const match = String(value).trim().match(/^(-?[\d.]+)(px|em|rem)?$/i);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === 'em' || unit === 'rem') return number * ROOT_FONT_SIZE;
+  if (unit === 'px' || number === 0) return number;
+  return null;
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    default: return actual === expected;
+  }
+}
+
+// 범위 비교 연산자를 뒤집음 ("600px < width" → "width > 600px")
+const FLIPPED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' };
+
+// 크기 특성 값 (width, height)
+function dimensionOf(name, environment) {
+  if (name === 'width') return environment.width;
+  if (name === 'height') return environment.height;
+  return undefined;
+}
+
+// "(min-width: 600px)", "(hover)" 같은 괄호 안 조건 하나
+function matchesPlainFeature(feature, value, environment) {
+  const prefix = feature.match(/^(min|max)-(width|height)$/);
+  if (prefix) {
+    const expected = lengthToPixels(value);
+    if (expected === null) return false;
+    return compare(dimensionOf(prefix[2], environment), prefix[1] === 'min' ? '>=' : '<=', expected);
+  }
+
+  // 값이 없는 특성은 해당 특성이 0이나 none이 아닌지로 판정
+  if (value === null) {
+    switch (feature) {
+      case 'width':
+      case 'height':
+        return dimensionOf(feature, environment) > 0;
+      case 'hover':
+      case 'any-hover':
+        return environment.hover !== 'none';
+      case 'pointer':
+      case 'any-pointer':
+        return environment.pointer !== 'none';
+      case 'color':
+        return true;
+      default:
+        return feature in PREFERENCE_DEFAULTS && !['none', 'no-preference'].includes(PREFERENCE_DEFAULTS[feature]);
+    }
+  }
+
+  switch (feature) {
+    case 'width':
+    case 'height': {
+      const expected = lengthToPixels(value);
+      return expected !== null && dimensionOf(feature, environment) === expected;
+    }
+    case 'orientation':
+      return value === (environment.height >= environment.width ? 'portrait' : 'landscape');
+    case 'hover':
+    case 'any-hover':
+      return value === environment.hover;
+    case 'pointer':
+    case 'any-pointer':
+      return value === environment.pointer;
+    default:
+      return PREFERENCE_DEFAULTS[feature] === value;
+  }
+}
+
+// "(width >= 600px)", "(400px <= width < 800px)" 같은 범위 조건
+function matchesRangeFeature(expression, environment) {
+  const tokens = expression.split(/\s*(<=|>=|<|>|=)\s*/).map(token => token.trim());
+  if (tokens.length !== 3 && tokens.length !== 5) return false;
+
+  const nameIndex = tokens.findIndex(token => token === 'width' || token === 'height');
+  if (nameIndex === -1) return false;
+  const actual = dimensionOf(tokens[nameIndex], environment);
+
+  const comparisons = [];
+  if (nameIndex > 0) comparisons.push([FLIPPED[tokens[nameIndex - 1]], tokens[nameIndex - 2]]);
+  if (nameIndex < tokens.length - 1) comparisons.push([tokens[nameIndex + 1], tokens[nameIndex + 2]]);
+
+  return comparisons.every(([operator, value]) => {
+    const expected = lengthToPixels(value);
+    return expected !== null && compare(actual, operator, expected);
+  });
+}
+
+function matchesFeature(expression, environment) {
+  if (/<|>|=/.test(expression)) return matchesRangeFeature(expression, environment);
+  const colon = expression.indexOf(':');
+  if (colon === -1) return matchesPlainFeature(expression.trim(), null, environment);
+  return matchesPlainFeature(expression.slice(0, colon).trim(), expression.slice(colon + 1).trim(), environment);
+}
+
+// 쉼표 없는 미디어 쿼리 하나 ("not print and (max-width: 600px)")
+function matchesQuery(query, environment) {
+  let text = query.trim().toLowerCase();
+  const prefix = text.match(/^(not|only)\s+/);
+  if (prefix) text = text.slice(prefix[0].length);
+
+  const matched = splitOutside(text, ' ')
+    .filter(part => part !== 'and')
+    .every(part => {
+      if (part.startsWith('(') && part.endsWith(')')) return matchesFeature(part.slice(1, -1).trim(), environment);
+      return part === 'all' || part === environment.type;
+    });
+
+  return prefix && prefix[1] === 'not' ? !matched : matched;
+}
+
+// 미디어 쿼리 목록 판정 (쉼표로 나뉜 쿼리 중 하나라도 일치하면 적용)
+function matchesMedia(mediaText, environment) {
+  if (!mediaText) return true;
+  return splitOutside(mediaText, ',').some(query => matchesQuery(query, environment));
+}
+
+module.exports = {
+  matchesMedia
+};
@@ -0,0 +1,101 @@
+// 기기 프로필
+// 프로필마다 화면 크기와 입력 방식(rules.json의 device_profiles)으로 미디어 쿼리를 판정하고,
+// 최소 글자 크기·터치 대상처럼 기기에 따라 달라지는 기준을 적용합니다.
+// 여러 프로필을 분석한 결과를 나란히 비교할 수 있도록 요약합니다.
+
+const { matchesMedia } = require('./media-query');
+
+// 프로필을 지정하지 않은 요청의 기본값
+const DEFAULT_PROFILE = 'desktop';
+
+class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+// 요청의 profiles 값 해석 (지정하지 않으면 null, 문자열 하나 또는 배열)
+function resolveProfiles(value, rules) {
+  if (value === undefined || value === null) return null;
+
+  const names = Array.isArray(value) ? value : [value];
+  const available = Object.keys(rules.deviceProfiles);
+  if (names.length === 0 || !names.every(name => typeof name === 'string')) {
+    throw new ProfileError(`profiles는 ${available.map(name => `"${name}"`).join(', ')} 중에서 고른 배열이어야 합니다.`);
+  }
+
+  const unknown = names.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new ProfileError(`알 수 없는 기기 프로필: ${unknown.join(', ')} (사용 가능: ${available.join(', ')})`);
+  }
+
+  return [...new Set(names)];
+}
+
+// 프로필의 미디어 쿼리 판정 함수
+function createMediaMatcher(profile) {
+  const environment = {
+    type: 'screen',
+    width: profile.viewportWidth,
+    height: profile.viewportHeight,
+    pointer: profile.pointer,
+    hover: profile.hover
+  };
+  return (media) => matchesMedia(media, environment);
+}
+
+// 규칙이 프로필에서 실행되는지 (profiles를 지정하지 않은 규칙은 모든 프로필)
+function appliesToProfile(rule, profile) {
+  return !rule.profiles || rule.profiles.includes(profile.name);
+}
+
+// 보고서의 이슈를 규칙·이슈 종류별 발생 횟수로 집계
+function countIssues(report) {
+  const counts = new Map();
+  [...report.critical, ...report.warnings, ...report.suggestions].forEach(issue => {
+    const key = `${issue.ruleId}|${issue.rule}`;
+    if (!counts.has(key)) counts.set(key, { ruleId: issue.ruleId, rule: issue.rule, criterion: issue.wcag ? issue.wcag.criterion : null, count: 0 });
+    counts.get(key).count += issue.occurrences || 1;
+  });
+  return counts;
+}
+
+// 프로필별 보고서 비교 (요약과, 프로필마다 발생 횟수가 다른 이슈)
+function compareProfiles(reports) {
+  const names = Object.keys(reports);
+  const counts = names.map(name => countIssues(reports[name]));
+
+  const summary = {};
+  names.forEach(name => {
+    const { score, grade, target, criticalCount, warningCount, suggestionCount, manualReviewCount } = reports[name].summary;
+    summary[name] = { score, grade, targetMet: target.met, criticalCount, warningCount, suggestionCount, manualReviewCount };
+  });
+
+  const keys = [];
+  counts.forEach(map => map.forEach((value, key) => {
+    if (!keys.includes(key)) keys.push(key);
+  }));
+
+  const differences = keys
+    .map(key => {
+      const entry = counts.map(map => map.get(key)).find(Boolean);
+      const occurrences = {};
+      names.forEach((name, index) => {
+        occurrences[name] = counts[index].has(key) ? counts[index].get(key).count : 0;
+      });
+      return { ruleId: entry.ruleId, rule: entry.rule, criterion: entry.criterion, occurrences };
+    })
+    .filter(({ occurrences }) => new Set(Object.values(occurrences)).size > 1);
+
+  return { profiles: names, summary, differences };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  ProfileError,
+  resolveProfiles,
+  createMediaMatcher,
+  appliesToProfile,
+  compareProfiles
+};
@@ -0,0 +1,151 @@
+// 접근성 규칙 레지스트리
+// 각 규칙은 id, WCAG 매핑, 심각도, 기본 옵션, 검사 함수를 가진 독립 모듈이며
+// 분석기는 레지스트리에 등록된 규칙을 요청 설정에 따라 실행합니다.
+
+const fs = require('fs');
+const path = require('path');
+const { getCriterion } = require('./wcag');
+
+const SEVERITIES = ['critical', 'warning', 'suggestion'];
+
+// page: 문서 전체(<html>, <head>)를 검사하는 규칙, component: 일부 마크업에도 적용되는 규칙
+const SCOPES = ['page', 'component'];
+
+class RuleConfigError extends Error {
+  constructor(errors) {
+    super(`규칙 설정이 올바르지 않습니다: ${errors.join(', ')}`);
+    this.name = 'RuleConfigError';
+    this.errors = errors;
+  }
+}
+
+// 규칙 모듈 형식 검증
+function validateRuleModule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['규칙 모듈은 객체여야 합니다.'];
+  if (typeof rule.id !== 'string' || !/^[a-z0-9-]+$/.test(rule.id)) errors.push('id는 소문자와 하이픈으로 된 문자열이어야 합니다.');
+  // 성공 기준에 해당하지 않는 권장 사항 규칙(bestPractice)만 빈 배열 허용
+  if (!Array.isArray(rule.wcag) || (rule.wcag.length === 0 && rule.bestPractice !== true)) {
+    errors.push(`${rule.id}: wcag는 성공 기준 배열이어야 합니다.`);
+  } else {
+    rule.wcag.filter(number => !getCriterion(number)).forEach(number => {
+      errors.push(`${rule.id}: 알 수 없는 WCAG 성공 기준 ${number}`);
+    });
+  }
+  if (!SEVERITIES.includes(rule.severity)) errors.push(`${rule.id}: severity는 ${SEVERITIES.join('/')} 중 하나여야 합니다.`);
+  if (rule.scope !== undefined && !SCOPES.includes(rule.scope)) errors.push(`${rule.id}: scope는 ${SCOPES.join('/')} 중 하나여야 합니다.`);
+  // profiles: 특정 기기 프로필에서만 실행하는 규칙 (생략하면 모든 프로필)
+  if (rule.profiles !== undefined &&
+      (!Array.isArray(rule.profiles) || rule.profiles.length === 0 || !rule.profiles.every(name => typeof name === 'string'))) {
+    errors.push(`${rule.id}: profiles는 기기 프로필 이름 배열이어야 합니다.`);
+  }
+  // bestPractice: 목표 수준과 관계없이 실행하는 권장 사항 규칙
+  if (rule.bestPractice !== undefined && typeof rule.bestPractice !== 'boolean') {
+    errors.push(`${rule.id}: bestPractice는 true 또는 false여야 합니다.`);
+  }
+  // heuristic: 위반을 확정할 수 없는 추정 검사 (이슈를 적합성 판정에서 수동 검토로 집계)
+  if (rule.heuristic !== undefined && typeof rule.heuristic !== 'boolean') {
+    errors.push(`${rule.id}: heuristic은 true 또는 false여야 합니다.`);
+  }
+  if (typeof rule.check !== 'function') errors.push(`${rule.id}: check 함수가 필요합니다.`);
+  return errors;
+}
+
+class RuleRegistry {
+  constructor(rules = []) {
+    this.rules = new Map();
+    rules.forEach(rule => this.register(rule));
+  }
+
+  register(rule) {
+    const errors = validateRuleModule(rule);
+    if (errors.length > 0) {
+      throw new RuleConfigError(errors);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new RuleConfigError([`이미 등록된 규칙입니다: ${rule.id}`]);
+    }
+
+    this.rules.set(rule.id, {
+      enabled: true,
+      scope: 'component',
+      penalty: 0,
+      defaultOptions: {},
+      ...rule
+    });
+    return this;
+  }
+
+  unregister(id) {
+    this.rules.delete(id);
+    return this;
+  }
+
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  get(id) {
+    return this.rules.get(id);
+  }
+
+  list() {
+    return Array.from(this.rules.values());
+  }
+
+  // 디렉토리의 모든 .js 파일을 규칙 모듈로 등록
+  loadDirectory(dir) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => this.register(require(path.resolve(dir, file))));
+    return this;
+  }
+
+  // 요청 설정을 반영한 실행 목록 반환
+  // config 예: { 'color-contrast': false, 'font-size': { options: { minimum: 16 } }, 'company-logo': 'on' }
+  resolve(config = {}) {
+    const errors = [];
+    const settings = new Map();
+
+    Object.entries(config || {}).forEach(([id, value]) => {
+      if (!this.rules.has(id)) {
+        errors.push(`알 수 없는 규칙 id: ${id}`);
+        return;
+      }
+
+      if (value === false || value === 'off') {
+        settings.set(id, { enabled: false });
+      } else if (value === true || value === 'on') {
+        settings.set(id, { enabled: true });
+      } else if (value && typeof value === 'object') {
+        if (value.severity && !SEVERITIES.includes(value.severity)) {
+          errors.push(`${id}: severity는 ${SEVERITIES.join('/')} 중 하나여야 합니다.`);
+        }
+        settings.set(id, { enabled: value.enabled !== false, severity: value.severity, options: value.options });
+      } else {
+        errors.push(`${id}: 설정 값은 true/false, "on"/"off" 또는 객체여야 합니다.`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new RuleConfigError(errors);
+    }
+
+    return this.list()
+      .filter(rule => (settings.has(rule.id) ? settings.get(rule.id).enabled : rule.enabled))
+      .map(rule => {
+        const setting = settings.get(rule.id) || {};
+        return {
+          rule,
+          severity: setting.severity || null,
+          options: { ...rule.defaultOptions, ...(setting.options || {}) }
+        };
+      });
+  }
+}
+
+module.exports = {
+  RuleRegistry,
+  RuleConfigError
+};
@@ -0,0 +1,359 @@
+// 규칙 데이터베이스 로더
+// public/data/rules.json을 단일 기준(Ground Truth)으로 사용하며,
+// 배포 단위(RULES_DATA_PATH) 또는 요청 단위로 사용자 정의 규칙을 덮어쓸 수 있습니다.
+
+const fs = require('fs');
+const path = require('path');
+const defaultRulesData = require('../../../public/data/rules.json');
+
+// 지원하는 스키마 주 버전
+const SUPPORTED_SCHEMA_MAJOR = 1;
+
+// 사용자 정의 규칙은 기준을 강화만 할 수 있음 (WCAG 최소 대비)
+const WCAG_MINIMUM_CONTRAST = {
+  normal_text: { aa: 4.5, aaa: 7.0 },
+  large_text: { aa: 3.0, aaa: 4.5 },
+  non_text: { aa: 3.0 }
+};
+
+// 2.5.8 Target Size (Minimum)의 최소 크기 (px)
+const WCAG_MINIMUM_TARGET_SIZE = 24;
+
+// 1.4.12 Text Spacing에서 사용자가 늘릴 수 있어야 하는 간격 (글자 크기 대비 배수)
+const WCAG_MINIMUM_TEXT_SPACING = {
+  line_height: 1.5,
+  letter_spacing: 0.12,
+  word_spacing: 0.16,
+  paragraph_spacing: 2
+};
+
+// 최소 글자 크기는 배포된 rules.json 값보다 낮출 수 없음
+const DEFAULT_MIN_FONT_SIZE = defaultRulesData.font_requirements.min_font_size;
+
+// 요청 단위로 바꿀 수 없는 항목 (이슈 분류와 점수 설정은 결과를 느슨하게 만들 수 있으므로 배포 단위에서만 설정)
+const DEPLOYMENT_ONLY_KEYS = ['analysis_criteria', 'scoring'];
+
+// 기기 프로필의 입력 방식 (미디어 특성 pointer, hover 값)
+const POINTER_TYPES = ['fine', 'coarse', 'none'];
+const HOVER_TYPES = ['hover', 'none'];
+
+// 랜드마크 이름별 HTML 요소와 ARIA 역할
+const LANDMARK_SELECTORS = {
+  main: ['main', 'main'],
+  navigation: ['nav', 'navigation'],
+  header: ['header', 'banner'],
+  footer: ['footer', 'contentinfo'],
+  section: ['section', 'region'],
+  article: ['article', 'article'],
+  aside: ['aside', 'complementary']
+};
+
+class RulesValidationError extends Error {
+  constructor(errors) {
+    super(`규칙 데이터가 유효하지 않습니다: ${errors.join(', ')}`);
+    this.name = 'RulesValidationError';
+    this.errors = errors;
+  }
+}
+
+// 경로 문자열로 값 조회 ("color_contrast.normal_text.aa")
+function getPath(data, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isLength = (value) => typeof value === 'string' && /^[\d.]+(px|pt|em|rem)$/.test(value);
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// 스키마 검증 (오류 목록 반환)
+function validateRules(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return ['규칙 데이터는 객체여야 합니다.'];
+  }
+
+  const version = data.schema_version;
+  const major = typeof version === 'string' ? parseInt(version.split('.')[0], 10) : NaN;
+  if (major !== SUPPORTED_SCHEMA_MAJOR) {
+    errors.push(`schema_version ${version}은 지원하지 않습니다. (지원: ${SUPPORTED_SCHEMA_MAJOR}.x)`);
+  }
+
+  const checks = [
+    ['color_contrast.normal_text.aa', isNumber],
+    ['color_contrast.normal_text.aaa', isNumber],
+    ['color_contrast.large_text.aa', isNumber],
+    ['color_contrast.large_text.aaa', isNumber],
+    ['color_contrast.large_text.size_threshold', isLength],
+    ['color_contrast.large_text.bold_size_threshold', isLength],
+    ['color_contrast.non_text.aa', isNumber],
+    ['font_requirements.min_font_size.mobile', isLength],
+    ['font_requirements.min_font_size.desktop', isLength],
+    ['font_requirements.line_height.minimum', isNumber],
+    ['font_requirements.line_height.recommended', isNumber],
+    ['font_requirements.letter_spacing.minimum', isLength],
+    ['font_requirements.letter_spacing.recommended', isLength],
+    ['font_requirements.word_spacing.minimum', isLength],
+    ['font_requirements.paragraph_spacing.minimum', isLength],
+    ['touch_target.minimum', isLength],
+    ['touch_target.recommended', isLength],
+    ['semantic_html.landmark_roles', isStringArray],
+    ['analysis_criteria.critical_issues', isStringArray],
+    ['analysis_criteria.warning_issues', isStringArray],
+    ['analysis_criteria.optimization_suggestions', isStringArray],
+    ['scoring.severity_weights.critical', isNumber],
+    ['scoring.severity_weights.warning', isNumber],
+    ['scoring.severity_weights.suggestion', isNumber],
+    ['scoring.level_weights.A', isNumber],
+    ['scoring.level_weights.AA', isNumber],
+    ['scoring.level_weights.AAA', isNumber],
+    ['scoring.max_penalty_per_rule.critical', isNumber],
+    ['scoring.max_penalty_per_rule.warning', isNumber],
+    ['scoring.max_penalty_per_rule.suggestion', isNumber],
+    ['scoring.page_size.baseline_elements', isNumber],
+    ['scoring.page_size.exponent', isNumber]
+  ];
+
+  checks.forEach(([keyPath, isValid]) => {
+    if (!isValid(getPath(data, keyPath))) {
+      errors.push(`${keyPath} 값이 올바르지 않습니다.`);
+    }
+  });
+
+  const required = getPath(data, 'semantic_html.required_attributes');
+  if (!required || typeof required !== 'object' || !Object.values(required).every(isStringArray)) {
+    errors.push('semantic_html.required_attributes 값이 올바르지 않습니다.');
+  }
+
+  const criterionWeights = getPath(data, 'scoring.criterion_weights');
+  if (!criterionWeights || typeof criterionWeights !== 'object' || !Object.values(criterionWeights).every(isNumber)) {
+    errors.push('scoring.criterion_weights 값이 올바르지 않습니다.');
+  }
+
+  const grades = getPath(data, 'scoring.grades');
+  if (!Array.isArray(grades) || grades.length === 0 ||
+      !grades.every(grade => grade && isNumber(grade.min) && typeof grade.label === 'string')) {
+    errors.push('scoring.grades 값이 올바르지 않습니다.');
+  }
+
+  const profiles = getPath(data, 'device_profiles');
+  if (!profiles || typeof profiles !== 'object' || !profiles.desktop || !profiles.mobile) {
+    errors.push('device_profiles에는 desktop과 mobile 프로필이 필요합니다.');
+  } else {
+    Object.entries(profiles).forEach(([name, profile]) => {
+      if (!/^[a-z0-9-]+$/.test(name) || !profile ||
+          !isLength(profile.viewport_width) || !isLength(profile.viewport_height) ||
+          !POINTER_TYPES.includes(profile.pointer) || !HOVER_TYPES.includes(profile.hover)) {
+        errors.push(`device_profiles.${name} 값이 올바르지 않습니다.`);
+      }
+    });
+  }
+
+  const targetMinimum = getPath(data, 'touch_target.minimum');
+  if (isLength(targetMinimum) && lengthToPixels(targetMinimum) < WCAG_MINIMUM_TARGET_SIZE) {
+    errors.push(`touch_target.minimum(${targetMinimum})은 WCAG 기준 ${WCAG_MINIMUM_TARGET_SIZE}px보다 작을 수 없습니다.`);
+  }
+
+  // 간격 값은 단위와 관계없이 em 배수로 사용
+  Object.entries(WCAG_MINIMUM_TEXT_SPACING).forEach(([property, minimum]) => {
+    const value = getPath(data, `font_requirements.${property}.minimum`);
+    if ((isNumber(value) || isLength(value)) && parseFloat(value) < minimum) {
+      errors.push(`font_requirements.${property}.minimum(${value})은 WCAG 기준 ${minimum}보다 낮을 수 없습니다.`);
+    }
+  });
+
+  Object.entries(DEFAULT_MIN_FONT_SIZE).forEach(([name, minimum]) => {
+    const value = getPath(data, `font_requirements.min_font_size.${name}`);
+    if (isLength(value) && lengthToPixels(value) < lengthToPixels(minimum)) {
+      errors.push(`font_requirements.min_font_size.${name}(${value})은 기본 기준 ${minimum}보다 작을 수 없습니다.`);
+    }
+  });
+
+  Object.entries(WCAG_MINIMUM_CONTRAST).forEach(([textType, levels]) => {
+    Object.entries(levels).forEach(([level, minimum]) => {
+      const value = getPath(data, `color_contrast.${textType}.${level}`);
+      if (isNumber(value) && value < minimum) {
+        errors.push(`color_contrast.${textType}.${level}(${value})은 WCAG 기준 ${minimum}보다 낮을 수 없습니다.`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// 깊은 병합 (배열과 원시값은 덮어씀)
+function mergeRules(base, override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return override === undefined ? base : override;
+  }
+
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    const baseValue = base ? base[key] : undefined;
+    merged[key] = baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)
+      ? mergeRules(baseValue, value)
+      : value;
+  });
+  return merged;
+}
+
+// 길이 문자열을 px로 변환 ("18pt" → 24)
+function lengthToPixels(value) {
+  const match = String(value).match(/^([\d.]+)(px|pt|em|rem)$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'pt' ? number * 4 / 3 : match[2] === 'px' ? number : number * 16;
+}
+
+class RulesDatabase {
+  constructor(data) {
+    const errors = validateRules(data);
+    if (errors.length > 0) {
+      throw new RulesValidationError(errors);
+    }
+
+    this.data = data;
+    this.schemaVersion = data.schema_version;
+  }
+
+  // 요청 단위 규칙을 덮어쓴 새 데이터베이스 생성
+  extend(override) {
+    if (!override) return this;
+    if (typeof override === 'object') {
+      const errors = DEPLOYMENT_ONLY_KEYS
+        .filter(key => Object.prototype.hasOwnProperty.call(override, key))
+        .map(key => `${key}는 요청 단위로 바꿀 수 없습니다. (배포 단위 RULES_DATA_PATH에서 설정)`);
+      if (errors.length > 0) {
+        throw new RulesValidationError(errors);
+      }
+    }
+    return new RulesDatabase(mergeRules(this.data, override));
+  }
+
+  get colorContrast() {
+    const { normal_text: normal, large_text: large, non_text: nonText } = this.data.color_contrast;
+    return {
+      normalText: { aa: normal.aa, aaa: normal.aaa },
+      largeText: {
+        aa: large.aa,
+        aaa: large.aaa,
+        sizeThreshold: lengthToPixels(large.size_threshold),
+        boldSizeThreshold: lengthToPixels(large.bold_size_threshold)
+      },
+      nonText: { aa: nonText.aa }
+    };
+  }
+
+  get fontRequirements() {
+    const fonts = this.data.font_requirements;
+    return {
+      minFontSize: {
+        mobile: lengthToPixels(fonts.min_font_size.mobile),
+        desktop: lengthToPixels(fonts.min_font_size.desktop)
+      },
+      lineHeight: { ...fonts.line_height },
+      letterSpacing: {
+        minimum: parseFloat(fonts.letter_spacing.minimum),
+        recommended: parseFloat(fonts.letter_spacing.recommended)
+      },
+      wordSpacing: { minimum: parseFloat(fonts.word_spacing.minimum) },
+      paragraphSpacing: { minimum: parseFloat(fonts.paragraph_spacing.minimum) }
+    };
+  }
+
+  // 기기 프로필 (프로필별 최소 글자 크기가 없으면 데스크톱 기준)
+  get deviceProfiles() {
+    const minFontSize = this.fontRequirements.minFontSize;
+    return Object.entries(this.data.device_profiles).reduce((profiles, [name, profile]) => ({
+      ...profiles,
+      [name]: {
+        name,
+        viewportWidth: lengthToPixels(profile.viewport_width),
+        viewportHeight: lengthToPixels(profile.viewport_height),
+        pointer: profile.pointer,
+        hover: profile.hover,
+        minFontSize: minFontSize[name] || minFontSize.desktop
+      }
+    }), {});
+  }
+
+  get touchTarget() {
+    const target = this.data.touch_target;
+    return {
+      minimum: lengthToPixels(target.minimum),
+      recommended: lengthToPixels(target.recommended)
+    };
+  }
+
+  get scoring() {
+    const scoring = this.data.scoring;
+    return {
+      severityWeights: { ...scoring.severity_weights },
+      levelWeights: { ...scoring.level_weights },
+      criterionWeights: { ...scoring.criterion_weights },
+      maxPenaltyPerRule: { ...scoring.max_penalty_per_rule },
+      pageSize: {
+        baselineElements: scoring.page_size.baseline_elements,
+        exponent: scoring.page_size.exponent
+      },
+      // 높은 점수 구간부터 비교
+      grades: scoring.grades.slice().sort((a, b) => b.min - a.min)
+    };
+  }
+
+  get requiredAttributes() {
+    return this.data.semantic_html.required_attributes;
+  }
+
+  get landmarkRoles() {
+    return this.data.semantic_html.landmark_roles;
+  }
+
+  // 랜드마크 이름에 해당하는 CSS 선택자 ("nav, [role=\"navigation\"]")
+  landmarkSelector(name) {
+    const [tag, role] = LANDMARK_SELECTORS[name] || [name, name];
+    return `${tag}, [role="${role}"]`;
+  }
+
+  // 큰 텍스트 여부 (18pt 이상 또는 굵은 14pt 이상)
+  isLargeText(fontSize, fontWeight) {
+    const { sizeThreshold, boldSizeThreshold } = this.colorContrast.largeText;
+    return fontSize >= sizeThreshold || (fontWeight >= 700 && fontSize >= boldSizeThreshold);
+  }
+
+  // analysis_criteria에 정의된 이슈 분류 ('critical' | 'warning' | 'suggestion' | null)
+  severityOf(criterion) {
+    const criteria = this.data.analysis_criteria;
+    if (criteria.critical_issues.includes(criterion)) return 'critical';
+    if (criteria.warning_issues.includes(criterion)) return 'warning';
+    if (criteria.optimization_suggestions.includes(criterion)) return 'suggestion';
+    return null;
+  }
+}
+
+let deploymentRules = null;
+
+// 배포 단위 규칙 로드 (RULES_DATA_PATH가 있으면 기본 규칙 위에 병합)
+function loadRules(override = null) {
+  if (!deploymentRules) {
+    let data = defaultRulesData;
+    const customPath = process.env.RULES_DATA_PATH;
+
+    if (customPath) {
+      const custom = JSON.parse(fs.readFileSync(path.resolve(customPath), 'utf8'));
+      data = mergeRules(defaultRulesData, custom);
+    }
+
+    deploymentRules = new RulesDatabase(data);
+  }
+
+  return deploymentRules.extend(override);
+}
+
+module.exports = {
+  RulesDatabase,
+  RulesValidationError,
+  loadRules,
+  validateRules,
+  mergeRules
+};
@@ -0,0 +1,33 @@
+// 의미 없는 접근 가능한 이름 검사 ("버튼", "icon", "→" 등, 링크는 link-text-generic 규칙에서 검사)
+const { computeAccessibleName, getInteractiveElements, isMeaninglessName } = require('../accessible-name');
+const { getRole } = require('../aria');
+
+module.exports = {
+  id: 'accessible-name-meaningful',
+  wcag: ['2.4.6'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    getInteractiveElements(context).forEach(el => {
+      const role = getRole(el);
+      if (role === 'link') return;
+
+      const { name, source } = computeAccessibleName(context, el);
+      if (!isMeaninglessName(name)) return;
+
+      context.report({
+        rule: '의미 없는 접근 가능한 이름',
+        description: `${role} 역할 요소의 이름 "${name}"은(는) 목적을 설명하지 못합니다.`,
+        element: context.describeElement(el),
+        node: el,
+        accessibleName: name,
+        nameSource: source,
+        role,
+        suggestion: '요소가 수행하는 동작을 설명하는 이름을 제공하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,32 @@
+// 대화형 요소의 접근 가능한 이름 누락 검사 (링크는 link-name, 제출 버튼은 submit-name 규칙에서 검사)
+const { computeAccessibleName, getInteractiveElements } = require('../accessible-name');
+const { getRole } = require('../aria');
+const { isSubmitControl } = require('../forms');
+
+module.exports = {
+  id: 'accessible-name',
+  wcag: ['4.1.2'],
+  severity: 'critical',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    getInteractiveElements(context).forEach(el => {
+      const role = getRole(el);
+      if (role === 'link' || isSubmitControl(el)) return;
+
+      const { name } = computeAccessibleName(context, el);
+      if (name) return;
+
+      context.report({
+        rule: '접근 가능한 이름 누락',
+        description: `${role} 역할의 요소에 스크린 리더가 읽을 이름이 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        accessibleName: '',
+        role,
+        suggestion: '요소 안에 텍스트를 넣거나 aria-label, aria-labelledby로 이름을 제공하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,29 @@
+// aria-hidden="true" 안의 포커스 가능 요소 검사
+const { isFocusable } = require('../aria');
+
+module.exports = {
+  id: 'aria-hidden-focus',
+  wcag: ['4.1.2'],
+  severity: 'critical',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, styles } = context;
+
+    $('[aria-hidden="true"]').each((i, el) => {
+      const focusable = [el, ...$(el).find('*').toArray()]
+        .filter(node => isFocusable(node) && styles.isRendered(node));
+      if (focusable.length === 0) return;
+
+      context.report({
+        rule: '숨겨진 영역의 포커스 가능 요소',
+        description: `aria-hidden="true" 영역 안에 키보드로 포커스할 수 있는 요소 ${focusable.length}개가 있어 스크린 리더 사용자가 이름 없는 요소에 도달합니다.`,
+        element: context.describeElement(el),
+        node: el,
+        focusableElements: focusable.map(node => context.describeElement(node)),
+        suggestion: '숨길 영역이라면 안의 요소에 tabindex="-1"이나 inert를 적용하고, 보여야 할 내용이라면 aria-hidden을 제거하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,42 @@
+// ID 참조 속성 검사 (aria-labelledby, aria-describedby, aria-controls 등)
+// 공백으로 구분된 목록은 각 id를 개별로 확인합니다.
+const { ATTRIBUTES } = require('../aria');
+const { isDynamicValue } = require('../component-source');
+
+const IDREF_ATTRIBUTES = Object.keys(ATTRIBUTES)
+  .filter(name => ATTRIBUTES[name].type === 'idref' || ATTRIBUTES[name].type === 'idrefs');
+
+module.exports = {
+  id: 'aria-idref',
+  wcag: ['4.1.2', '1.3.1'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+    const ids = new Set($('[id]').toArray().map(el => el.attribs.id));
+
+    $(IDREF_ATTRIBUTES.map(name => `[${name}]`).join(', ')).each((i, el) => {
+      IDREF_ATTRIBUTES.forEach(name => {
+        const value = el.attribs[name];
+        // 바인딩한 id는 실행 전에는 알 수 없음
+        if (value === undefined || !value.trim() || isDynamicValue(value)) return;
+
+        const missing = value.trim().split(/\s+/).filter(id => !ids.has(id));
+        if (missing.length === 0) return;
+
+        context.report({
+          rule: `잘못된 ${name} 참조`,
+          description: `${name}="${value}"가 참조하는 요소(${missing.map(id => `#${id}`).join(', ')})가 존재하지 않습니다.`,
+          element: context.describeElement(el),
+          node: el,
+          attribute: name,
+          missingIds: missing,
+          suggestion: '존재하는 ID를 참조하거나 해당 ID를 가진 요소를 추가하세요.',
+          wcag: name === 'aria-labelledby' || name === 'aria-describedby' ? '4.1.2' : '1.3.1'
+        });
+      });
+    });
+  }
+};
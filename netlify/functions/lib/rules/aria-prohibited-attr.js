@@ -0,0 +1,33 @@
+// 역할에서 금지된 속성 검사 (예: generic, paragraph의 aria-label)
+const { getRole, getRoleSpec } = require('../aria');
+
+module.exports = {
+  id: 'aria-prohibited-attr',
+  wcag: ['4.1.2'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('[aria-label], [aria-labelledby]').each((i, el) => {
+      const role = getRole(el);
+      const spec = getRoleSpec(role);
+      if (!spec || !spec.prohibited) return;
+
+      const used = spec.prohibited.filter(attribute => el.attribs[attribute] !== undefined);
+      if (used.length === 0) return;
+
+      context.report({
+        rule: '금지된 ARIA 속성',
+        description: `${role} 역할에는 ${used.join(', ')}을(를) 사용할 수 없어 보조기술이 무시할 수 있습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        role,
+        attributes: used,
+        suggestion: '이름이 필요한 요소라면 알맞은 역할(예: region, group)을 지정하고, 아니면 속성을 제거하거나 보이는 텍스트로 바꾸세요.'
+      });
+    });
+  }
+};
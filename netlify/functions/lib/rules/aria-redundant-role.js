@@ -0,0 +1,34 @@
+// 네이티브 요소와 같은 역할을 중복 지정했는지 검사 (예: <button role="button">)
+const { getExplicitRole, getImplicitRole } = require('../aria');
+const { removeAttribute } = require('../autofix');
+
+module.exports = {
+  id: 'aria-redundant-role',
+  wcag: ['4.1.2'],
+  severity: 'suggestion',
+  penalty: 0,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('[role]').each((i, el) => {
+      const role = getExplicitRole(el);
+      if (!role || role !== getImplicitRole(el)) return;
+
+      context.report({
+        rule: '중복된 ARIA 역할',
+        description: `<${el.tagName.toLowerCase()}>는 이미 ${role} 역할을 가지므로 role="${el.attribs.role}"은 필요하지 않습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        role,
+        suggestion: 'role 속성을 제거하세요. ARIA 첫 번째 규칙: 네이티브 HTML 의미로 충분하면 ARIA를 쓰지 않습니다.',
+        fix: {
+          safety: 'safe',
+          description: '중복된 role 속성 제거',
+          operations: [removeAttribute(el, 'role')]
+        }
+      });
+    });
+  }
+};
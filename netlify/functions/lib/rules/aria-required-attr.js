@@ -0,0 +1,36 @@
+// 역할의 필수 상태·속성 누락 검사 (예: role="checkbox"의 aria-checked)
+const { getExplicitRole, getRoleSpec, getImplicitRole, providesNatively } = require('../aria');
+
+module.exports = {
+  id: 'aria-required-attr',
+  wcag: ['4.1.2'],
+  severity: 'critical',
+  penalty: 8,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('[role]').each((i, el) => {
+      const role = getExplicitRole(el);
+      const spec = getRoleSpec(role);
+      if (!spec || !spec.required) return;
+      // 네이티브 요소와 같은 역할이면 브라우저가 상태를 제공
+      if (getImplicitRole(el) === role) return;
+
+      const missing = spec.required.filter(attribute =>
+        el.attribs[attribute] === undefined && !providesNatively(el, attribute));
+      if (missing.length === 0) return;
+
+      context.report({
+        rule: '필수 ARIA 속성 누락',
+        description: `role="${role}" 요소에 필수 속성 ${missing.join(', ')}이(가) 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        role,
+        attributes: missing,
+        suggestion: `${missing.join(', ')} 속성을 추가하고 상태가 바뀔 때 값을 갱신하세요.`
+      });
+    });
+  }
+};
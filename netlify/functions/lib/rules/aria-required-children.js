@@ -0,0 +1,37 @@
+// 필수 소유 요소 검사 (예: role="list"에는 listitem이 있어야 함)
+const { getExplicitRole, getRoleSpec, getOwnedElements, getRole } = require('../aria');
+
+module.exports = {
+  id: 'aria-required-children',
+  wcag: ['1.3.1'],
+  severity: 'critical',
+  penalty: 8,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('[role]').each((i, el) => {
+      const role = getExplicitRole(el);
+      const spec = getRoleSpec(role);
+      if (!spec || !spec.owned) return;
+      // 내용을 불러오는 중인 요소는 아직 비어 있을 수 있음
+      if (el.attribs['aria-busy'] === 'true') return;
+
+      const owned = getOwnedElements($, el);
+      const invalid = owned.filter(node => !spec.owned.includes(getRole(node)));
+      if (owned.length > 0 && invalid.length === 0) return;
+
+      context.report({
+        rule: '필수 하위 역할 누락',
+        description: owned.length === 0
+          ? `role="${role}" 요소에 ${spec.owned.join(', ')} 역할의 하위 요소가 없습니다.`
+          : `role="${role}" 요소에 허용되지 않는 하위 요소(${invalid.map(node => getRole(node)).join(', ')})가 있습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        role,
+        suggestion: `하위 요소에 ${spec.owned.join(', ')} 중 알맞은 역할을 지정하세요.`
+      });
+    });
+  }
+};
@@ -0,0 +1,32 @@
+// 필수 상위 역할 검사 (예: role="tab"은 tablist 안에 있어야 함)
+const { getExplicitRole, getRoleSpec, getContextRole } = require('../aria');
+
+module.exports = {
+  id: 'aria-required-parent',
+  wcag: ['1.3.1'],
+  severity: 'critical',
+  penalty: 8,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('[role]').each((i, el) => {
+      const role = getExplicitRole(el);
+      const spec = getRoleSpec(role);
+      if (!spec || !spec.context) return;
+
+      const parentRole = getContextRole($, el);
+      if (spec.context.includes(parentRole)) return;
+
+      context.report({
+        rule: '필수 상위 역할 누락',
+        description: `role="${role}" 요소는 ${spec.context.join(', ')} 역할 안에 있어야 하지만 상위 역할이 ${parentRole || '없음'}입니다.`,
+        element: context.describeElement(el),
+        node: el,
+        role,
+        suggestion: `상위 요소에 ${spec.context.join(' 또는 ')} 역할을 지정하세요.`
+      });
+    });
+  }
+};
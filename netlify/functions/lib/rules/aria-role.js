@@ -0,0 +1,34 @@
+// 알 수 없거나 추상적인 ARIA 역할 검사
+const { ABSTRACT_ROLES, getRoleTokens, isValidRole } = require('../aria');
+const { isDynamicValue } = require('../component-source');
+
+module.exports = {
+  id: 'aria-role',
+  wcag: ['4.1.2'],
+  severity: 'warning',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('[role]').each((i, el) => {
+      if (isDynamicValue(el.attribs.role)) return;
+      const tokens = getRoleTokens(el);
+      // 대체 역할 목록 중 하나라도 유효하면 브라우저가 그 역할을 사용
+      if (tokens.length === 0 || tokens.some(isValidRole)) return;
+
+      const abstract = tokens.filter(token => ABSTRACT_ROLES.has(token));
+      context.report({
+        rule: abstract.length > 0 ? '추상 ARIA 역할 사용' : '알 수 없는 ARIA 역할',
+        description: abstract.length > 0
+          ? `role="${el.attribs.role}"은(는) 추상 역할이라 콘텐츠에 사용할 수 없습니다.`
+          : `role="${el.attribs.role}"은(는) WAI-ARIA 1.2에 정의되지 않은 역할입니다.`,
+        element: context.describeElement(el),
+        node: el,
+        role: el.attribs.role,
+        suggestion: '구체 역할(예: button, navigation, listitem)을 사용하거나 의미에 맞는 HTML 요소로 바꾸세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,34 @@
+// aria-* 속성 값 형식 검사 (예: aria-expanded="yes")
+const { getAttributeSpec, validateAttributeValue } = require('../aria');
+const { isDynamicValue } = require('../component-source');
+
+module.exports = {
+  id: 'aria-valid-attr-value',
+  wcag: ['4.1.2'],
+  severity: 'warning',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('body *, body').each((i, el) => {
+      Object.entries(el.attribs)
+        // 컴포넌트에서 바인딩한 값은 실행 전에는 알 수 없으므로 제외
+        .filter(([name, value]) => name.startsWith('aria-') && getAttributeSpec(name) && !isDynamicValue(value))
+        .forEach(([name, value]) => {
+          const expected = validateAttributeValue(name, value);
+          if (!expected) return;
+
+          context.report({
+            rule: '잘못된 ARIA 속성 값',
+            description: `${name}="${value}"은(는) 올바른 값이 아닙니다. 허용 값: ${expected}`,
+            element: context.describeElement(el),
+            node: el,
+            attribute: name,
+            suggestion: `${name}에는 ${expected}을(를) 사용하세요.`
+          });
+        });
+    });
+  }
+};
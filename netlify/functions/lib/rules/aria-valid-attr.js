@@ -0,0 +1,29 @@
+// 정의되지 않은 aria-* 속성 검사 (오타 등)
+const { getAttributeSpec } = require('../aria');
+
+module.exports = {
+  id: 'aria-valid-attr',
+  wcag: ['4.1.2'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('body *, body').each((i, el) => {
+      Object.keys(el.attribs)
+        .filter(name => name.startsWith('aria-') && !getAttributeSpec(name))
+        .forEach(name => {
+          context.report({
+            rule: '알 수 없는 ARIA 속성',
+            description: `${name}은(는) WAI-ARIA 1.2에 정의되지 않은 속성입니다.`,
+            element: context.describeElement(el),
+            node: el,
+            attribute: name,
+            suggestion: '속성 이름의 철자를 확인하세요.'
+          });
+        });
+    });
+  }
+};
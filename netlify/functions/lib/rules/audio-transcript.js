@@ -0,0 +1,38 @@
+// 대본(transcript)이 연결되지 않은 오디오 검사
+// aria-describedby/aria-details로 연결했거나 주변에 대본 링크·요소가 있으면 통과합니다.
+module.exports = {
+  id: 'audio-transcript',
+  wcag: ['1.2.1'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 5,
+  defaultOptions: {
+    keywords: ['대본', '스크립트', '원고', '텍스트 버전', '받아쓰기', 'transcript', 'script']
+  },
+
+  check(context, options) {
+    const { $ } = context;
+    const keywords = options.keywords.map(keyword => keyword.toLowerCase());
+    const mentionsTranscript = text => keywords.some(keyword => text.toLowerCase().includes(keyword));
+
+    $('audio').each((i, el) => {
+      const $el = $(el);
+      if (el.attribs['aria-describedby'] || el.attribs['aria-details']) return;
+
+      // 오디오를 감싼 figure, 바로 앞뒤 형제 요소에서 대본 안내를 찾음
+      const nearby = [$el.closest('figure')[0], $el.prev()[0], $el.next()[0]].filter(Boolean);
+      if (nearby.some(node => mentionsTranscript($(node).text()) ||
+          $(node).find('a[href]').toArray().some(link => mentionsTranscript($(link).text() + (link.attribs.href || ''))))) {
+        return;
+      }
+
+      context.report({
+        rule: '오디오 대본 누락',
+        description: '오디오 콘텐츠에 연결된 대본이 없어 청각장애 사용자가 내용을 알 수 없습니다.',
+        element: context.describeElement(el),
+        node: el,
+        suggestion: '오디오 바로 아래에 대본 링크를 두거나 대본 요소를 aria-describedby로 연결하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,47 @@
+// 개인정보 입력 필드의 autocomplete 누락·오류 검사
+const { computeAccessibleName } = require('../accessible-name');
+const { isValidAutocomplete, guessAutocomplete } = require('../forms');
+const { isDynamicValue } = require('../component-source');
+
+module.exports = {
+  id: 'autocomplete-valid',
+  wcag: ['1.3.5'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('input, select, textarea').each((i, el) => {
+      const value = el.attribs.autocomplete;
+
+      // 바인딩한 값은 지정된 것으로 보되 형식은 확인하지 않음
+      if (isDynamicValue(value)) return;
+      if (value !== undefined && !isValidAutocomplete(value)) {
+        context.report({
+          rule: '잘못된 autocomplete 값',
+          description: `autocomplete="${value}"는 HTML 자동 완성 토큰이 아니어서 입력 목적을 알 수 없습니다.`,
+          element: context.describeElement(el),
+          node: el,
+          suggestion: 'name, email, tel, street-address, postal-code 등 표준 토큰을 사용하세요.'
+        });
+        return;
+      }
+
+      const { name: label } = computeAccessibleName(context, el);
+      const expected = guessAutocomplete(el, label);
+      if (!expected) return;
+      if (value !== undefined && value.trim().toLowerCase() !== 'off' && value.trim().toLowerCase() !== 'on') return;
+
+      context.report({
+        rule: '입력 목적(autocomplete) 누락',
+        description: `개인정보 입력 필드${label ? ` "${label}"` : ''}에 ${value ? `autocomplete="${value}"가 지정되어` : 'autocomplete가 없어'} 브라우저 자동 완성과 보조기술이 입력 목적을 알 수 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        expectedAutocomplete: expected,
+        suggestion: `autocomplete="${expected}"를 지정하세요.`
+      });
+    });
+  }
+};
@@ -0,0 +1,49 @@
+// 클릭 이벤트만 있는 요소 검사 (JavaScript로는 완전 검사 불가하지만 기본 체크)
+const { setAttribute, removeAttribute, renameElement } = require('../autofix');
+
+// <button>으로 바꿀 수 있는 요소
+const CONVERTIBLE_TAGS = ['div', 'span'];
+
+// <button type="button">으로 바꾸는 수정 (스타일과 내부 콘텐츠를 확인해야 하므로 검토 필요)
+function buttonFix($, el) {
+  const tag = el.tagName.toLowerCase();
+  if (!CONVERTIBLE_TAGS.includes(tag)) return null;
+  // 버튼 안에 넣을 수 없는 대화형 콘텐츠가 있으면 제외
+  if ($(el).find('a, button, input, select, textarea, [tabindex]').length > 0) return null;
+
+  const operations = [renameElement(el, 'button'), setAttribute(el, 'type', 'button')];
+  if ((el.attribs.role || '').trim().toLowerCase() === 'button') operations.push(removeAttribute(el, 'role'));
+  return {
+    safety: 'review',
+    description: `<${tag}>를 <button type="button">으로 변경`,
+    operations
+  };
+}
+
+module.exports = {
+  id: 'click-keyboard',
+  wcag: ['2.1.1'],
+  severity: 'suggestion',
+  category: 'keyboard_inaccessible',
+  penalty: 0,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('[onclick]').each((i, el) => {
+      const $el = $(el);
+      if (!$el.is('a, button, input, textarea, select') && !$el.attr('tabindex')) {
+        const fix = buttonFix($, el);
+        context.report({
+          rule: '키보드 접근 불가 요소',
+          description: 'onclick 이벤트가 있지만 키보드로 접근할 수 없는 요소입니다.',
+          element: `<${el.tagName.toLowerCase()}>`,
+          node: el,
+          suggestion: 'button 태그를 사용하거나 tabindex="0"과 키보드 이벤트 핸들러를 추가하세요.',
+          ...(fix && { fix })
+        });
+      }
+    });
+  }
+};
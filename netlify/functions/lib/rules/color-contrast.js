@@ -0,0 +1,104 @@
+// 색상 대비 검사
+// 목표 수준이 AAA면 강화된 기준(1.4.6)을 적용하고, AA는 충족하지만 AAA에 미달하는 이슈는 1.4.6으로 보고합니다.
+const { resolveEffectiveColors, contrastRatio, toHex, findNearestCompliantColor } = require('../color');
+
+// AA·AAA 기준을 충족하는 가장 가까운 전경색과 배경색
+// (합성된 실제 색상 기준, 같은 색상 조합은 한 번만 계산)
+function suggestColors(cache, foreground, background, ratios) {
+  const key = `${toHex(foreground)}|${toHex(background)}|${ratios.aa}|${ratios.aaa}`;
+  if (!cache.has(key)) {
+    const suggestions = {};
+    Object.entries(ratios).forEach(([level, requiredRatio]) => {
+      suggestions[level] = {
+        requiredRatio,
+        foreground: findNearestCompliantColor(foreground, background, requiredRatio),
+        background: findNearestCompliantColor(background, foreground, requiredRatio)
+      };
+    });
+    cache.set(key, suggestions);
+  }
+  return cache.get(key);
+}
+
+// 제안 문구 (가까운 쪽을 먼저 안내)
+function suggestionText(suggestion, level) {
+  const options = [
+    suggestion.foreground && { label: '텍스트 색상', ...suggestion.foreground },
+    suggestion.background && { label: '배경색', ...suggestion.background }
+  ].filter(Boolean).sort((a, b) => a.distance - b.distance);
+
+  if (options.length === 0) return '텍스트와 배경색의 대비를 높이세요.';
+  return `${options.map(option => `${option.label}을 ${option.color}(${option.ratio}:1)로`).join(' 바꾸거나 ')} 바꾸면 ${level} 기준을 충족합니다.`;
+}
+
+module.exports = {
+  id: 'color-contrast',
+  wcag: ['1.4.3', '1.4.6'],
+  severity: 'critical',
+  category: 'color_contrast_failure',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { styles, rules, target } = context;
+    const enhanced = target === 'AAA';
+    const suggestionCache = new Map();
+
+    styles.getTextElements().forEach(el => {
+      const style = styles.getComputedStyle(el);
+      const resolved = resolveEffectiveColors(styles, el);
+
+      const fontSize = parseFloat(style['font-size']) || 16;
+      const isLargeText = rules.isLargeText(fontSize, parseInt(style['font-weight'], 10));
+      const { largeText, normalText } = rules.colorContrast;
+
+      const levels = isLargeText ? largeText : normalText;
+      const requiredRatio = enhanced ? levels.aaa : levels.aa;
+
+      // 배경 이미지/그라디언트 위의 텍스트는 자동으로 판정할 수 없음
+      if (resolved.backgroundImage) {
+        context.review({
+          rule: '색상 대비 수동 검토 필요',
+          description: `배경에 ${resolved.backgroundImage === 'gradient' ? '그라디언트' : '이미지'}가 있어 대비를 자동으로 계산할 수 없습니다.`,
+          element: context.describeElement(el),
+          node: el,
+          colors: {
+            foreground: toHex(resolved.declaredForeground),
+            backgroundImage: styles.getCascadedValue(resolved.backgroundSource, 'background-image'),
+            backgroundSource: context.describeElement(resolved.backgroundSource),
+            requiredRatio
+          },
+          suggestion: '텍스트가 놓이는 배경 영역에서 대비가 충분한지 직접 확인하세요.'
+        });
+        return;
+      }
+
+      const contrast = contrastRatio(resolved.foreground, resolved.background);
+
+      if (contrast < requiredRatio) {
+        const suggestions = suggestColors(suggestionCache, resolved.foreground, resolved.background, { aa: levels.aa, aaa: levels.aaa });
+
+        context.report({
+          rule: '색상 대비 부족',
+          wcag: contrast < levels.aa ? '1.4.3' : '1.4.6',
+          // 같은 색상 조합은 하나의 원인으로 묶음
+          groupKey: `${toHex(resolved.foreground)}|${toHex(resolved.background)}|${requiredRatio}`,
+          description: `색상 대비가 ${contrast.toFixed(2)}:1로 기준(${requiredRatio}:1)에 미달합니다.`,
+          element: context.describeElement(el),
+          node: el,
+          colors: {
+            foreground: toHex(resolved.declaredForeground),
+            foregroundAlpha: resolved.declaredForeground.a,
+            effectiveForeground: toHex(resolved.foreground),
+            effectiveBackground: toHex(resolved.background),
+            backgroundSource: resolved.backgroundSource ? context.describeElement(resolved.backgroundSource) : null,
+            ratio: Math.round(contrast * 100) / 100,
+            requiredRatio,
+            suggestions
+          },
+          suggestion: enhanced ? suggestionText(suggestions.aaa, 'AAA') : suggestionText(suggestions.aa, 'AA')
+        });
+      }
+    });
+  }
+};
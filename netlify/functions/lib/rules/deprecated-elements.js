@@ -0,0 +1,43 @@
+// 폐기된 표현용 요소 검사 (<font>, <center>, <marquee> 등)
+
+// 요소 → 대체 방법
+const DEPRECATED = {
+  font: 'CSS의 font-family, color, font-size',
+  center: 'CSS의 text-align: center 또는 margin: auto',
+  big: 'CSS의 font-size 또는 의미에 맞는 <strong>',
+  strike: '의미에 맞는 <del> 또는 <s>',
+  tt: '의미에 맞는 <code>, <kbd>, <samp>',
+  basefont: 'CSS의 font 속성',
+  acronym: '<abbr>',
+  marquee: '움직이지 않는 콘텐츠 또는 정지 버튼이 있는 CSS 애니메이션',
+  blink: '움직이지 않는 강조 스타일'
+};
+
+// 움직이는 콘텐츠는 2.2.2 (일시 정지, 정지, 숨기기) 위반
+const MOVING = new Set(['marquee', 'blink']);
+
+module.exports = {
+  id: 'deprecated-elements',
+  wcag: ['1.3.1', '2.2.2'],
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $(Object.keys(DEPRECATED).join(', ')).each((i, el) => {
+      const tag = el.tagName.toLowerCase();
+      context.report({
+        rule: '폐기된 HTML 요소',
+        description: MOVING.has(tag)
+          ? `<${tag}>는 폐기된 요소이며, 멈출 수 없는 움직임이 주의를 분산시킵니다.`
+          : `<${tag}>는 HTML에서 폐기된 표현용 요소라 의미 없이 모양만 바꿉니다.`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: `${DEPRECATED[tag]}(으)로 바꾸세요.`,
+        wcag: MOVING.has(tag) ? '2.2.2' : '1.3.1'
+      });
+    });
+  }
+};
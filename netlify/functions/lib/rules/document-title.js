@@ -0,0 +1,48 @@
+// 페이지 제목(<title>) 검사
+const { getSnippet } = require('../element-info');
+
+module.exports = {
+  id: 'document-title',
+  wcag: ['2.4.2'],
+  severity: 'critical',
+  scope: 'page',
+  penalty: 8,
+  defaultOptions: {
+    genericTitles: [
+      'untitled', 'untitled document', 'document', 'new page', 'page', 'home', 'index', 'title',
+      'my website', 'react app', 'vite app', '제목 없음', '새 페이지', '문서', '홈', '페이지'
+    ]
+  },
+
+  check(context, options) {
+    const { $ } = context;
+    const title = $('head title')[0] || $('title')[0];
+
+    if (!title) {
+      context.report({
+        rule: '페이지 제목 누락',
+        description: '문서에 <title> 요소가 없어 브라우저 탭과 스크린 리더에서 페이지를 구분할 수 없습니다.',
+        element: '<head>',
+        node: $('head')[0],
+        suggestion: '<head> 안에 "페이지 주제 - 사이트 이름" 형식의 <title>을 추가하세요.'
+      });
+      return;
+    }
+
+    const text = $(title).text().replace(/\s+/g, ' ').trim();
+    const generic = options.genericTitles.map(name => name.toLowerCase());
+    const isFileName = /^[\w-]+\.(html?|php|jsp|aspx?)$/i.test(text);
+
+    if (text && !generic.includes(text.toLowerCase()) && !isFileName) return;
+
+    context.report({
+      rule: text ? '의미 없는 페이지 제목' : '빈 페이지 제목',
+      description: text
+        ? `페이지 제목 "${text}"가 페이지의 주제나 목적을 설명하지 않습니다.`
+        : '<title>이 비어 있습니다.',
+      element: getSnippet($, title),
+      node: title,
+      suggestion: '"페이지 주제 - 사이트 이름" 형식으로 페이지마다 고유한 제목을 작성하세요.'
+    });
+  }
+};
@@ -0,0 +1,32 @@
+// ARIA·라벨이 참조하는 id의 중복 검사
+// 참조하는 쪽은 첫 번째 요소만 찾으므로 다른 요소에 이름·설명이 연결될 수 있습니다.
+const { getIdReferences, getDuplicateIds } = require('../ids');
+
+module.exports = {
+  id: 'duplicate-id-referenced',
+  wcag: ['4.1.2', '1.3.1'],
+  severity: 'critical',
+  penalty: 8,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+    const references = getIdReferences($);
+
+    getDuplicateIds($).forEach((elements, id) => {
+      if (!references.has(id)) return;
+
+      const attributes = [...new Set(references.get(id).map(reference => reference.attribute))];
+      context.report({
+        rule: '참조되는 id 중복',
+        description: `id="${id}"가 ${elements.length}번 쓰였고 ${attributes.join(', ')} 속성이 이 id를 참조합니다. 보조기술은 첫 번째 요소만 연결합니다.`,
+        element: context.describeElement(elements[1]),
+        node: elements[1],
+        duplicateId: id,
+        occurrences: elements.map(el => context.describeElement(el)),
+        referencedBy: attributes,
+        suggestion: '페이지 안에서 id가 하나만 존재하도록 바꾸고, 참조하는 속성이 의도한 요소를 가리키는지 확인하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,30 @@
+// 참조되지 않는 id의 중복 검사
+const { getIdReferences, getDuplicateIds } = require('../ids');
+
+module.exports = {
+  id: 'duplicate-id',
+  wcag: ['4.1.1'],
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+    const references = getIdReferences($);
+
+    getDuplicateIds($).forEach((elements, id) => {
+      // 참조되는 id는 duplicate-id-referenced 규칙에서 보고
+      if (references.has(id)) return;
+
+      context.report({
+        rule: 'id 중복',
+        description: `id="${id}"가 ${elements.length}번 쓰였습니다. 나중에 라벨이나 ARIA로 참조하면 잘못된 요소가 연결됩니다.`,
+        element: context.describeElement(elements[1]),
+        node: elements[1],
+        duplicateId: id,
+        occurrences: elements.map(el => context.describeElement(el)),
+        suggestion: 'id는 페이지 안에서 고유하게 지정하세요. 스타일용이라면 class를 사용하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,59 @@
+// 오류 메시지와 입력 필드의 연결 검사 (aria-describedby, aria-errormessage)
+const { getIdReferences } = require('../ids');
+
+// 오류 메시지로 쓰이는 요소
+const ERROR_SELECTOR = [
+  '[class*="error" i]', '[class*="invalid" i]', '[id*="error" i]', '[role="alert"]'
+].join(', ');
+
+const FIELD_SELECTOR = 'input:not([type="hidden" i]):not([type="submit" i]):not([type="button" i]), select, textarea';
+
+module.exports = {
+  id: 'error-association',
+  wcag: ['3.3.1', '1.3.1'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, styles } = context;
+    const references = getIdReferences($);
+    const isLinked = (el) => el.attribs.id && (references.get(el.attribs.id) || [])
+      .some(({ attribute }) => attribute === 'aria-describedby' || attribute === 'aria-errormessage');
+
+    // aria-invalid="true"인데 오류 설명이 연결되지 않은 필드
+    $(FIELD_SELECTOR).filter('[aria-invalid="true"]').each((i, el) => {
+      if (el.attribs['aria-describedby'] || el.attribs['aria-errormessage']) return;
+
+      context.report({
+        rule: '오류 설명 미연결',
+        description: '입력 필드가 aria-invalid="true"로 오류 상태이지만 무엇이 잘못되었는지 설명이 연결되어 있지 않습니다.',
+        element: context.describeElement(el),
+        node: el,
+        suggestion: '오류 메시지 요소에 id를 주고 필드의 aria-describedby 또는 aria-errormessage로 연결하세요.'
+      });
+    });
+
+    // 폼 안에 보이는 오류 메시지가 어느 필드와도 연결되지 않은 경우
+    $('form').find(ERROR_SELECTOR).each((i, el) => {
+      if ($(el).is(FIELD_SELECTOR) || $(el).find(FIELD_SELECTOR).length > 0) return;
+      if (!$(el).text().trim() || !styles.isRendered(el)) return;
+      if (isLinked(el) || $(el).parents().toArray().some(isLinked)) return;
+
+      // 같은 묶음(부모) 안의 필드를 오류 대상 필드로 추정
+      const field = $(el).parent().find(FIELD_SELECTOR)[0];
+      if (!field) return;
+
+      context.report({
+        rule: '오류 메시지 미연결',
+        description: `오류 메시지 "${$(el).text().replace(/\s+/g, ' ').trim()}"가 입력 필드와 연결되어 있지 않아 스크린 리더 사용자가 필드에서 오류 내용을 들을 수 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        field: context.describeElement(field),
+        suggestion: '오류 메시지에 id를 주고 해당 필드에 aria-describedby(또는 aria-errormessage와 aria-invalid="true")로 연결하세요.',
+        wcag: '3.3.1'
+      });
+    });
+  }
+};
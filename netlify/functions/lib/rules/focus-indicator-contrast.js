@@ -0,0 +1,62 @@
+// 포커스 표시 색상 대비 검사
+// 포커스 상태에서 지정한 outline·box-shadow·border·배경색이 인접 색상과 3:1 이상 대비되어야 합니다.
+// (WCAG 2.2의 2.4.11은 Focus Not Obscured이므로 대비는 1.4.11 비텍스트 대비로 판정)
+const { analyzeFocus, getFocusTargets, getIndicatorColors } = require('../focus');
+const { resolveEffectiveColors, parseColor, composite, contrastRatio, toHex } = require('../color');
+
+module.exports = {
+  id: 'focus-indicator-contrast',
+  wcag: ['1.4.11', '2.4.7'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 3,
+  defaultOptions: {
+    minimum: null // 지정하지 않으면 rules.json의 비텍스트 대비 기준 사용
+  },
+
+  check(context, options) {
+    const { styles, rules } = context;
+    const minimum = options.minimum || rules.colorContrast.nonText.aa;
+
+    getFocusTargets(context).forEach(el => {
+      const focus = analyzeFocus(context, el);
+      const indicators = getIndicatorColors(context, el, focus);
+      if (indicators.length === 0) return;
+
+      const parent = styles.getParentElement(el) || el;
+      const backgrounds = {
+        outer: resolveEffectiveColors(styles, parent),
+        inner: resolveEffectiveColors(styles, el)
+      };
+      // 배경 이미지 위의 표시는 자동으로 판정할 수 없음
+      if (indicators.some(indicator => backgrounds[indicator.placement].backgroundImage)) return;
+
+      const measured = indicators.map(indicator => {
+        const background = backgrounds[indicator.placement].background;
+        const color = composite(parseColor(indicator.color), background);
+        return { ...indicator, background, ratio: contrastRatio(color, background) };
+      });
+
+      // 표시 중 하나라도 기준을 넘으면 포커스 위치를 알아볼 수 있음
+      const best = measured.reduce((a, b) => (b.ratio > a.ratio ? b : a));
+      if (best.ratio >= minimum) return;
+
+      context.report({
+        rule: '포커스 표시 대비 부족',
+        description: `포커스 표시(${best.property})의 대비가 ${best.ratio.toFixed(2)}:1로 기준(${minimum}:1)에 미달합니다.`,
+        element: context.describeElement(el),
+        node: el,
+        colors: {
+          indicators: measured.map(item => ({
+            property: item.property,
+            color: toHex(parseColor(item.color)),
+            background: toHex(item.background),
+            ratio: Math.round(item.ratio * 100) / 100
+          })),
+          requiredRatio: minimum
+        },
+        suggestion: `포커스 표시 색상이 주변 배경과 ${minimum}:1 이상 대비되도록 바꾸세요.`
+      });
+    });
+  }
+};
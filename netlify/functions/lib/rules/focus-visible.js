@@ -0,0 +1,45 @@
+// 포커스 표시 제거 검사
+// outline을 없앤 뒤 포커스 상태에 box-shadow·border 같은 대체 표시를 지정하지 않으면
+// 키보드 사용자는 현재 위치를 알 수 없습니다.
+const { analyzeFocus, getFocusTargets } = require('../focus');
+
+module.exports = {
+  id: 'focus-visible',
+  wcag: ['2.4.7'],
+  severity: 'warning',
+  category: 'no_focus_indicators',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    // 같은 CSS 규칙 때문에 생긴 문제는 한 번만 보고
+    const groups = new Map();
+
+    getFocusTargets(context).forEach(el => {
+      const focus = analyzeFocus(context, el);
+      if (!focus.removed || focus.indicators.length > 0) return;
+
+      const source = focus.outline.entry ? focus.outline.entry.selector : null;
+      const key = source || el;
+      if (!groups.has(key)) groups.set(key, { source, declaration: focus.outline, elements: [] });
+      groups.get(key).elements.push(el);
+    });
+
+    groups.forEach(({ source, declaration, elements }) => {
+      const [el] = elements;
+      const css = `${declaration.property}: ${declaration.value}`;
+
+      context.report({
+        rule: '포커스 표시 제거',
+        description: source
+          ? `CSS 규칙 "${source} { ${css} }"에서 포커스 테두리를 없앴지만 대체 표시가 없어 키보드 포커스 위치가 보이지 않습니다. (요소 ${elements.length}개)`
+          : `인라인 스타일 "${css}"로 포커스 테두리를 없앴지만 대체 표시가 없어 키보드 포커스 위치가 보이지 않습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        cssRule: source ? `${source} { ${css} }` : null,
+        affectedElements: elements.map(node => context.describeElement(node)),
+        suggestion: 'outline을 지우지 말고, 꼭 지워야 한다면 :focus-visible에 outline이나 box-shadow로 눈에 띄는 포커스 표시를 지정하세요.'
+      });
+    });
+  }
+};
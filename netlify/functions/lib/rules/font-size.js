@@ -0,0 +1,40 @@
+// 폰트 크기 검사
+// 작은 글자 자체는 1.4.4(텍스트 크기 조정) 위반이 아니므로 추정 규칙으로 적합성 판정에서는 수동 검토로 집계
+const { getUniqueSelector } = require('../element-info');
+
+module.exports = {
+  id: 'font-size',
+  wcag: ['1.4.4'],
+  severity: 'warning',
+  heuristic: true,
+  category: 'small_font_size',
+  penalty: 2,
+  defaultOptions: {
+    minimum: null // 지정하지 않으면 기기 프로필의 최소 크기(rules.json의 min_font_size) 사용
+  },
+
+  check(context, options) {
+    const { $, styles, profile } = context;
+    const minimum = options.minimum || profile.minFontSize;
+
+    styles.getTextElements().forEach(el => {
+      const size = parseFloat(styles.getComputedStyle(el)['font-size']);
+
+      if (size < minimum) {
+        // 같은 CSS 규칙(또는 같은 style 속성)에서 온 크기는 하나의 원인으로 묶음
+        const source = styles.getDeclarationSource(el, 'font-size');
+        const cssRule = source && (source.selector || `${getUniqueSelector($, source.element)}[style]`);
+
+        context.report({
+          rule: '폰트 크기 부족',
+          description: `폰트 크기가 ${size}px로 권장 크기(${minimum}px) 미만입니다.`,
+          element: `${el.tagName.toLowerCase()}`,
+          node: el,
+          ...(cssRule && { cssRule: `${cssRule} { font-size: ${source.value} }` }),
+          groupKey: `${size}|${cssRule || ''}`,
+          suggestion: '읽기 쉬운 크기로 폰트를 키우세요.'
+        });
+      }
+    });
+  }
+};
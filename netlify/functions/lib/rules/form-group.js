@@ -0,0 +1,52 @@
+// 라디오 버튼·체크박스 그룹의 그룹 라벨 검사 (fieldset/legend 또는 role="group")
+const { computeAccessibleName } = require('../accessible-name');
+const { getRoleTokens } = require('../aria');
+
+const GROUP_ROLES = ['group', 'radiogroup'];
+
+// 이름 있는 fieldset 또는 group/radiogroup 역할의 조상
+function findNamedGroup(context, el) {
+  for (let node = el.parent; node && node.type === 'tag'; node = node.parent) {
+    const isGroup = node.tagName.toLowerCase() === 'fieldset' || GROUP_ROLES.includes(getRoleTokens(node)[0]);
+    if (isGroup && computeAccessibleName(context, node).name) return node;
+  }
+  return null;
+}
+
+module.exports = {
+  id: 'form-group',
+  wcag: ['1.3.1', '3.3.2'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+    const groups = new Map();
+
+    $('input[type="radio" i], input[type="checkbox" i]').each((i, el) => {
+      const name = el.attribs.name;
+      if (!name) return;
+      const key = `${el.attribs.type.toLowerCase()}:${name}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(el);
+    });
+
+    groups.forEach((inputs, key) => {
+      // 선택지가 하나뿐이면 그룹이 아니므로 건너뜀 (라디오·체크박스 모두 자체 라벨로 충분)
+      if (inputs.length < 2) return;
+      if (inputs.every(el => findNamedGroup(context, el))) return;
+
+      const type = key.split(':')[0];
+      context.report({
+        rule: type === 'radio' ? '라디오 버튼 그룹 라벨 누락' : '체크박스 그룹 라벨 누락',
+        description: `name="${inputs[0].attribs.name}"인 ${type === 'radio' ? '라디오 버튼' : '체크박스'} ${inputs.length}개가 그룹 제목 없이 나열되어 무엇에 대한 선택지인지 알 수 없습니다.`,
+        element: context.describeElement(inputs[0]),
+        node: inputs[0],
+        groupSize: inputs.length,
+        suggestion: '선택지를 <fieldset>으로 묶고 <legend>에 질문을 쓰거나, role="group"(라디오는 radiogroup)과 aria-labelledby로 그룹 이름을 제공하세요.'
+      });
+    });
+  }
+};
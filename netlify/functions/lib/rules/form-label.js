@@ -0,0 +1,39 @@
+// 폼 요소 라벨 연결 검사
+const { computeAccessibleName } = require('../accessible-name');
+
+// 이름 검사 대상이 아닌 입력 유형 (버튼류는 accessible-name, submit-name 규칙에서 검사)
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+module.exports = {
+  id: 'form-label',
+  wcag: ['1.3.1', '4.1.2'],
+  severity: 'critical',
+  category: 'missing_labels',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('input, textarea, select').each((i, el) => {
+      const type = $(el).attr('type');
+      if (SKIPPED_TYPES.includes((type || '').toLowerCase())) return;
+
+      // placeholder는 라벨을 대신할 수 없으므로 이름 출처에서 제외
+      // (placeholder만 있는 필드는 placeholder-label 규칙에서 보고)
+      const { name } = computeAccessibleName(context, el, { usePlaceholder: false });
+      const placeholder = (el.attribs.placeholder || '').trim();
+
+      if (!name && !placeholder) {
+        context.report({
+          rule: '폼 요소 라벨 누락',
+          description: '연결된 라벨이 없습니다.',
+          element: `<${el.tagName.toLowerCase()} type="${type || 'text'}">`,
+          node: el,
+          accessibleName: '',
+          suggestion: 'label 요소를 연결하거나 aria-label 속성을 추가하세요.'
+        });
+      }
+    });
+  }
+};
@@ -0,0 +1,25 @@
+// H1 태그 중복 검사
+
+module.exports = {
+  id: 'heading-h1-single',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  heuristic: true,
+  scope: 'page',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const h1Elements = context.$('h1');
+    const h1Count = h1Elements.length;
+
+    if (h1Count > 1) {
+      context.report({
+        rule: 'H1 태그 중복',
+        description: `H1 태그가 ${h1Count}개 사용되었습니다.`,
+        node: h1Elements[1],
+        suggestion: 'H1 태그는 페이지당 하나만 사용하는 것이 권장됩니다.'
+      });
+    }
+  }
+};
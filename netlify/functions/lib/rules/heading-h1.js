@@ -0,0 +1,21 @@
+// H1 태그 존재 여부 검사
+
+module.exports = {
+  id: 'heading-h1',
+  wcag: ['1.3.1'],
+  severity: 'critical',
+  category: 'invalid_heading_structure',
+  scope: 'page',
+  penalty: 15,
+  defaultOptions: {},
+
+  check(context) {
+    if (context.$('h1').length === 0) {
+      context.report({
+        rule: 'H1 태그 누락',
+        description: '페이지에 H1 태그가 없습니다.',
+        suggestion: '페이지의 주제를 나타내는 H1 태그를 추가하세요.'
+      });
+    }
+  }
+};
@@ -0,0 +1,49 @@
+// 제목 레벨 순서 검사
+// 컴포넌트 조각(fragment 모드)은 페이지 안에 들어갈 위치의 제목 수준(startHeadingLevel)에서 시작한다고 보고,
+// 그보다 높은 수준의 제목과 시작 수준을 건너뛴 첫 제목도 보고합니다.
+
+module.exports = {
+  id: 'heading-order',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  heuristic: true,
+  category: 'invalid_heading_structure',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const fragment = context.mode === 'fragment';
+    const startLevel = fragment ? context.startHeadingLevel : 1;
+    let prevLevel = fragment ? startLevel - 1 : 0;
+
+    context.$('h1, h2, h3, h4, h5, h6').each((i, el) => {
+      const currentLevel = parseInt(el.tagName.charAt(1));
+      if (fragment && currentLevel < startLevel) {
+        context.report({
+          rule: '컴포넌트 제목 수준 초과',
+          description: `컴포넌트의 시작 제목 수준은 H${startLevel}인데 H${currentLevel}이 사용되었습니다.`,
+          element: `<${el.tagName.toLowerCase()}>`,
+          node: el,
+          suggestion: `컴포넌트가 들어갈 페이지의 제목 구조에 맞게 H${startLevel}~H6 제목을 사용하세요.`
+        });
+      } else if (fragment && i === 0 && currentLevel > startLevel) {
+        context.report({
+          rule: '제목 레벨 건너뛰기',
+          description: `컴포넌트의 시작 제목 수준은 H${startLevel}인데 H${currentLevel}로 시작합니다.`,
+          element: `<${el.tagName.toLowerCase()}>`,
+          node: el,
+          suggestion: `컴포넌트의 첫 제목은 H${startLevel}을 사용하세요.`
+        });
+      } else if (prevLevel > 0 && currentLevel > prevLevel + 1) {
+        context.report({
+          rule: '제목 레벨 건너뛰기',
+          description: `H${prevLevel} 다음에 H${currentLevel}이 나타났습니다.`,
+          element: `<${el.tagName.toLowerCase()}>`,
+          node: el,
+          suggestion: '제목 레벨을 순차적으로 사용하세요.'
+        });
+      }
+      prevLevel = currentLevel;
+    });
+  }
+};
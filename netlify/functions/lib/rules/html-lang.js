@@ -0,0 +1,60 @@
+// 문서 언어(<html lang>) 검사
+const { validateLanguageTag, guessLanguage } = require('../language');
+const { isDynamicValue } = require('../component-source');
+const { setAttribute } = require('../autofix');
+
+module.exports = {
+  id: 'html-lang',
+  wcag: ['3.1.1'],
+  severity: 'critical',
+  scope: 'page',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+    const html = $('html')[0];
+    if (!html) return;
+
+    const lang = html.attribs.lang !== undefined ? html.attribs.lang : html.attribs['xml:lang'];
+    if (lang === undefined) {
+      // 본문 문자로 추정한 언어이므로 검토 필요
+      const guessed = guessLanguage($('body').text()) || 'ko';
+      context.report({
+        rule: '문서 언어 누락',
+        description: '<html> 요소에 lang 속성이 없어 스크린 리더가 어떤 언어로 읽어야 할지 알 수 없습니다.',
+        element: '<html>',
+        node: html,
+        suggestion: '<html lang="ko">처럼 페이지의 주 언어를 지정하세요.',
+        fix: {
+          safety: 'review',
+          description: `본문 문자로 추정한 lang="${guessed}" 추가`,
+          operations: [setAttribute(html, 'lang', guessed)]
+        }
+      });
+      return;
+    }
+
+    if (isDynamicValue(lang)) return;
+    const result = validateLanguageTag(lang);
+    if (result.valid) return;
+
+    context.report({
+      rule: '잘못된 문서 언어',
+      description: `lang="${lang}": ${result.reason}`,
+      element: '<html>',
+      node: html,
+      suggestion: result.suggestion
+        ? `lang="${result.suggestion}"를 사용하세요.`
+        : 'BCP 47 형식의 언어 태그(예: ko, en-US)를 사용하세요.',
+      // 흔한 오타(kr → ko 등)만 자동으로 고침
+      ...(result.suggestion && html.attribs.lang !== undefined && {
+        fix: {
+          safety: 'safe',
+          description: `lang="${lang}"을 lang="${result.suggestion}"로 변경`,
+          operations: [setAttribute(html, 'lang', result.suggestion)]
+        }
+      })
+    });
+  }
+};
@@ -0,0 +1,30 @@
+// 제목(title) 없는 iframe 검사
+const { computeAccessibleName } = require('../accessible-name');
+const { getRoleTokens } = require('../aria');
+
+module.exports = {
+  id: 'iframe-title',
+  wcag: ['4.1.2'],
+  severity: 'warning',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, styles } = context;
+
+    $('iframe, frame').each((i, el) => {
+      if (['presentation', 'none'].includes(getRoleTokens(el)[0])) return;
+      if ($(el).closest('[aria-hidden="true"]').length > 0 || !styles.isRendered(el)) return;
+      if (computeAccessibleName(context, el).name) return;
+
+      context.report({
+        rule: 'iframe 제목 누락',
+        description: `<${el.tagName.toLowerCase()}>에 title이 없어 스크린 리더 사용자가 포함된 콘텐츠가 무엇인지 알 수 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        src: el.attribs.src,
+        suggestion: '포함된 콘텐츠를 설명하는 title을 추가하세요(예: title="매장 위치 지도").'
+      });
+    });
+  }
+};
@@ -0,0 +1,36 @@
+// 빈 대체 텍스트 검사 (장식용 이미지 표시 여부)
+const { setAttribute } = require('../autofix');
+
+module.exports = {
+  id: 'image-alt-empty',
+  wcag: ['1.1.1'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('img').each((i, el) => {
+      const $el = $(el);
+      const alt = $el.attr('alt');
+
+      if (alt !== undefined && alt.length === 0 && !$el.attr('role') && !$el.attr('aria-hidden')) {
+        context.report({
+          rule: '빈 대체 텍스트',
+          description: 'alt 속성이 비어있습니다.',
+          element: `<img src="${$el.attr('src') || ''}">`,
+          node: el,
+          suggestion: '장식용 이미지라면 aria-hidden="true"를 추가하고, 의미있는 이미지라면 적절한 alt 텍스트를 제공하세요.',
+          // alt=""가 이미 보조기술에서 숨기므로 aria-hidden 추가는 의미를 바꾸지 않음
+          fix: {
+            safety: 'safe',
+            description: '장식용 이미지에 aria-hidden="true" 추가',
+            operations: [setAttribute(el, 'aria-hidden', 'true')]
+          }
+        });
+      }
+    });
+  }
+};
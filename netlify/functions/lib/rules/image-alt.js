@@ -0,0 +1,34 @@
+// 이미지 대체 텍스트 누락 검사
+const { setAttribute } = require('../autofix');
+
+module.exports = {
+  id: 'image-alt',
+  wcag: ['1.1.1'],
+  severity: 'critical',
+  category: 'missing_alt_text',
+  penalty: 12,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('img').each((i, el) => {
+      const $el = $(el);
+      if ($el.attr('alt') === undefined) {
+        context.report({
+          rule: '이미지 대체 텍스트 누락',
+          description: 'alt 속성이 없습니다.',
+          element: `<img src="${$el.attr('src') || ''}">`,
+          node: el,
+          suggestion: '이미지의 내용을 설명하는 alt 속성을 추가하세요.',
+          // 장식용 이미지로 가정한 수정이므로 검토 필요
+          fix: {
+            safety: 'review',
+            description: '장식용 이미지로 표시 (alt="" aria-hidden="true" 추가)',
+            operations: [setAttribute(el, 'alt', ''), setAttribute(el, 'aria-hidden', 'true')]
+          }
+        });
+      }
+    });
+  }
+};
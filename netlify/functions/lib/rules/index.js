@@ -0,0 +1,74 @@
+// 기본 제공 규칙 목록 (실행 순서대로)
+
+module.exports = [
+  require('./color-contrast'),
+  require('./required-attributes'),
+  require('./semantic-markup'),
+  require('./image-alt'),
+  require('./image-alt-empty'),
+  require('./video-caption'),
+  require('./audio-transcript'),
+  require('./media-autoplay'),
+  require('./iframe-title'),
+  require('./object-alt'),
+  require('./form-label'),
+  require('./placeholder-label'),
+  require('./form-group'),
+  require('./autocomplete-valid'),
+  require('./error-association'),
+  require('./submit-name'),
+  require('./accessible-name'),
+  require('./accessible-name-meaningful'),
+  require('./link-name'),
+  require('./link-text-generic'),
+  require('./link-text-ambiguous'),
+  require('./link-pseudo-button'),
+  require('./link-new-window'),
+  require('./link-redundant-adjacent'),
+  require('./link-purpose-link-only'),
+  require('./required-indicator'),
+  require('./heading-h1'),
+  require('./heading-h1-single'),
+  require('./heading-order'),
+  require('./section-headings'),
+  require('./font-size'),
+  require('./line-height'),
+  require('./text-spacing'),
+  require('./text-spacing-clip'),
+  require('./reflow-viewport'),
+  require('./reflow-fixed-width'),
+  require('./tabindex-positive'),
+  require('./click-keyboard'),
+  require('./focus-visible'),
+  require('./focus-indicator-contrast'),
+  require('./target-size'),
+  require('./landmark-main'),
+  require('./aria-role'),
+  require('./aria-required-children'),
+  require('./aria-required-parent'),
+  require('./aria-required-attr'),
+  require('./aria-prohibited-attr'),
+  require('./aria-valid-attr'),
+  require('./aria-valid-attr-value'),
+  require('./aria-idref'),
+  require('./aria-hidden-focus'),
+  require('./aria-redundant-role'),
+  require('./table-header'),
+  require('./table-header-association'),
+  require('./table-caption'),
+  require('./table-header-empty'),
+  require('./table-layout-markup'),
+  require('./table-headers-idref'),
+  require('./duplicate-id-referenced'),
+  require('./duplicate-id'),
+  require('./nested-interactive'),
+  require('./listitem-parent'),
+  require('./deprecated-elements'),
+  require('./parse-error'),
+  require('./html-lang'),
+  require('./lang-valid'),
+  require('./lang-parts'),
+  require('./document-title'),
+  require('./meta-viewport'),
+  require('./meta-refresh')
+];
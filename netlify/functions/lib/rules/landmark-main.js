@@ -0,0 +1,23 @@
+// main 랜드마크 검사
+
+module.exports = {
+  id: 'landmark-main',
+  wcag: ['2.4.1'],
+  severity: 'suggestion',
+  category: 'enhance_navigation',
+  scope: 'page',
+  penalty: 0,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, rules } = context;
+
+    if (rules.landmarkRoles.includes('main') && $(rules.landmarkSelector('main')).length === 0) {
+      context.report({
+        rule: 'main 랜드마크 누락',
+        description: '페이지의 주요 콘텐츠를 나타내는 main 요소나 role="main"이 없습니다.',
+        suggestion: '<main> 태그나 role="main"을 추가하여 주요 콘텐츠 영역을 명시하세요.'
+      });
+    }
+  }
+};
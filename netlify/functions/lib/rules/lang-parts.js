@@ -0,0 +1,41 @@
+// 문서 언어와 다른 문자로 쓰인 문단 검사 (수동 검토)
+// 문자 체계만으로는 언어를 확정할 수 없으므로 lang 지정 여부를 검토 대상으로 보고합니다.
+const { expectedScripts, detectForeignScript, getElementLanguage } = require('../language');
+
+// 코드, 약어 등 외국 문자가 자연스러운 요소
+const EXCLUDED_TAGS = new Set(['code', 'pre', 'kbd', 'samp', 'var', 'abbr']);
+
+module.exports = {
+  id: 'lang-parts',
+  wcag: ['3.1.2'],
+  severity: 'suggestion',
+  penalty: 0,
+  defaultOptions: {
+    minLetters: 20,
+    minRatio: 0.6
+  },
+
+  check(context, options) {
+    const { $, styles } = context;
+
+    styles.getTextElements().forEach(el => {
+      if (EXCLUDED_TAGS.has(el.tagName.toLowerCase()) || $(el).closest('code, pre').length > 0) return;
+
+      const lang = getElementLanguage(el);
+      const expected = expectedScripts(lang);
+      if (!expected) return;
+
+      const text = (el.children || []).filter(child => child.type === 'text').map(child => child.data).join('');
+      const { script, ratio, letters } = detectForeignScript(text, expected);
+      if (!script || letters < options.minLetters || ratio < options.minRatio) return;
+
+      context.review({
+        rule: '다른 언어로 보이는 문단',
+        description: `문서 언어(${lang})와 다른 문자(${script})로 쓰인 텍스트입니다. 다른 언어라면 lang 속성이 필요합니다.`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: '해당 요소에 lang 속성(예: lang="en")을 지정하세요.'
+      });
+    });
+  }
+};
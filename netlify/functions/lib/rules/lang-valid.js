@@ -0,0 +1,35 @@
+// 페이지 일부에 지정한 lang 속성 값 검사
+const { validateLanguageTag } = require('../language');
+const { isDynamicValue } = require('../component-source');
+
+module.exports = {
+  id: 'lang-valid',
+  wcag: ['3.1.2'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('body [lang], body[lang]').each((i, el) => {
+      const lang = el.attribs.lang;
+      // lang=""은 언어를 알 수 없음을 명시하는 올바른 값
+      // 바인딩한 값은 실행 전에는 알 수 없음
+      if (lang === '' || isDynamicValue(lang)) return;
+
+      const result = validateLanguageTag(lang);
+      if (result.valid) return;
+
+      context.report({
+        rule: '잘못된 lang 속성',
+        description: `lang="${lang}": ${result.reason}`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: result.suggestion
+          ? `lang="${result.suggestion}"를 사용하세요.`
+          : 'BCP 47 형식의 언어 태그(예: en, ja)를 사용하세요.'
+      });
+    });
+  }
+};
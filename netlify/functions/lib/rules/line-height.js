@@ -0,0 +1,46 @@
+// 본문 줄 간격 검사 (rules.json의 font_requirements.line_height)
+// 작성자가 지정한 값만 평가합니다. normal은 사용자 스타일로 바꿀 수 있으므로 제외합니다.
+// 1.4.12는 사용자가 간격을 늘릴 수 있는지를 보는 기준이라, 좁게 지정한 값 자체는 성공 기준 없는 권장 사항으로 보고
+// (간격을 늘렸을 때 잘리는지는 text-spacing-clip 규칙에서 1.4.12로 검사)
+
+// 계산된 line-height를 글자 크기 대비 배수로 변환 (normal이면 null)
+function lineHeightRatio(style) {
+  const value = style['line-height'];
+  if (value === 'normal') return null;
+  const fontSize = parseFloat(style['font-size']);
+  return value.endsWith('px') ? parseFloat(value) / fontSize : parseFloat(value);
+}
+
+module.exports = {
+  id: 'line-height',
+  wcag: [],
+  bestPractice: true,
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {
+    minimum: null, // 지정하지 않으면 rules.json의 최소 줄 간격 사용
+    excludeSelector: 'h1, h2, h3, h4, h5, h6'
+  },
+
+  check(context, options) {
+    const { $, styles, rules } = context;
+    const minimum = options.minimum || rules.fontRequirements.lineHeight.minimum;
+
+    styles.getTextElements().forEach(el => {
+      if (options.excludeSelector && $(el).is(options.excludeSelector)) return;
+
+      const style = styles.getComputedStyle(el);
+      const ratio = lineHeightRatio(style);
+      if (ratio === null || ratio >= minimum) return;
+
+      context.report({
+        rule: '줄 간격 부족',
+        description: `줄 간격이 글자 크기의 ${Math.round(ratio * 100) / 100}배로 권장값(${minimum}배) 미만입니다.`,
+        element: context.describeElement(el),
+        node: el,
+        lineHeight: style['line-height'],
+        suggestion: `line-height를 ${minimum} 이상(단위 없는 값 권장)으로 지정하세요.`
+      });
+    });
+  }
+};
@@ -0,0 +1,37 @@
+// 이름 없는 링크 검사 (아이콘만 있는 링크 포함)
+const { computeAccessibleName } = require('../accessible-name');
+const { getLinks } = require('../links');
+
+// 아이콘으로 쓰이는 요소
+const ICON_SELECTOR = 'img, svg, i, [class*="icon"], [class*="fa-"]';
+
+module.exports = {
+  id: 'link-name',
+  wcag: ['2.4.4', '4.1.2'],
+  severity: 'critical',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    getLinks(context).forEach(el => {
+      if (computeAccessibleName(context, el).name) return;
+
+      const isIconOnly = $(el).find(ICON_SELECTOR).length > 0;
+      context.report({
+        rule: isIconOnly ? '아이콘만 있는 링크의 이름 누락' : '링크 이름 누락',
+        description: isIconOnly
+          ? '링크에 아이콘만 있고 대체 텍스트가 없어 스크린 리더가 주소나 "링크"만 읽습니다.'
+          : '링크에 텍스트가 없어 어디로 이동하는지 알 수 없습니다.',
+        element: context.describeElement(el),
+        node: el,
+        href: el.attribs.href,
+        accessibleName: '',
+        suggestion: isIconOnly
+          ? '아이콘 이미지에 alt를 넣거나, 링크에 aria-label로 이동할 곳을 설명하세요(예: aria-label="장바구니").'
+          : '링크 안에 이동할 곳을 설명하는 텍스트를 넣으세요.'
+      });
+    });
+  }
+};
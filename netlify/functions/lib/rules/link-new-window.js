@@ -0,0 +1,40 @@
+// 새 창(target="_blank") 안내 누락 검사
+const { computeAccessibleName } = require('../accessible-name');
+const { getLinks } = require('../links');
+
+module.exports = {
+  id: 'link-new-window',
+  wcag: ['3.2.5'],
+  // 3.2.5는 AAA지만 새 창 안내는 모든 목표 수준에서 권장 사항으로 보고
+  bestPractice: true,
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {
+    hints: ['새 창', '새창', '새 탭', '새탭', '외부 링크', 'new window', 'new tab', 'opens in', 'external']
+  },
+
+  check(context, options) {
+    const { $ } = context;
+    const hints = options.hints.map(hint => hint.toLowerCase());
+
+    getLinks(context).forEach(el => {
+      if ((el.attribs.target || '').toLowerCase() !== '_blank') return;
+
+      // 이름, title, aria-describedby 설명 중 어디에든 안내가 있으면 통과
+      const describedBy = (el.attribs['aria-describedby'] || '').trim().split(/\s+/).filter(Boolean)
+        .map(id => $(`[id="${id.replace(/"/g, '\\"')}"]`).text())
+        .join(' ');
+      const text = [computeAccessibleName(context, el).name, el.attribs.title || '', describedBy].join(' ').toLowerCase();
+      if (hints.some(hint => text.includes(hint))) return;
+
+      context.report({
+        rule: '새 창 열림 안내 누락',
+        description: '링크가 새 창(탭)으로 열리지만 사용자에게 미리 알리지 않아 뒤로 가기가 동작하지 않는 것처럼 느껴질 수 있습니다.',
+        element: context.describeElement(el),
+        node: el,
+        href: el.attribs.href,
+        suggestion: '링크 텍스트나 aria-label에 "(새 창)"을 덧붙이거나, 새 창 아이콘에 alt="새 창"을 넣으세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,33 @@
+// 버튼처럼 동작하는 가짜 링크 검사 (href="#", href="javascript:...")
+const { getRoleTokens } = require('../aria');
+const { isPseudoHref } = require('../links');
+
+module.exports = {
+  id: 'link-pseudo-button',
+  wcag: ['4.1.2', '2.1.1'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('a[href]').each((i, el) => {
+      const href = el.attribs.href;
+      if (!isPseudoHref(href)) return;
+      // 역할을 button으로 밝힌 경우는 의미가 전달됨 (키보드 처리는 click-keyboard 규칙 참고)
+      if (getRoleTokens(el)[0] === 'button') return;
+
+      context.report({
+        rule: '버튼처럼 동작하는 링크',
+        description: `href="${href}" 링크는 이동할 곳이 없어 스크린 리더에 "링크"로 안내되지만 실제로는 버튼처럼 동작합니다.`,
+        element: context.describeElement(el),
+        node: el,
+        href,
+        suggestion: '동작을 실행하는 요소는 <button type="button">으로 바꾸고, 이동하는 링크라면 실제 주소를 href에 넣으세요.',
+        wcag: '4.1.2'
+      });
+    });
+  }
+};
@@ -0,0 +1,38 @@
+// 링크 텍스트만으로 목적을 알 수 있는지 검사 (AAA)
+// 2.4.9는 주변 문맥을 인정하지 않으므로, link-text-generic이 문맥 덕분에 수동 검토로 넘긴 링크도 실패로 보고합니다.
+// 문맥이 없는 링크는 이미 2.4.4 실패로 보고되므로 여기서는 다시 보고하지 않습니다.
+const { computeAccessibleName, isMeaninglessName } = require('../accessible-name');
+const { GENERIC_LINK_TEXTS, getLinks, hasLinkContext, normalizeLinkText } = require('../links');
+
+module.exports = {
+  id: 'link-purpose-link-only',
+  wcag: ['2.4.9'],
+  severity: 'warning',
+  penalty: 2,
+  defaultOptions: {
+    genericTexts: GENERIC_LINK_TEXTS
+  },
+
+  check(context, options) {
+    const { $ } = context;
+    const generic = new Set(options.genericTexts.map(normalizeLinkText));
+
+    getLinks(context).forEach(el => {
+      const { name, source } = computeAccessibleName(context, el);
+      if (!name) return;
+      if (!generic.has(normalizeLinkText(name)) && !isMeaninglessName(name)) return;
+      if (!hasLinkContext($, el, name)) return;
+
+      context.report({
+        rule: '링크 텍스트만으로 목적을 알 수 없음',
+        description: `주변 문맥 없이 링크 텍스트 "${name}"만 읽어서는 어디로 이동하는지 알 수 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        href: el.attribs.href,
+        accessibleName: name,
+        nameSource: source,
+        suggestion: '주변 문장에 기대지 않고 링크 텍스트(또는 aria-label)만 읽어도 목적지를 알 수 있게 작성하세요.'
+      });
+    });
+  }
+};
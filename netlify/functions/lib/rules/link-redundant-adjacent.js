@@ -0,0 +1,46 @@
+// 같은 주소로 이어지는 인접한 이미지 링크와 텍스트 링크 검사
+const { getLinks, normalizeHref, isPseudoHref } = require('../links');
+
+// 공백 텍스트를 건너뛴 다음 형제 요소
+function nextElementSibling(el) {
+  for (let node = el.next; node; node = node.next) {
+    if (node.type === 'tag') return node;
+    if (node.type === 'text' && node.data.trim()) return null;
+  }
+  return null;
+}
+
+module.exports = {
+  id: 'link-redundant-adjacent',
+  wcag: ['2.4.4', '1.1.1'],
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+    const links = new Set(getLinks(context));
+
+    links.forEach(el => {
+      const next = nextElementSibling(el);
+      if (!next || !links.has(next)) return;
+
+      const href = normalizeHref(el.attribs.href);
+      if (isPseudoHref(href) || href !== normalizeHref(next.attribs.href)) return;
+
+      const hasImage = node => $(node).find('img, svg').length > 0;
+      const hasText = node => $(node).text().trim().length > 0;
+      if (!(hasImage(el) && hasText(next)) && !(hasText(el) && hasImage(next))) return;
+
+      context.report({
+        rule: '중복된 인접 링크',
+        description: `이미지 링크와 텍스트 링크가 나란히 같은 주소(${href})로 이동해 키보드·스크린 리더 사용자가 같은 링크를 두 번 만납니다.`,
+        element: context.describeElement(el),
+        node: el,
+        href,
+        suggestion: '이미지와 텍스트를 하나의 <a>로 합치고 이미지는 alt=""로 처리하세요.',
+        wcag: '2.4.4'
+      });
+    });
+  }
+};
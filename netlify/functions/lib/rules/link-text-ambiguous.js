@@ -0,0 +1,47 @@
+// 같은 텍스트로 서로 다른 곳을 가리키는 링크 검사
+// "더보기"처럼 일반적인 텍스트는 link-text-generic 규칙에서 보고하므로 제외합니다.
+const { computeAccessibleName, isMeaninglessName } = require('../accessible-name');
+const { GENERIC_LINK_TEXTS, getLinks, normalizeLinkText, normalizeHref, isPseudoHref } = require('../links');
+
+const GENERIC = new Set(GENERIC_LINK_TEXTS.map(normalizeLinkText));
+
+module.exports = {
+  id: 'link-text-ambiguous',
+  wcag: ['2.4.4'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const groups = new Map();
+
+    getLinks(context).forEach(el => {
+      const href = el.attribs.href;
+      if (isPseudoHref(href)) return;
+
+      const { name } = computeAccessibleName(context, el);
+      const key = normalizeLinkText(name);
+      if (!key || GENERIC.has(key) || isMeaninglessName(name)) return;
+
+      if (!groups.has(key)) groups.set(key, { name, links: [] });
+      groups.get(key).links.push({ el, href: normalizeHref(href) });
+    });
+
+    groups.forEach(({ name, links }) => {
+      const destinations = [...new Set(links.map(link => link.href))];
+      if (destinations.length < 2) return;
+
+      context.report({
+        rule: '같은 텍스트, 다른 목적지',
+        description: `"${name}" 링크 ${links.length}개가 서로 다른 주소 ${destinations.length}곳(${destinations.join(', ')})으로 이동합니다.`,
+        element: context.describeElement(links[0].el),
+        node: links[0].el,
+        accessibleName: name,
+        destinations,
+        occurrences: links.map(link => context.describeElement(link.el)),
+        suggestion: '링크마다 목적지를 구분할 수 있는 텍스트를 사용하거나 aria-label로 차이를 설명하세요.'
+      });
+    });
+  }
+};
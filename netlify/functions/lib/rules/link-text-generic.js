@@ -0,0 +1,46 @@
+// 목적을 알 수 없는 일반적인 링크 텍스트 검사 ("여기", "더보기", "click here")
+// 같은 문단·목록 항목·표 셀의 문맥으로 목적을 알 수 있으면 2.4.4를 충족하므로 수동 검토로 분류합니다.
+const { computeAccessibleName, isMeaninglessName } = require('../accessible-name');
+const { GENERIC_LINK_TEXTS, getLinks, hasLinkContext, normalizeLinkText } = require('../links');
+
+module.exports = {
+  id: 'link-text-generic',
+  wcag: ['2.4.4'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {
+    genericTexts: GENERIC_LINK_TEXTS
+  },
+
+  check(context, options) {
+    const { $ } = context;
+    const generic = new Set(options.genericTexts.map(normalizeLinkText));
+
+    getLinks(context).forEach(el => {
+      const { name, source } = computeAccessibleName(context, el);
+      if (!name) return;
+      if (!generic.has(normalizeLinkText(name)) && !isMeaninglessName(name)) return;
+
+      const issue = {
+        rule: '목적을 알 수 없는 링크 텍스트',
+        description: `링크 텍스트 "${name}"만으로는 어디로 이동하는지 알 수 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        href: el.attribs.href,
+        accessibleName: name,
+        nameSource: source,
+        suggestion: '"공지사항 더보기", "요금제 자세히 보기"처럼 이동할 곳을 링크 텍스트에 포함하거나 aria-label로 보완하세요.'
+      };
+
+      // 설명이 연결되어 있거나 주변 문맥이 있으면 목적 전달 여부를 사람이 판단
+      if (hasLinkContext($, el, name)) {
+        context.review({
+          ...issue,
+          description: `${issue.description} 주변 문맥으로 목적을 알 수 있는지 확인하세요.`
+        });
+      } else {
+        context.report(issue);
+      }
+    });
+  }
+};
@@ -0,0 +1,36 @@
+// 목록 밖의 <li> 검사
+const { getRoleTokens } = require('../aria');
+
+const LIST_TAGS = new Set(['ul', 'ol', 'menu']);
+
+module.exports = {
+  id: 'listitem-parent',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('li').each((i, el) => {
+      // 역할을 바꾼 li는 aria-required-parent 규칙에서 검사
+      if (el.attribs.role) return;
+
+      const parent = el.parent;
+      const parentTag = parent && parent.type === 'tag' ? parent.tagName.toLowerCase() : null;
+      const parentRole = parent && parent.type === 'tag' ? getRoleTokens(parent)[0] : null;
+      if (parentRole === 'list' || (LIST_TAGS.has(parentTag) && !parentRole)) return;
+
+      context.report({
+        rule: '목록 밖의 목록 항목',
+        description: parentTag
+          ? `<li>가 <${parentTag}${parentRole ? ` role="${parentRole}"` : ''}> 안에 있어 목록 항목으로 인식되지 않습니다.`
+          : '<li>가 목록 요소 밖에 있어 목록 항목으로 인식되지 않습니다.',
+        element: context.describeElement(el),
+        node: el,
+        suggestion: '<li>는 <ul>, <ol>, <menu>의 직접 자식으로 두세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,27 @@
+// 정지할 방법 없이 소리와 함께 자동 재생되는 미디어 검사
+module.exports = {
+  id: 'media-autoplay',
+  wcag: ['1.4.2'],
+  severity: 'critical',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('video[autoplay], audio[autoplay]').each((i, el) => {
+      if (el.attribs.muted !== undefined || el.attribs.controls !== undefined) return;
+
+      const tag = el.tagName.toLowerCase();
+      context.report({
+        rule: '소리가 있는 자동 재생',
+        description: `<${tag}>가 소리와 함께 자동 재생되지만 정지하거나 음량을 조절할 컨트롤이 없어 스크린 리더 음성을 가립니다.`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: tag === 'video'
+          ? 'autoplay를 제거하거나 muted를 추가하고, controls 속성으로 재생 컨트롤을 제공하세요.'
+          : 'autoplay를 제거하고 controls 속성으로 사용자가 직접 재생하게 하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,40 @@
+// 시간 지연 자동 새로고침/이동(meta refresh) 검사
+const { getSnippet } = require('../element-info');
+
+// 20시간 이상 지연은 WCAG 2.2.1의 예외
+const MAX_DELAY_SECONDS = 72000;
+
+module.exports = {
+  id: 'meta-refresh',
+  wcag: ['2.2.1'],
+  severity: 'critical',
+  scope: 'page',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('meta[http-equiv="refresh" i]').each((i, el) => {
+      const content = (el.attribs.content || '').trim();
+      const match = content.match(/^(\d+(?:\.\d+)?)\s*(?:[;,]\s*(?:url\s*=\s*)?(.*))?$/i);
+      if (!match) return;
+
+      const delay = parseFloat(match[1]);
+      const url = (match[2] || '').replace(/^['"]|['"]$/g, '').trim();
+      if (delay === 0 || delay >= MAX_DELAY_SECONDS) return;
+
+      context.report({
+        rule: url ? '시간 지연 자동 이동' : '자동 새로고침',
+        description: url
+          ? `${delay}초 후 ${url}(으)로 자동 이동하여 사용자가 내용을 다 읽기 전에 페이지가 바뀔 수 있습니다.`
+          : `${delay}초마다 페이지를 새로고침하여 읽던 위치와 입력 내용을 잃을 수 있습니다.`,
+        element: getSnippet($, el),
+        node: el,
+        suggestion: url
+          ? '서버 측 리디렉션(301/302)을 사용하거나 사용자가 직접 누르는 링크를 제공하세요.'
+          : '자동 새로고침을 제거하고 사용자가 새로고침 시점을 선택하게 하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,57 @@
+// 확대를 막는 viewport 설정 검사
+const { getSnippet } = require('../element-info');
+
+// "width=device-width, user-scalable=no" → { width: 'device-width', 'user-scalable': 'no' }
+function parseViewport(content) {
+  const properties = {};
+  (content || '').split(/[,;]/).forEach(part => {
+    const [key, value] = part.split('=').map(text => (text || '').trim().toLowerCase());
+    if (key) properties[key] = value || '';
+  });
+  return properties;
+}
+
+// user-scalable은 yes/no 또는 숫자(절댓값 1 미만이면 no)
+function disablesZoom(value) {
+  if (value === undefined) return false;
+  if (value === 'no' || value === '0') return true;
+  const number = parseFloat(value);
+  return !Number.isNaN(number) && Math.abs(number) < 1;
+}
+
+module.exports = {
+  id: 'meta-viewport',
+  wcag: ['1.4.4'],
+  severity: 'critical',
+  scope: 'page',
+  penalty: 10,
+  defaultOptions: {
+    minimumMaximumScale: 2
+  },
+
+  check(context, options) {
+    const { $ } = context;
+
+    $('meta[name="viewport" i]').each((i, el) => {
+      const properties = parseViewport(el.attribs.content);
+      const maximumScale = parseFloat(properties['maximum-scale']);
+      const problems = [];
+
+      if (disablesZoom(properties['user-scalable'])) {
+        problems.push(`user-scalable=${properties['user-scalable']}`);
+      }
+      if (!Number.isNaN(maximumScale) && maximumScale < options.minimumMaximumScale) {
+        problems.push(`maximum-scale=${properties['maximum-scale']}`);
+      }
+      if (problems.length === 0) return;
+
+      context.report({
+        rule: '화면 확대 제한',
+        description: `viewport 설정(${problems.join(', ')})이 모바일에서 텍스트를 ${options.minimumMaximumScale * 100}%까지 확대하는 것을 막습니다.`,
+        element: getSnippet($, el),
+        node: el,
+        suggestion: 'user-scalable=no와 maximum-scale을 제거하고 content="width=device-width, initial-scale=1"을 사용하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,39 @@
+// 대화형 요소 안의 대화형 요소 검사 (<a> 안의 <button>, <button> 안의 <a> 등)
+const { INTERACTIVE_ROLES, getRoleTokens, isValidRole } = require('../aria');
+
+// HTML 콘텐츠 모델상 대화형 콘텐츠
+const INTERACTIVE_SELECTOR = [
+  'a[href]', 'button', 'input:not([type="hidden" i])', 'select', 'textarea', 'iframe', 'embed',
+  'details', 'label', 'audio[controls]', 'video[controls]', '[tabindex]', '[contenteditable]:not([contenteditable="false"])'
+].join(', ');
+
+module.exports = {
+  id: 'nested-interactive',
+  wcag: ['4.1.2'],
+  severity: 'warning',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('a[href], button').each((i, el) => {
+      const nested = $(el).find('*').toArray().filter(node => {
+        if ($(node).is(INTERACTIVE_SELECTOR)) return true;
+        const role = getRoleTokens(node).find(isValidRole);
+        return INTERACTIVE_ROLES.has(role);
+      });
+      if (nested.length === 0) return;
+
+      const tag = el.tagName.toLowerCase();
+      context.report({
+        rule: '대화형 요소 중첩',
+        description: `<${tag}> 안에 대화형 요소(${nested.map(node => context.describeElement(node)).join(', ')})가 있어 스크린 리더가 안쪽 요소를 안내하지 않거나 클릭 대상이 모호해집니다.`,
+        element: context.describeElement(el),
+        node: el,
+        nestedElements: nested.map(node => context.describeElement(node)),
+        suggestion: '대화형 요소를 서로 형제로 배치하세요. 카드 전체를 클릭하게 하려면 CSS로 링크 영역을 넓히세요.'
+      });
+    });
+  }
+};
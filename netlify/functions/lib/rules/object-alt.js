@@ -0,0 +1,37 @@
+// 텍스트 대안 없는 <object>/<embed> 검사
+const { computeAccessibleName } = require('../accessible-name');
+const { getRoleTokens } = require('../aria');
+
+module.exports = {
+  id: 'object-alt',
+  wcag: ['1.1.1'],
+  severity: 'critical',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('object, embed').each((i, el) => {
+      if (['presentation', 'none'].includes(getRoleTokens(el)[0])) return;
+      if ($(el).closest('[aria-hidden="true"]').length > 0) return;
+      // object 안의 object는 바깥 요소의 대체 콘텐츠
+      if (el.tagName.toLowerCase() === 'embed' && $(el).parents('object').length > 0) return;
+
+      const name = computeAccessibleName(context, el).name;
+      const fallback = el.tagName.toLowerCase() === 'object' ? $(el).text().replace(/\s+/g, ' ').trim() : '';
+      if (name || fallback) return;
+
+      const tag = el.tagName.toLowerCase();
+      context.report({
+        rule: '포함 콘텐츠의 대체 텍스트 누락',
+        description: `<${tag}>에 대체 텍스트가 없어 플러그인 콘텐츠를 볼 수 없는 사용자가 내용을 알 수 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: tag === 'object'
+          ? '<object> 안에 대체 텍스트나 링크를 넣거나 aria-label을 지정하세요.'
+          : '<embed>에 aria-label 또는 title을 지정하거나, 대체 콘텐츠를 넣을 수 있는 <object>로 바꾸세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,100 @@
+// 파서가 복구한 HTML 구문 오류 검사
+// 브라우저마다 복구 결과가 달라 보조기술에 전달되는 구조가 의도와 달라질 수 있습니다.
+
+// parse5 오류 코드 → 설명
+const ERROR_MESSAGES = {
+  'missing-doctype': '<!DOCTYPE html> 선언이 없어 브라우저가 호환 모드로 렌더링합니다.',
+  'duplicate-attribute': '같은 속성이 한 요소에 두 번 쓰였습니다. 두 번째 값은 무시됩니다.',
+  'missing-attribute-value': '속성 값이 비어 있습니다(= 뒤에 값 없음).',
+  'missing-whitespace-between-attributes': '속성 사이에 공백이 없습니다.',
+  'unexpected-character-in-attribute-name': '속성 이름에 쓸 수 없는 문자가 있습니다.',
+  'unexpected-equals-sign-before-attribute-name': '속성 이름 앞에 =가 있습니다.',
+  'non-void-html-element-start-tag-with-trailing-solidus': '빈 요소가 아닌 태그를 <div/>처럼 닫았습니다. /는 무시되고 요소가 열린 채로 남습니다.',
+  'end-tag-with-attributes': '닫는 태그에 속성이 있습니다.',
+  'eof-in-tag': '태그가 닫히기 전에 문서가 끝났습니다.',
+  'eof-in-comment': '주석이 닫히지 않았습니다.',
+  'abrupt-closing-of-empty-comment': '주석이 <!-->처럼 잘못 닫혔습니다.',
+  'incorrectly-opened-comment': '주석이 <!--로 시작하지 않습니다.',
+  'invalid-first-character-of-tag-name': '< 다음에 태그 이름으로 쓸 수 없는 문자가 있습니다. 텍스트의 <는 &lt;로 써야 합니다.',
+  'missing-end-tag-name': '</>처럼 이름 없는 닫는 태그가 있습니다.',
+  'unexpected-null-character': '문서에 NULL 문자가 있습니다.'
+};
+
+// 닫는 태그가 없는 것이 정상인 요소
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const OPTIONAL_END_TAGS = new Set([
+  'html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'rt', 'rp',
+  'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'colgroup', 'caption'
+]);
+
+// 원본에 없어도 파서가 항상 만들어 주는 요소
+const IMPLIED_TAGS = new Set(['html', 'head', 'body', 'tbody']);
+
+// SVG·MathML 요소는 <path/>처럼 스스로 닫을 수 있음
+const FOREIGN_NAMESPACES = new Set(['http://www.w3.org/2000/svg', 'http://www.w3.org/1998/Math/MathML']);
+
+// 원본에서 />로 끝나는 외부 콘텐츠(SVG·MathML) 요소
+function isSelfClosingForeign(html, el) {
+  const startTag = el.sourceCodeLocation.startTag;
+  if (!html || !startTag || !FOREIGN_NAMESPACES.has(el.namespace)) return false;
+  return html.slice(startTag.startOffset, startTag.endOffset).endsWith('/>');
+}
+
+// 문서 전체에만 해당하는 오류 (컴포넌트 조각 분석에서는 제외)
+const PAGE_ERRORS = new Set(['missing-doctype']);
+
+module.exports = {
+  id: 'parse-error',
+  wcag: ['4.1.1'],
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, mode, html } = context;
+    const parseErrors = (context.parseErrors || []).filter(error => mode !== 'fragment' || !PAGE_ERRORS.has(error.code));
+
+    parseErrors.forEach(error => {
+      context.report({
+        rule: 'HTML 구문 오류',
+        description: ERROR_MESSAGES[error.code] || `HTML 구문 오류(${error.code})를 브라우저가 임의로 복구합니다.`,
+        element: `${error.startLine}행 ${error.startCol}열`,
+        errorCode: error.code,
+        location: { line: error.startLine, column: error.startCol, endLine: error.endLine, endColumn: error.endCol },
+        suggestion: 'HTML 검사기(validator.w3.org)로 구문을 확인하고 수정하세요.'
+      });
+    });
+
+    // 시작 태그에서 이미 오류가 보고된 요소는 중복 보고하지 않음
+    const reportedOffsets = parseErrors.map(error => error.startOffset);
+
+    $('*').each((i, el) => {
+      const tag = el.tagName.toLowerCase();
+      const location = el.sourceCodeLocation;
+
+      if (!location) {
+        if (IMPLIED_TAGS.has(tag)) return;
+        context.report({
+          rule: '파서가 보완한 요소',
+          description: `원본에 없는 <${tag}>를 파서가 만들었습니다. 짝이 맞지 않는 닫는 태그 </${tag}>가 있을 수 있습니다.`,
+          element: context.describeElement(el),
+          node: el,
+          suggestion: '여는 태그와 닫는 태그의 짝과 순서를 확인하세요.'
+        });
+        return;
+      }
+
+      if (location.endTag || VOID_TAGS.has(tag) || OPTIONAL_END_TAGS.has(tag) || isSelfClosingForeign(html, el)) return;
+      const startTag = location.startTag;
+      if (startTag && reportedOffsets.some(offset => offset >= startTag.startOffset && offset <= startTag.endOffset)) return;
+
+      context.report({
+        rule: '닫히지 않은 요소',
+        description: `<${tag}>의 닫는 태그가 없어 파서가 임의의 위치에서 요소를 닫았습니다. 뒤따르는 콘텐츠가 의도하지 않은 요소 안에 들어갈 수 있습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: `</${tag}> 닫는 태그를 올바른 위치에 추가하세요.`
+      });
+    });
+  }
+};
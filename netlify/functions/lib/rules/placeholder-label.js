@@ -0,0 +1,32 @@
+// placeholder만으로 라벨을 대신한 입력 필드 검사
+// 입력을 시작하면 사라지고 대비도 낮아 라벨 역할을 할 수 없습니다.
+const { computeAccessibleName } = require('../accessible-name');
+
+module.exports = {
+  id: 'placeholder-label',
+  wcag: ['3.3.2', '1.3.1'],
+  severity: 'warning',
+  heuristic: true,
+  category: 'missing_labels',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('input[placeholder], textarea[placeholder]').each((i, el) => {
+      if (!el.attribs.placeholder.trim()) return;
+      if (computeAccessibleName(context, el, { usePlaceholder: false }).name) return;
+
+      context.report({
+        rule: 'placeholder만 있는 입력 필드',
+        description: `입력 필드가 placeholder "${el.attribs.placeholder}"만으로 라벨을 대신합니다. 입력을 시작하면 안내가 사라집니다.`,
+        element: context.describeElement(el),
+        node: el,
+        accessibleName: el.attribs.placeholder,
+        nameSource: 'placeholder',
+        suggestion: '항상 보이는 <label>을 연결하고, placeholder는 입력 예시로만 사용하세요.'
+      });
+    });
+  }
+};
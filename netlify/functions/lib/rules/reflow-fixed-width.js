@@ -0,0 +1,43 @@
+// 화면보다 넓은 고정 너비 검사 (모바일 프로필)
+// 미디어 쿼리를 반영한 스타일에서 px 너비가 프로필의 화면 폭보다 넓으면 가로 스크롤이 생깁니다.
+const { getUniqueSelector } = require('../element-info');
+
+// 고정 너비로 가로 스크롤을 만드는 속성
+const WIDTH_PROPERTIES = ['width', 'min-width'];
+
+module.exports = {
+  id: 'reflow-fixed-width',
+  wcag: ['1.4.10'],
+  severity: 'warning',
+  heuristic: true,
+  profiles: ['mobile'],
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, styles, profile } = context;
+
+    $('body *').toArray().forEach(el => {
+      if (!styles.isRendered(el)) return;
+
+      WIDTH_PROPERTIES.forEach(property => {
+        const declaration = styles.getCascadedDeclaration(el, property);
+        if (!declaration || !/px$/i.test(declaration.value.trim())) return;
+
+        const width = parseFloat(declaration.value);
+        if (width <= profile.viewportWidth) return;
+
+        const cssRule = declaration.selector || `${getUniqueSelector($, el)}[style]`;
+        context.report({
+          rule: '화면보다 넓은 고정 너비',
+          description: `${property}: ${declaration.value.trim()}이 화면 폭(${profile.viewportWidth}px)보다 넓어 가로 스크롤이 생깁니다.`,
+          element: context.describeElement(el),
+          node: el,
+          cssRule: `${cssRule} { ${property}: ${declaration.value.trim()} }`,
+          groupKey: `${property}|${cssRule}`,
+          suggestion: 'max-width: 100%나 상대 단위를 사용하거나, 좁은 화면용 미디어 쿼리에서 너비를 풀어 주세요.'
+        });
+      });
+    });
+  }
+};
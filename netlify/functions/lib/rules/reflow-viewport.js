@@ -0,0 +1,45 @@
+// 모바일 viewport 설정 검사
+// viewport 메타 태그가 없거나 너비를 고정하면 모바일 브라우저가 페이지를 넓은 화면 기준으로 그린 뒤 축소하므로,
+// 텍스트를 읽으려면 확대한 상태로 가로·세로 스크롤을 함께 해야 합니다.
+const { getSnippet } = require('../element-info');
+
+module.exports = {
+  id: 'reflow-viewport',
+  wcag: ['1.4.10'],
+  severity: 'warning',
+  scope: 'page',
+  profiles: ['mobile'],
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+    const meta = $('meta[name="viewport" i]').first();
+
+    if (meta.length === 0) {
+      context.report({
+        rule: 'viewport 설정 누락',
+        description: 'viewport 메타 태그가 없어 모바일 브라우저가 페이지를 데스크톱 너비로 그린 뒤 축소해서 보여줍니다.',
+        suggestion: '<head>에 <meta name="viewport" content="width=device-width, initial-scale=1">을 추가하세요.'
+      });
+      return;
+    }
+
+    const width = (meta.attr('content') || '')
+      .split(/[,;]/)
+      .map(part => part.split('='))
+      .filter(([key]) => (key || '').trim().toLowerCase() === 'width')
+      .map(([, value]) => (value || '').trim().toLowerCase())
+      .pop();
+
+    if (width && width !== 'device-width') {
+      context.report({
+        rule: 'viewport 너비 고정',
+        description: `viewport 너비가 ${width}로 고정되어 있어 화면 폭에 맞게 내용이 재배치되지 않습니다.`,
+        element: getSnippet($, meta[0]),
+        node: meta[0],
+        suggestion: 'width=device-width를 사용하고 레이아웃은 미디어 쿼리로 화면 폭에 맞추세요.'
+      });
+    }
+  }
+};
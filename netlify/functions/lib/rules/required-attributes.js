@@ -0,0 +1,56 @@
+// 필수 속성 검사 (rules.json의 semantic_html.required_attributes)
+// 속성이 없어도 성공 기준 위반은 아니므로(label의 for, 버튼의 type 등) 성공 기준 없는 권장 사항으로 보고
+const { setAttribute } = require('../autofix');
+
+// 전용 규칙에서 성공 기준으로 검사하는 속성 (img의 alt는 image-alt 규칙)
+const COVERED_ATTRIBUTES = {
+  img: ['alt']
+};
+
+// 브라우저 기본값을 명시하는 것이라 동작이 바뀌지 않는 속성 수정
+// 폼 안의 버튼은 기본이 submit이므로, 의도한 동작인지 확인하도록 검토 필요로 표시
+function defaultValueFix($, el, tag, attr) {
+  if (tag === 'input' && attr === 'type') {
+    return { safety: 'safe', description: 'type="text" 추가 (기본값 명시)', operations: [setAttribute(el, 'type', 'text')] };
+  }
+  if (tag === 'button' && attr === 'type') {
+    const inForm = $(el).closest('form').length > 0 || el.attribs.form !== undefined;
+    return inForm
+      ? { safety: 'review', description: 'type="submit" 추가 (폼 안 버튼의 기본 동작)', operations: [setAttribute(el, 'type', 'submit')] }
+      : { safety: 'safe', description: 'type="button" 추가 (폼 밖 버튼)', operations: [setAttribute(el, 'type', 'button')] };
+  }
+  return null;
+}
+
+module.exports = {
+  id: 'required-attributes',
+  wcag: [],
+  bestPractice: true,
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, rules } = context;
+
+    Object.entries(rules.requiredAttributes).forEach(([tag, attrs]) => {
+      $(tag).each((i, el) => {
+        const $el = $(el);
+        attrs.forEach(attr => {
+          if ((COVERED_ATTRIBUTES[tag] || []).includes(attr)) return;
+          if (!$el.attr(attr)) {
+            const fix = defaultValueFix($, el, tag, attr);
+            context.report({
+              rule: `${tag} 태그 필수 속성 누락`,
+              description: `${attr} 속성이 누락되었습니다.`,
+              element: `<${tag}>`,
+              node: el,
+              suggestion: `${attr} 속성을 추가하세요.`,
+              ...(fix && { fix })
+            });
+          }
+        });
+      });
+    });
+  }
+};
@@ -0,0 +1,35 @@
+// 필수 입력 표시 검사
+// 필드의 라벨·설명에 필수 표시가 있는지 확인합니다 (폼 전체의 텍스트는 보지 않음).
+const { computeAccessibleName } = require('../accessible-name');
+
+const INDICATORS = ['*', '필수', 'required', '(필)'];
+
+module.exports = {
+  id: 'required-indicator',
+  wcag: ['3.3.2'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('input[required], textarea[required], select[required], [aria-required="true"]').each((i, el) => {
+      const { name } = computeAccessibleName(context, el, { usePlaceholder: false });
+      const description = (el.attribs['aria-describedby'] || '').trim().split(/\s+/).filter(Boolean)
+        .map(id => $(`[id="${id.replace(/"/g, '\\"')}"]`).text())
+        .join(' ');
+      const text = `${name} ${description}`.toLowerCase();
+      if (INDICATORS.some(indicator => text.includes(indicator))) return;
+
+      context.report({
+        rule: '필수 입력 표시 부족',
+        description: '필수 입력 필드이지만 라벨에 필수임을 알리는 표시가 없어 제출 전까지 알 수 없습니다.',
+        element: context.describeElement(el),
+        node: el,
+        suggestion: '라벨에 "(필수)" 또는 * 표시를 넣고, *를 쓴다면 폼 위에 "*는 필수 항목"이라는 안내를 제공하세요.'
+      });
+    });
+  }
+};
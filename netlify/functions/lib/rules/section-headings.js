@@ -0,0 +1,37 @@
+// 구획 제목 검사 (AAA)
+// 본문이 충분히 긴 section·article·region에 제목이 없으면 내용 구조를 파악하기 어렵습니다.
+
+// 제목이 있어야 하는 구획
+const SECTION_SELECTOR = 'section, article, [role="region"], [role="article"]';
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+module.exports = {
+  id: 'section-headings',
+  wcag: ['2.4.10'],
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {
+    // 제목을 요구하는 최소 텍스트 길이 (글자 수)
+    minTextLength: 200
+  },
+
+  check(context, options) {
+    const { $, styles } = context;
+
+    $(SECTION_SELECTOR).each((i, el) => {
+      if (!styles.isRendered(el)) return;
+      if ($(el).find(HEADING_SELECTOR).length > 0) return;
+
+      const textLength = $(el).text().replace(/\s+/g, ' ').trim().length;
+      if (textLength < options.minTextLength) return;
+
+      context.report({
+        rule: '구획 제목 누락',
+        description: `${textLength}자 분량의 구획에 내용을 요약하는 제목이 없습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: '구획의 첫머리에 내용을 나타내는 제목(h2~h6)을 추가하세요.'
+      });
+    });
+  }
+};
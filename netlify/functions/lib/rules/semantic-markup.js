@@ -0,0 +1,28 @@
+// div 남용 검사
+
+module.exports = {
+  id: 'semantic-markup',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  heuristic: true,
+  category: 'improve_semantic_markup',
+  penalty: 5,
+  defaultOptions: {
+    maxDivs: 10,
+    minLandmarks: 3
+  },
+
+  check(context, options) {
+    const { $, rules } = context;
+    const divCount = $('div').length;
+    const semanticTags = $(rules.landmarkRoles.map(name => rules.landmarkSelector(name)).join(', ')).length;
+
+    if (divCount > options.maxDivs && semanticTags < options.minLandmarks) {
+      context.report({
+        rule: '시맨틱 태그 사용 권장',
+        description: `div 태그(${divCount}개)가 많이 사용되었습니다.`,
+        suggestion: 'header, nav, main, section, article 등의 시맨틱 태그 사용을 권장합니다.'
+      });
+    }
+  }
+};
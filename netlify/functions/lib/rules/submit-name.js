@@ -0,0 +1,42 @@
+// 이름 없는 제출 버튼 검사
+const { computeAccessibleName } = require('../accessible-name');
+const { isSubmitControl } = require('../forms');
+
+module.exports = {
+  id: 'submit-name',
+  wcag: ['4.1.2', '1.1.1'],
+  severity: 'critical',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, styles } = context;
+
+    $('button, input[type="submit" i], input[type="image" i]').each((i, el) => {
+      if (!isSubmitControl(el)) return;
+      if ($(el).closest('[aria-hidden="true"]').length > 0 || !styles.isRendered(el)) return;
+
+      const type = (el.attribs.type || '').toLowerCase();
+      const isImage = type === 'image';
+      // value=""는 브라우저 기본 이름("제출")도 지워 빈 버튼이 됨
+      const emptyValue = type === 'submit' && el.attribs.value !== undefined && !el.attribs.value.trim();
+      const { name, source } = computeAccessibleName(context, el);
+      // 이미지 버튼의 기본 이름("Submit")은 이미지의 대체 텍스트가 아님
+      if (!emptyValue && name && !(isImage && source === 'default')) return;
+
+      context.report({
+        rule: '제출 버튼 이름 누락',
+        description: isImage
+          ? '이미지 제출 버튼에 alt가 없어 무엇을 제출하는지 알 수 없습니다.'
+          : '제출 버튼에 텍스트가 없어 스크린 리더가 "버튼"으로만 읽습니다.',
+        element: context.describeElement(el),
+        node: el,
+        accessibleName: '',
+        suggestion: isImage
+          ? '<input type="image">에 버튼의 동작을 설명하는 alt(예: alt="검색")를 지정하세요.'
+          : '버튼에 "가입하기", "검색"처럼 동작을 설명하는 텍스트나 value를 넣으세요.',
+        wcag: isImage ? '1.1.1' : '4.1.2'
+      });
+    });
+  }
+};
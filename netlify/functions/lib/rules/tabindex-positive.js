@@ -0,0 +1,35 @@
+// 양수 tabindex 검사
+const { setAttribute } = require('../autofix');
+
+module.exports = {
+  id: 'tabindex-positive',
+  wcag: ['2.4.3'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 2,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('a, button, input, textarea, select, [tabindex]').each((i, el) => {
+      const tabindex = $(el).attr('tabindex');
+
+      if (tabindex && parseInt(tabindex) > 0) {
+        context.report({
+          rule: '양수 tabindex 사용',
+          description: `tabindex="${tabindex}"는 키보드 탐색 순서를 예측하기 어렵게 만듭니다.`,
+          element: `<${el.tagName.toLowerCase()}>`,
+          node: el,
+          suggestion: 'tabindex="0" 또는 음수 값을 사용하거나, HTML 구조로 탐색 순서를 조정하세요.',
+          // 탐색 순서가 문서 순서로 바뀌므로 검토 필요
+          fix: {
+            safety: 'review',
+            description: `tabindex="${tabindex}"를 tabindex="0"으로 변경`,
+            operations: [setAttribute(el, 'tabindex', '0')]
+          }
+        });
+      }
+    });
+  }
+};
@@ -0,0 +1,29 @@
+// 데이터 표의 제목(caption 또는 접근 가능한 이름) 누락 검사
+const { isDataTable } = require('../table');
+const { computeAccessibleName } = require('../accessible-name');
+
+module.exports = {
+  id: 'table-caption',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 2,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('table').each((i, table) => {
+      if (!isDataTable($, table)) return;
+      if (computeAccessibleName(context, table).name) return;
+
+      context.report({
+        rule: '표 제목 누락',
+        description: '데이터 표에 <caption>이나 aria-label, aria-labelledby로 된 이름이 없어 표의 내용을 미리 알 수 없습니다.',
+        element: context.describeElement(table),
+        node: table,
+        suggestion: '<table> 바로 안에 표의 내용을 설명하는 <caption>을 추가하세요.'
+      });
+    });
+  }
+};
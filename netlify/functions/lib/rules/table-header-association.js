@@ -0,0 +1,35 @@
+// 복잡한 표의 scope/headers 누락 검사
+const { isDataTable, analyzeHeaders, ownElements } = require('../table');
+
+module.exports = {
+  id: 'table-header-association',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('table').each((i, table) => {
+      if (!isDataTable($, table)) return;
+
+      const { headers, isComplex } = analyzeHeaders($, table);
+      if (!isComplex) return;
+      // headers 속성으로 셀마다 머리글을 연결한 표는 scope가 없어도 됨
+      if (ownElements($, table, 'td[headers]').length > 0) return;
+
+      const withoutScope = headers.filter(th => !th.attribs.scope);
+      if (withoutScope.length === 0) return;
+
+      context.report({
+        rule: '복잡한 표의 머리글 연결 누락',
+        description: `행·열 머리글이 함께 있거나 여러 단계인 표에서 머리글 ${withoutScope.length}개에 scope가 없고 셀에 headers 속성도 없습니다.`,
+        element: context.describeElement(table),
+        node: table,
+        headerCount: withoutScope.length,
+        suggestion: '머리글에 scope="col", scope="row"(병합된 머리글은 colgroup/rowgroup)를 지정하거나, 각 셀에 headers 속성으로 머리글 id를 연결하세요.'
+      });
+    });
+  }
+};
@@ -0,0 +1,31 @@
+// 비어 있는 머리글 셀 검사
+const { isDataTable, analyzeHeaders } = require('../table');
+const { computeAccessibleName } = require('../accessible-name');
+
+module.exports = {
+  id: 'table-header-empty',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('table').each((i, table) => {
+      if (!isDataTable($, table)) return;
+
+      analyzeHeaders($, table).headers.forEach(th => {
+        if (computeAccessibleName(context, th).name) return;
+
+        context.report({
+          rule: '빈 표 머리글',
+          description: '머리글 셀에 텍스트가 없어 이 머리글에 속한 셀을 읽을 때 아무것도 안내되지 않습니다.',
+          element: context.describeElement(th),
+          node: th,
+          suggestion: '머리글 텍스트를 넣으세요. 모서리처럼 머리글이 필요 없는 칸이라면 <td>로 바꾸세요.'
+        });
+      });
+    });
+  }
+};
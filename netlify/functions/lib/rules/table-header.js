@@ -0,0 +1,27 @@
+// 머리글 셀이 없는 데이터 표 검사
+const { isDataTable, analyzeHeaders } = require('../table');
+
+module.exports = {
+  id: 'table-header',
+  wcag: ['1.3.1'],
+  severity: 'critical',
+  penalty: 8,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('table').each((i, table) => {
+      if (!isDataTable($, table)) return;
+      if (analyzeHeaders($, table).headers.length > 0) return;
+
+      context.report({
+        rule: '표 머리글 누락',
+        description: '데이터 표에 <th> 머리글 셀이 없어 스크린 리더가 셀과 머리글의 관계를 알 수 없습니다.',
+        element: context.describeElement(table),
+        node: table,
+        suggestion: '열·행 제목 셀을 <th>로 표시하세요. 레이아웃용 표라면 role="presentation"을 지정하세요.'
+      });
+    });
+  }
+};
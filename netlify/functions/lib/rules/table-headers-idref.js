@@ -0,0 +1,34 @@
+// 셀의 headers 속성이 같은 표의 머리글 id를 가리키는지 검사
+const { ownElements } = require('../table');
+const { isDynamicValue } = require('../component-source');
+
+module.exports = {
+  id: 'table-headers-idref',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  penalty: 5,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('table').each((i, table) => {
+      const cellIds = new Set(ownElements($, table, 'th[id], td[id]').map(cell => cell.attribs.id));
+
+      ownElements($, table, '[headers]').forEach(cell => {
+        if (isDynamicValue(cell.attribs.headers)) return;
+        const missing = cell.attribs.headers.trim().split(/\s+/).filter(id => id && !cellIds.has(id));
+        if (missing.length === 0) return;
+
+        context.report({
+          rule: '잘못된 headers 참조',
+          description: `headers="${cell.attribs.headers}"가 참조하는 머리글(${missing.map(id => `#${id}`).join(', ')})이 같은 표 안에 없습니다.`,
+          element: context.describeElement(cell),
+          node: cell,
+          missingIds: missing,
+          suggestion: '같은 표에 있는 머리글 셀의 id를 참조하세요.'
+        });
+      });
+    });
+  }
+};
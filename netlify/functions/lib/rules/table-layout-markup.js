@@ -0,0 +1,33 @@
+// 데이터 표 마크업을 사용한 레이아웃 표 검사
+const { isLayoutTable, ownElements, DATA_TABLE_MARKUP } = require('../table');
+
+module.exports = {
+  id: 'table-layout-markup',
+  wcag: ['1.3.1'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('table').each((i, table) => {
+      if (!isLayoutTable(table)) return;
+
+      const markup = ownElements($, table, DATA_TABLE_MARKUP);
+      if (markup.length === 0 && !table.attribs.summary) return;
+
+      const used = [...new Set(markup.map(el => el.tagName.toLowerCase()))];
+      if (table.attribs.summary) used.push('summary 속성');
+
+      context.report({
+        rule: '레이아웃 표의 데이터 표 마크업',
+        description: `role="${table.attribs.role}"인 레이아웃 표에 데이터 표 마크업(${used.join(', ')})이 있어 표의 의미가 모순됩니다.`,
+        element: context.describeElement(table),
+        node: table,
+        suggestion: '레이아웃 표에서는 <th>, <caption>, scope, headers, summary를 제거하세요. 데이터 표라면 role을 제거하세요. 가능하면 레이아웃은 CSS로 구성하세요.'
+      });
+    });
+  }
+};
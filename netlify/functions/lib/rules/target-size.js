@@ -0,0 +1,91 @@
+// 터치 대상 크기 검사 (모바일 프로필)
+// CSS에서 크기를 알 수 있는 대상만 판정합니다. 지정한 width·height(min-width·min-height 포함)에 안쪽 여백을 더하며,
+// width·height가 적용되지 않는 인라인 요소는 글꼴과 주변 간격에 따라 크기가 달라지므로 판정하지 않습니다.
+// 최소 크기(24px) 미만은 2.5.8(AA)로, 목표 수준이 AAA이면 권장 크기(44px) 미만도 2.5.5(AAA)로 보고합니다.
+const { getFocusTargets } = require('../focus');
+const { getUniqueSelector } = require('../element-info');
+
+// 크기를 판정하지 않는 요소 (내장 콘텐츠, 이미지 맵 영역)
+const EXCLUDED_TAGS = new Set(['iframe', 'audio', 'video', 'area', 'textarea']);
+
+// display를 지정하지 않으면 인라인으로 그려지는 요소
+const INLINE_TAGS = new Set(['a', 'span', 'label', 'abbr', 'b', 'i', 'em', 'strong', 'small', 'code']);
+
+function lengthOf(styles, el, property) {
+  const value = styles.getCascadedValue(el, property);
+  if (!value) return null;
+  const fontSize = parseFloat(styles.getComputedStyle(el)['font-size']) || 16;
+  return styles.toPixels(value, fontSize, null);
+}
+
+// 한 방향의 크기 (내용 크기 + 안쪽 여백, 알 수 없으면 null)
+function dimension(styles, el, axis, borderBox) {
+  const [size, minSize, start, end] = axis === 'height'
+    ? ['height', 'min-height', 'padding-top', 'padding-bottom']
+    : ['width', 'min-width', 'padding-left', 'padding-right'];
+
+  const padding = (lengthOf(styles, el, start) || 0) + (lengthOf(styles, el, end) || 0);
+  const explicit = lengthOf(styles, el, size);
+  const minimum = lengthOf(styles, el, minSize);
+  if (explicit === null && minimum === null) return null;
+
+  const content = Math.max(explicit || 0, minimum || 0);
+  // border-box는 지정한 크기에 안쪽 여백이 포함됨
+  if (borderBox) return Math.round(Math.max(content, padding) * 100) / 100;
+  return Math.round((content + padding) * 100) / 100;
+}
+
+module.exports = {
+  id: 'target-size',
+  wcag: ['2.5.8', '2.5.5'],
+  severity: 'warning',
+  profiles: ['mobile'],
+  penalty: 3,
+  defaultOptions: {
+    minimum: null, // 지정하지 않으면 rules.json의 touch_target.minimum 사용
+    recommended: null // 지정하지 않으면 rules.json의 touch_target.recommended 사용
+  },
+
+  check(context, options) {
+    const { $, styles, rules, target } = context;
+    const minimum = options.minimum || rules.touchTarget.minimum;
+    const recommended = options.recommended || rules.touchTarget.recommended;
+    // 권장 크기(2.5.5)는 AAA 목표에서만 판정 (color-contrast의 1.4.6과 같은 방식)
+    const threshold = target === 'AAA' ? recommended : minimum;
+
+    getFocusTargets(context).forEach(el => {
+      const tag = el.tagName.toLowerCase();
+      if (EXCLUDED_TAGS.has(tag)) return;
+
+      const display = (styles.getCascadedValue(el, 'display') || '').trim().toLowerCase();
+      if (display === 'inline' || (!display && INLINE_TAGS.has(tag))) return;
+
+      const borderBox = (styles.getCascadedValue(el, 'box-sizing') || '').trim().toLowerCase() === 'border-box';
+
+      const width = dimension(styles, el, 'width', borderBox);
+      const height = dimension(styles, el, 'height', borderBox);
+      const known = [width, height].filter(value => value !== null);
+      if (known.length === 0) return;
+
+      const smallest = Math.min(...known);
+      if (smallest >= threshold) return;
+
+      const size = `${width === null ? '?' : width}×${height === null ? '?' : height}px`;
+      const source = styles.getDeclarationSource(el, height !== null ? 'height' : 'width');
+      const cssRule = source && (source.selector || `${getUniqueSelector($, source.element)}[style]`);
+
+      context.report({
+        rule: '터치 대상 크기 부족',
+        wcag: smallest < minimum ? '2.5.8' : '2.5.5',
+        description: smallest < minimum
+          ? `터치 대상 크기가 ${size}로 최소 크기(${minimum}px)보다 작습니다.`
+          : `터치 대상 크기가 ${size}로 권장 크기(${recommended}px)보다 작습니다.`,
+        element: context.describeElement(el),
+        node: el,
+        targetSize: { width, height, minimum, recommended },
+        groupKey: `${size}|${cssRule || ''}`,
+        suggestion: `min-width·min-height나 padding으로 터치 영역을 ${recommended}×${recommended}px 이상으로 넓히거나, 작은 대상끼리 ${minimum}px 이상 간격을 두세요.`
+      });
+    });
+  }
+};
@@ -0,0 +1,39 @@
+// 간격을 늘리면 텍스트가 잘리는 고정 높이 컨테이너 검사
+// 높이를 고정하고 overflow를 숨기면 사용자가 줄·자간을 늘렸을 때 내용이 사라집니다.
+
+// 글자 크기나 절대 단위로 고정된 높이 (%, auto, vh 등은 제외)
+const FIXED_LENGTH = /^[\d.]+(px|pt|em|rem)$/i;
+const CLIPPING_OVERFLOW = ['hidden', 'clip'];
+
+module.exports = {
+  id: 'text-spacing-clip',
+  wcag: ['1.4.12'],
+  severity: 'warning',
+  heuristic: true,
+  penalty: 3,
+  defaultOptions: {},
+
+  check(context) {
+    const { $, styles } = context;
+
+    $('body *').each((i, el) => {
+      const height = ['height', 'max-height']
+        .map(property => [property, styles.getCascadedValue(el, property)])
+        .find(([, value]) => value && FIXED_LENGTH.test(value.trim()));
+      if (!height) return;
+
+      const overflow = (styles.getCascadedValue(el, 'overflow-y') || '').trim().toLowerCase();
+      if (!CLIPPING_OVERFLOW.includes(overflow)) return;
+
+      if (!$(el).text().trim() || !styles.isRendered(el)) return;
+
+      context.report({
+        rule: '텍스트가 잘리는 고정 높이',
+        description: `고정 높이(${height[0]}: ${height[1]})와 넘침 숨김(overflow: ${overflow})이 함께 지정되어 사용자가 줄 간격이나 자간을 늘리면 텍스트가 잘립니다.`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: `${height[0]} 대신 min-height를 사용하거나 overflow를 visible/auto로 바꾸세요.`
+      });
+    });
+  }
+};
@@ -0,0 +1,64 @@
+// 자간·단어 간격·문단 간격 검사 (rules.json의 font_requirements)
+// 작성자가 지정한 값만 평가합니다. 지정하지 않은 값은 사용자가 자유롭게 늘릴 수 있습니다.
+// 지정한 값이 좁아도 사용자가 늘릴 수 있으면 1.4.12 위반이 아니므로 성공 기준 없는 권장 사항으로 보고
+
+// 계산된 간격(px)을 em으로 변환 (normal이면 null)
+function toEm(value, fontSize) {
+  return value === 'normal' ? null : parseFloat(value) / fontSize;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  id: 'text-spacing',
+  wcag: [],
+  bestPractice: true,
+  severity: 'suggestion',
+  penalty: 1,
+  defaultOptions: {
+    paragraphSelector: 'p'
+  },
+
+  check(context, options) {
+    const { $, styles, rules } = context;
+    const { letterSpacing, wordSpacing, paragraphSpacing } = rules.fontRequirements;
+
+    styles.getTextElements().forEach(el => {
+      const style = styles.getComputedStyle(el);
+      const fontSize = parseFloat(style['font-size']);
+      const problems = [];
+
+      const letter = toEm(style['letter-spacing'], fontSize);
+      if (letter !== null && letter < letterSpacing.minimum) {
+        problems.push(`자간 ${round(letter)}em (권장 ${letterSpacing.minimum}em)`);
+      }
+
+      const word = toEm(style['word-spacing'], fontSize);
+      if (word !== null && word < wordSpacing.minimum) {
+        problems.push(`단어 간격 ${round(word)}em (권장 ${wordSpacing.minimum}em)`);
+      }
+
+      // 문단 간격은 문단 요소에 직접 지정한 아래 여백으로 판단
+      if ($(el).is(options.paragraphSelector)) {
+        // %는 컨테이너 너비 기준이라 정적으로 판단할 수 없음
+        const margin = styles.getCascadedValue(el, 'margin-bottom');
+        const px = margin && !margin.includes('%') ? styles.toPixels(margin, fontSize, null) : null;
+        if (px !== null && px / fontSize < paragraphSpacing.minimum) {
+          problems.push(`문단 간격 ${round(px / fontSize)}em (권장 ${paragraphSpacing.minimum}em)`);
+        }
+      }
+
+      if (problems.length === 0) return;
+
+      context.report({
+        rule: '텍스트 간격 부족',
+        description: `지정된 텍스트 간격이 권장값보다 좁습니다: ${problems.join(', ')}`,
+        element: context.describeElement(el),
+        node: el,
+        suggestion: `자간 ${letterSpacing.minimum}em, 단어 간격 ${wordSpacing.minimum}em, 문단 간격 ${paragraphSpacing.minimum}em 이상을 사용하거나, 사용자가 간격을 늘려도 내용이 잘리지 않는지 확인하세요.`
+      });
+    });
+  }
+};
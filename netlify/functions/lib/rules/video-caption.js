@@ -0,0 +1,30 @@
+// 자막(<track kind="captions">) 없는 동영상 검사
+module.exports = {
+  id: 'video-caption',
+  wcag: ['1.2.2'],
+  severity: 'critical',
+  penalty: 10,
+  defaultOptions: {},
+
+  check(context) {
+    const { $ } = context;
+
+    $('video').each((i, el) => {
+      const $el = $(el);
+      if ($el.children('track').toArray().some(track => (track.attribs.kind || '').toLowerCase() === 'captions')) return;
+      // 음소거 상태로 조작 없이 재생되는 배경 영상은 소리가 없으므로 제외
+      if ($el.attr('muted') !== undefined && $el.attr('controls') === undefined) return;
+
+      const hasSubtitles = $el.children('track').toArray().some(track => (track.attribs.kind || 'subtitles').toLowerCase() === 'subtitles');
+      context.report({
+        rule: '동영상 자막 누락',
+        description: hasSubtitles
+          ? '동영상에 kind="subtitles" 트랙만 있습니다. 자막(subtitles)은 대사 번역용이라 효과음·화자 정보가 빠질 수 있습니다.'
+          : '동영상에 <track kind="captions"> 자막이 없어 청각장애 사용자가 음성 내용을 알 수 없습니다.',
+        element: context.describeElement(el),
+        node: el,
+        suggestion: '대사와 효과음을 담은 WebVTT 파일을 <track kind="captions" src="captions.vtt" srclang="ko" label="한국어">로 연결하세요.'
+      });
+    });
+  }
+};
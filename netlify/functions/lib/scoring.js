@@ -0,0 +1,182 @@
+// 접근성 점수 계산
+// 이슈마다 규칙 감점 × 심각도 가중치 × 성공 기준 가중치를 더하되,
+// 규칙별 감점 상한과 페이지 크기 보정을 적용합니다. 가중치는 rules.json의 scoring에서 읽습니다.
+// 점수와 별개로 수준(A/AA/AAA)별 적합성 판정과 목표 수준 충족 여부를 제공합니다.
+
+const { getCriterion, listCriteria } = require('./wcag');
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// 목표 수준을 지정하지 않은 요청의 기본값
+const DEFAULT_TARGET = 'AA';
+
+class ConformanceTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConformanceTargetError';
+  }
+}
+
+// 요청의 목표 수준 해석 (대소문자 무시, 없으면 AA)
+function resolveTarget(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_TARGET;
+  const level = typeof value === 'string' ? value.trim().toUpperCase() : value;
+  if (LEVELS.includes(level)) return level;
+  throw new ConformanceTargetError(`목표 수준은 ${LEVELS.join(', ')} 중 하나여야 합니다.`);
+}
+
+// 수준이 목표 수준 이하인지 (알 수 없는 수준은 항상 포함)
+function isWithinTarget(level, target) {
+  if (!LEVELS.includes(level)) return true;
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(target);
+}
+
+// 성공 기준 목록 중 가장 낮은 수준 (규칙이 검사를 시작하는 수준)
+function lowestLevel(numbers) {
+  const levels = numbers
+    .map(number => getCriterion(number))
+    .filter(Boolean)
+    .map(criterion => LEVELS.indexOf(criterion.level))
+    .filter(index => index !== -1);
+  return levels.length > 0 ? LEVELS[Math.min(...levels)] : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// 성공 기준 가중치 (개별 기준 설정 > 수준별 설정 > 1)
+function criterionWeight(config, wcag) {
+  if (!wcag) return 1;
+  if (config.criterionWeights[wcag.criterion] !== undefined) return config.criterionWeights[wcag.criterion];
+  if (wcag.level && config.levelWeights[wcag.level] !== undefined) return config.levelWeights[wcag.level];
+  return 1;
+}
+
+// 페이지 크기 보정 계수 (기준 요소 수 이하이면 1, 크면 거듭제곱으로 완만하게 증가)
+function pageSizeFactor(config, elementCount) {
+  const { baselineElements, exponent } = config.pageSize;
+  if (!baselineElements || elementCount <= baselineElements) return 1;
+  return Math.pow(elementCount / baselineElements, exponent);
+}
+
+function issuePoints(config, { issue, severity, rule }) {
+  return rule.penalty * (config.severityWeights[severity] || 0) * criterionWeight(config, issue.wcag);
+}
+
+// 같은 요소를 같은 성공 기준으로 보고한 이슈는 감점이 가장 큰 하나만 반영
+// (예: 대체 텍스트 누락을 여러 규칙이 함께 보고하면 한 번만 감점)
+function uniqueIssues(issues, config) {
+  const byNode = new Map();
+  const unique = [];
+
+  issues.forEach(item => {
+    const scored = { ...item, points: issuePoints(config, item) };
+    if (!item.node || !item.issue.wcag) {
+      unique.push(scored);
+      return;
+    }
+
+    if (!byNode.has(item.node)) byNode.set(item.node, new Map());
+    const criteria = byNode.get(item.node);
+    const existing = criteria.get(item.issue.wcag.criterion);
+    if (!existing) {
+      criteria.set(item.issue.wcag.criterion, scored);
+      unique.push(scored);
+    } else if (scored.points > existing.points) {
+      criteria.set(item.issue.wcag.criterion, scored);
+      unique[unique.indexOf(existing)] = scored;
+    }
+  });
+
+  return unique;
+}
+
+// issues: [{ issue, severity, rule, node }] (node: 이슈가 가리키는 요소, 없으면 중복 제거 제외)
+function calculateScore(issues, { config, elementCount }) {
+  const byRule = new Map();
+
+  uniqueIssues(issues, config).forEach(({ severity, rule, points }) => {
+    if (!byRule.has(rule.id)) byRule.set(rule.id, { ruleId: rule.id, occurrences: 0, raw: 0, cap: 0 });
+
+    const entry = byRule.get(rule.id);
+    entry.occurrences++;
+    entry.raw += points;
+    // 심각도를 바꾼 이슈가 섞이면 가장 큰 상한 사용
+    entry.cap = Math.max(entry.cap, config.maxPenaltyPerRule[severity] || 0);
+  });
+
+  const factor = pageSizeFactor(config, elementCount);
+  const deductions = Array.from(byRule.values())
+    .map(({ ruleId, occurrences, raw, cap }) => {
+      const capped = Math.min(raw, cap);
+      return {
+        ruleId,
+        occurrences,
+        penalty: round(capped / factor),
+        ...(capped < raw && { capped: true, uncappedPenalty: round(raw / factor) })
+      };
+    })
+    .filter(deduction => deduction.penalty > 0)
+    .sort((a, b) => b.penalty - a.penalty);
+
+  const total = deductions.reduce((sum, deduction) => sum + deduction.penalty, 0);
+
+  return {
+    score: Math.max(0, Math.round(100 - total)),
+    deductions,
+    pageSizeFactor: round(factor),
+    elementCount
+  };
+}
+
+function gradeFor(config, score) {
+  const grade = config.grades.find(item => score >= item.min);
+  return grade ? grade.label : config.grades[config.grades.length - 1].label;
+}
+
+// 수준별 적합성 판정 (하위 수준을 포함한 누적 판정, 목표 수준까지)
+// 자동 검사로 확인한 기준만 판정하므로, 검사한 기준 수와 전체 기준 수, 수동 검토 항목을 함께 제공합니다.
+function evaluateConformance(byCriterion, target = 'AAA') {
+  const verdicts = {};
+
+  LEVELS.slice(0, LEVELS.indexOf(target) + 1).forEach((level, index) => {
+    const included = Object.entries(byCriterion).filter(([, entry]) => LEVELS.indexOf(entry.level) !== -1 && LEVELS.indexOf(entry.level) <= index);
+    const failed = included.filter(([, entry]) => entry.status === 'fail').map(([number]) => number);
+    const review = included.filter(([, entry]) => entry.status === 'review').map(([number]) => number);
+
+    verdicts[level] = {
+      status: failed.length > 0 ? 'fail' : 'pass',
+      testedCriteria: included.length,
+      totalCriteria: LEVELS.slice(0, index + 1).reduce((sum, item) => sum + listCriteria(item).length, 0),
+      failedCriteria: failed,
+      reviewCriteria: review
+    };
+  });
+
+  return verdicts;
+}
+
+// 목표 수준 충족 여부 (수동 검토 항목이 남아 있으면 자동 검사 범위에서만 충족)
+function evaluateTarget(conformance, target) {
+  const verdict = conformance[target];
+  return {
+    level: target,
+    met: verdict.status === 'pass',
+    failedCriteria: verdict.failedCriteria,
+    reviewCriteria: verdict.reviewCriteria
+  };
+}
+
+module.exports = {
+  LEVELS,
+  DEFAULT_TARGET,
+  ConformanceTargetError,
+  resolveTarget,
+  isWithinTarget,
+  lowestLevel,
+  calculateScore,
+  gradeFor,
+  evaluateConformance,
+  evaluateTarget
+};
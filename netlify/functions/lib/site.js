@@ -0,0 +1,352 @@
+// 정적 사이트 분석 도구
+// 압축 파일로 올린 사이트에서 내부 링크를 따라 페이지 목록을 만들고 연결된 스타일시트를 찾아 주며,
+// 페이지 사이에서 반복되는 이슈와 일관성(3.2.3 내비게이션 순서, 3.2.4 같은 기능의 이름)을 검사합니다.
+
+const path = require('path').posix;
+const cheerio = require('cheerio');
+const { getCriterion } = require('./wcag');
+const { describeNode } = require('./element-info');
+const { computeAccessibleName } = require('./accessible-name');
+
+const HTML_FILE = /\.html?$/i;
+const STYLESHEET_FILE = /\.css$/i;
+const IMAGE_FILE = /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp)$/i;
+
+// 한 번에 분석할 최대 페이지 수
+const MAX_PAGES = 50;
+
+const NAVIGATION = 'nav, [role="navigation"]';
+
+// 여러 페이지에 반복되는 영역 (요소 → 랜드마크 역할)
+const REPEATED_REGIONS = 'nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]';
+const REGION_ROLES = { nav: 'navigation', header: 'banner', footer: 'contentinfo' };
+
+class SiteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SiteError';
+  }
+}
+
+// 모든 파일이 폴더 하나 안에 있으면(폴더째 압축한 경우) 그 폴더를 사이트 루트로 사용
+function stripCommonRoot(files) {
+  const paths = Array.from(files.keys());
+  const root = paths.length > 0 ? paths[0].split('/')[0] : null;
+  if (!root || !paths.every(item => item.startsWith(`${root}/`))) return files;
+  return new Map(Array.from(files, ([item, content]) => [item.slice(root.length + 1), content]));
+}
+
+// 페이지의 주소 → 압축 파일 안의 경로 (외부 주소, mailto:, 같은 페이지의 #앵커는 null)
+function resolveUrl(fromPath, href) {
+  if (typeof href !== 'string') return null;
+  const trimmed = href.trim();
+  if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('//') || /^[a-z][a-z\d+.-]*:/i.test(trimmed)) return null;
+
+  let target = trimmed.replace(/[?#].*$/, '');
+  if (!target) return fromPath;
+  try {
+    target = decodeURI(target);
+  } catch (error) {
+    // 잘못 인코딩된 주소는 그대로 사용
+  }
+
+  const joined = target.startsWith('/')
+    ? path.normalize(target.slice(1) || '.')
+    : path.normalize(path.join(path.dirname(fromPath), target));
+  if (joined === '..' || joined.startsWith('../')) return null;
+  if (joined === '.') return 'index.html';
+  return target.endsWith('/') ? path.join(joined, 'index.html') : joined;
+}
+
+// 경로에 해당하는 페이지 (확장자 없는 주소는 .html, 폴더 주소는 index.html도 확인)
+function findPage(files, target) {
+  if (!target) return null;
+  const candidates = HTML_FILE.test(target) ? [target] : [`${target}.html`, `${target}/index.html`];
+  return candidates.find(candidate => files.has(candidate)) || null;
+}
+
+// 링크가 가리키는 대상 (사이트 안이면 페이지·파일 경로, 밖이면 주소 그대로)
+function linkTarget(files, pagePath, href) {
+  const target = resolveUrl(pagePath, href);
+  if (!target) return (href || '').trim();
+  return findPage(files, target) || target;
+}
+
+// 페이지에서 <link rel="stylesheet">를 읽는 함수 (외부 주소와 압축 파일에 없는 파일은 null)
+function createStylesheetLoader(files, pagePath) {
+  return (href) => {
+    const target = resolveUrl(pagePath, href);
+    return target && files.has(target) ? files.get(target).toString('utf8') : null;
+  };
+}
+
+function createInventoryEntry(pagePath, depth) {
+  return { path: pagePath, title: null, depth, reachable: depth !== null, linkedFrom: [], links: [] };
+}
+
+// 페이지 목록 작성
+// 진입 페이지(index.html)부터 내부 링크를 너비 우선으로 따라가고, 링크로 닿지 않는 페이지는 reachable: false로 뒤에 붙입니다.
+// 압축 파일에 없는 페이지로 가는 링크와 없는 스타일시트·이미지도 함께 모읍니다.
+function buildInventory(files) {
+  const htmlPaths = Array.from(files.keys()).filter(item => HTML_FILE.test(item)).sort();
+  if (htmlPaths.length === 0) throw new SiteError('압축 파일에 HTML 페이지가 없습니다.');
+
+  const entry = ['index.html', 'index.htm'].find(item => files.has(item)) || htmlPaths[0];
+  const pages = new Map([[entry, createInventoryEntry(entry, 0)]]);
+  const queue = [entry];
+  const brokenLinks = [];
+  const missingResources = [];
+
+  const scan = (page) => {
+    const $ = cheerio.load(files.get(page.path).toString('utf8'));
+    page.title = $('title').first().text().trim() || null;
+
+    $('a[href], area[href]').each((i, el) => {
+      const target = resolveUrl(page.path, el.attribs.href);
+      if (!target) return;
+      const linked = findPage(files, target);
+      if (!linked) {
+        if (!files.has(target)) brokenLinks.push({ page: page.path, href: el.attribs.href });
+        return;
+      }
+      if (linked === page.path) return;
+
+      if (!page.links.includes(linked)) page.links.push(linked);
+      if (!pages.has(linked)) {
+        pages.set(linked, createInventoryEntry(linked, page.depth === null ? null : page.depth + 1));
+        queue.push(linked);
+      }
+      const linkedPage = pages.get(linked);
+      if (!linkedPage.linkedFrom.includes(page.path)) linkedPage.linkedFrom.push(page.path);
+    });
+
+    $('link[rel~="stylesheet"][href], img[src]').each((i, el) => {
+      const href = el.tagName === 'img' ? el.attribs.src : el.attribs.href;
+      const target = resolveUrl(page.path, href);
+      if (target && !files.has(target)) {
+        missingResources.push({ page: page.path, type: el.tagName === 'img' ? 'image' : 'stylesheet', href });
+      }
+    });
+  };
+
+  for (;;) {
+    while (queue.length > 0) scan(pages.get(queue.shift()));
+    // 링크로 닿지 않은 페이지도 목록에 포함
+    const orphan = htmlPaths.find(item => !pages.has(item));
+    if (!orphan) break;
+    pages.set(orphan, createInventoryEntry(orphan, null));
+    queue.push(orphan);
+  }
+
+  const paths = Array.from(files.keys());
+  return {
+    entry,
+    pages: Array.from(pages.values()),
+    brokenLinks,
+    missingResources,
+    assets: {
+      pages: htmlPaths.length,
+      stylesheets: paths.filter(item => STYLESHEET_FILE.test(item)).length,
+      images: paths.filter(item => IMAGE_FILE.test(item)).length,
+      other: paths.filter(item => !HTML_FILE.test(item) && !STYLESHEET_FILE.test(item) && !IMAGE_FILE.test(item)).length
+    }
+  };
+}
+
+const REPORT_SEVERITIES = [['critical', 'critical'], ['warnings', 'warning'], ['suggestions', 'suggestion']];
+
+// 여러 페이지에서 반복되는 이슈 (같은 규칙·같은 설명, minPages개 이상의 페이지)
+// pageReports: [{ path, report }]
+function collectRecurringIssues(pageReports, minPages = 2) {
+  const recurring = new Map();
+
+  pageReports.forEach(({ path: pagePath, report }) => {
+    REPORT_SEVERITIES.forEach(([key, severity]) => {
+      report[key].forEach(issue => {
+        const id = `${issue.ruleId}|${issue.description}`;
+        if (!recurring.has(id)) {
+          recurring.set(id, {
+            ruleId: issue.ruleId,
+            severity,
+            wcag: issue.wcag,
+            rule: issue.rule,
+            description: issue.description,
+            suggestion: issue.suggestion,
+            pageCount: 0,
+            occurrences: 0,
+            pages: []
+          });
+        }
+
+        const entry = recurring.get(id);
+        const occurrences = issue.occurrences || 1;
+        entry.occurrences += occurrences;
+        const page = entry.pages.find(item => item.path === pagePath);
+        if (page) {
+          page.occurrences += occurrences;
+        } else {
+          entry.pageCount++;
+          entry.pages.push({ path: pagePath, occurrences, ...(issue.selector && { selector: issue.selector }) });
+        }
+      });
+    });
+  });
+
+  return Array.from(recurring.values())
+    .filter(entry => entry.pageCount >= minPages)
+    .sort((a, b) => b.pageCount - a.pageCount || b.occurrences - a.occurrences);
+}
+
+function normalizeName(name) {
+  return (name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function consistencyIssue(ruleId, criterion, page, el, fields) {
+  const info = getCriterion(criterion);
+  return {
+    ruleId,
+    severity: 'warning',
+    wcag: {
+      criterion,
+      level: info ? info.level : null,
+      principle: info ? info.principle : null,
+      title: info ? info.title : null
+    },
+    page: page.path,
+    ...fields,
+    ...(el && describeNode(page.context.$, el))
+  };
+}
+
+// 영역 안의 링크 (같은 대상은 처음 것만)
+function collectLinks(files, page, root) {
+  const { $ } = page.context;
+  const seen = new Set();
+  return $(root).find('a[href]').toArray()
+    .map(el => ({ el, target: linkTarget(files, page.path, el.attribs.href), name: computeAccessibleName(page.context, el).name }))
+    .filter(link => {
+      if (seen.has(link.target)) return false;
+      seen.add(link.target);
+      return true;
+    });
+}
+
+// 최상위 내비게이션 영역 (링크가 2개 이상인 것)
+function collectNavigations(files, page) {
+  const { $ } = page.context;
+  return $(NAVIGATION).toArray()
+    .filter(el => $(el).parents(NAVIGATION).length === 0)
+    .map(el => ({ el, links: collectLinks(files, page, el) }))
+    .filter(navigation => navigation.links.length >= 2);
+}
+
+// 3.2.3 일관된 내비게이션
+// 진입 페이지의 내비게이션과 링크 대상이 절반 이상 겹치는 다른 페이지의 내비게이션에서
+// 공통 링크의 상대적 순서가 다르면 보고합니다.
+function checkNavigationOrder(files, pages) {
+  const issues = [];
+  const [reference, ...others] = pages;
+  if (!reference) return issues;
+
+  collectNavigations(files, reference).forEach(expected => {
+    const expectedTargets = expected.links.map(link => link.target);
+
+    others.forEach(page => {
+      const match = collectNavigations(files, page)
+        .map(navigation => ({ navigation, shared: navigation.links.filter(link => expectedTargets.includes(link.target)).length }))
+        .filter(({ navigation, shared }) => shared >= 2 && shared * 2 >= Math.min(navigation.links.length, expectedTargets.length))
+        .sort((a, b) => b.shared - a.shared)[0];
+      if (!match) return;
+
+      const actual = match.navigation.links.filter(link => expectedTargets.includes(link.target));
+      const actualTargets = actual.map(link => link.target);
+      const expectedOrder = expected.links.filter(link => actualTargets.includes(link.target));
+      if (expectedOrder.every((link, index) => link.target === actualTargets[index])) return;
+
+      issues.push(consistencyIssue('consistent-navigation', '3.2.3', page, match.navigation.el, {
+        rule: '내비게이션 순서 불일치',
+        description: `반복되는 내비게이션의 링크 순서가 진입 페이지(${reference.path})와 다릅니다.`,
+        expectedOrder: expectedOrder.map(link => link.name || link.target),
+        actualOrder: actual.map(link => link.name || link.target),
+        suggestion: '여러 페이지에 반복되는 내비게이션은 모든 페이지에서 같은 순서로 배치하세요.'
+      }));
+    });
+  });
+
+  return issues;
+}
+
+// 3.2.4 일관된 식별
+// 반복 영역(내비게이션, 머리글, 바닥글)에서 같은 곳으로 가는 링크나 같은 이미지의 이름이
+// 페이지마다 다르면 보고합니다. 한 페이지 안의 차이는 보지 않고 페이지 간 차이만 봅니다.
+function checkIdentification(files, pages) {
+  const components = new Map();
+
+  pages.forEach(page => {
+    const { $ } = page.context;
+    $(REPEATED_REGIONS).find('a[href], img[src]').each((i, el) => {
+      const isLink = el.tagName === 'a';
+      if (!isLink && $(el).closest('a[href]').length > 0) return;
+
+      const name = isLink ? computeAccessibleName(page.context, el).name : el.attribs.alt;
+      if (!normalizeName(name)) return;
+
+      const region = $(el).closest(REPEATED_REGIONS)[0];
+      const role = region.attribs.role || REGION_ROLES[region.tagName.toLowerCase()];
+      const target = isLink ? linkTarget(files, page.path, el.attribs.href) : (resolveUrl(page.path, el.attribs.src) || el.attribs.src);
+      const key = `${role}|${isLink ? 'link' : 'image'}|${target}`;
+
+      if (!components.has(key)) components.set(key, { isLink, target, pages: new Map() });
+      const byPage = components.get(key).pages;
+      if (!byPage.has(page)) byPage.set(page, []);
+      byPage.get(page).push({ el, name: name.replace(/\s+/g, ' ').trim() });
+    });
+  });
+
+  const issues = [];
+  components.forEach(({ isLink, target, pages: byPage }) => {
+    if (byPage.size < 2) return;
+    const signature = (items) => Array.from(new Set(items.map(item => normalizeName(item.name)))).sort().join('|');
+    const signatures = new Set(Array.from(byPage.values(), signature));
+    if (signatures.size < 2) return;
+
+    // 이름별 사용 페이지 (많이 쓰인 이름부터)
+    const names = new Map();
+    byPage.forEach((items, page) => {
+      items.forEach(item => {
+        const key = normalizeName(item.name);
+        if (!names.has(key)) names.set(key, { name: item.name, pages: [], first: { page, el: item.el } });
+        if (!names.get(key).pages.includes(page.path)) names.get(key).pages.push(page.path);
+      });
+    });
+    const variants = Array.from(names.values()).sort((a, b) => b.pages.length - a.pages.length);
+    const least = variants[variants.length - 1].first;
+
+    issues.push(consistencyIssue('consistent-identification', '3.2.4', least.page, least.el, {
+      rule: '같은 기능의 다른 이름',
+      description: `같은 ${isLink ? `곳(${target})으로 가는 링크` : `이미지(${target})`}가 페이지마다 다른 이름으로 제공됩니다: ${variants.map(variant => `"${variant.name}"(${variant.pages.length}개 페이지)`).join(', ')}`,
+      target,
+      names: variants.map(({ name, pages: usedPages }) => ({ name, pages: usedPages })),
+      suggestion: '여러 페이지에서 같은 기능을 하는 링크·이미지에는 같은 이름(텍스트, 대체 텍스트)을 사용하세요.'
+    }));
+  });
+
+  return issues;
+}
+
+// 페이지 간 일관성 검사
+// pages: [{ path, context: { $, styles } }] (첫 페이지가 진입 페이지)
+function checkConsistency(files, pages) {
+  return [...checkNavigationOrder(files, pages), ...checkIdentification(files, pages)];
+}
+
+module.exports = {
+  MAX_PAGES,
+  SiteError,
+  stripCommonRoot,
+  resolveUrl,
+  buildInventory,
+  createStylesheetLoader,
+  collectRecurringIssues,
+  checkConsistency
+};
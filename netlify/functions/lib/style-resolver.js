@@ -0,0 +1,494 @@
+// CSS 캐스케이드 기반 스타일 계산기
+// cheerio의 $el.css()는 인라인 style 속성만 읽기 때문에,
+// <style> 블록과 클래스 규칙까지 반영한 계산값(computed style)을 직접 구합니다.
+
+const tinycolor = require('tinycolor2');
+
+// 부모로부터 상속되는 속성
+const INHERITED_PROPERTIES = new Set([
+  'color',
+  'font-size',
+  'font-weight',
+  'line-height',
+  'letter-spacing',
+  'word-spacing'
+]);
+
+// 계산값으로 제공하는 속성과 초기값
+const COMPUTED_PROPERTIES = {
+  'color': '#000000',
+  'background-color': 'transparent',
+  'font-size': '16px',
+  'font-weight': '400',
+  'line-height': 'normal',
+  'letter-spacing': 'normal',
+  'word-spacing': 'normal'
+};
+
+const ROOT_FONT_SIZE = 16;
+
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  'small': 13,
+  'medium': 16,
+  'large': 18,
+  'x-large': 24,
+  'xx-large': 32,
+  'xxx-large': 48
+};
+
+// 정적 분석에서는 알 수 없는 사용자 상호작용 상태
+const DYNAMIC_PSEUDO_CLASSES = /:(hover|focus|focus-visible|focus-within|active|visited|target)\b/i;
+const PSEUDO_ELEMENTS = /::?(before|after|first-line|first-letter|placeholder|selection|marker|backdrop)\b/i;
+
+// 텍스트를 렌더링하지 않는 요소
+const NON_RENDERED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'meta', 'link', 'title']);
+
+// 주석 제거
+function stripComments(css) {
+  return css.replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+// 괄호와 따옴표 바깥의 구분자로 문자열 분리
+function splitOutside(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// 선언 블록 파싱 ("color: red; font-size: 12px !important")
+function parseDeclarations(text) {
+  const declarations = [];
+
+  splitOutside(text, ';').forEach(chunk => {
+    const colon = chunk.indexOf(':');
+    if (colon <= 0) return;
+
+    const property = chunk.slice(0, colon).trim().toLowerCase();
+    let value = chunk.slice(colon + 1).trim();
+    const important = /!\s*important\s*$/i.test(value);
+    if (important) {
+      value = value.replace(/!\s*important\s*$/i, '').trim();
+    }
+    if (!value) return;
+
+    expandShorthand(property, value).forEach(([prop, val]) => {
+      declarations.push({ property: prop, value: val, important });
+    });
+  });
+
+  return declarations;
+}
+
+// 단축 속성을 개별 속성으로 확장
+function expandShorthand(property, value) {
+  if (property === 'background') {
+    const tokens = splitOutside(value, ' ');
+    const colorToken = tokens.filter(token => tinycolor(token).isValid()).pop();
+    const imageToken = tokens.find(token => /^(url|[\w-]*gradient)\(/i.test(token));
+    return [
+      ['background-color', colorToken || 'transparent'],
+      ['background-image', imageToken || 'none']
+    ];
+  }
+
+  if (property === 'font') {
+    const match = value.match(/(?:^|\s)([\d.]+(?:px|pt|em|rem|%)|xx-small|x-small|small|medium|large|x-large|xx-large|xxx-large|smaller|larger)(?:\s*\/\s*([\w.%]+))?\s/i);
+    if (!match) return [[property, value]];
+
+    const expanded = [['font-size', match[1]], ['line-height', match[2] || 'normal']];
+    const weight = value.slice(0, match.index).match(/\b(bold|bolder|lighter|normal|[1-9]00)\b/i);
+    expanded.push(['font-weight', weight ? weight[1] : 'normal']);
+    return expanded;
+  }
+
+  // margin, padding: 위 오른쪽 아래 왼쪽 (1~4개 값)
+  if (property === 'margin' || property === 'padding') {
+    const tokens = splitOutside(value, ' ');
+    const [top, right = top, bottom = top, left = right] = tokens;
+    return [[`${property}-top`, top], [`${property}-right`, right], [`${property}-bottom`, bottom], [`${property}-left`, left]];
+  }
+
+  // overflow: x [y]
+  if (property === 'overflow') {
+    const [x, y = x] = splitOutside(value, ' ');
+    return [['overflow', value], ['overflow-x', x], ['overflow-y', y]];
+  }
+
+  return [[property, value]];
+}
+
+// 스타일시트 파싱 (@media 블록은 조건과 함께 보관)
+function parseStylesheet(cssText, media = null) {
+  const rules = [];
+  const css = stripComments(cssText);
+  let i = 0;
+
+  while (i < css.length) {
+    const open = css.indexOf('{', i);
+    if (open === -1) break;
+
+    const prelude = css.slice(i, open).trim();
+    const close = findMatchingBrace(css, open);
+    const body = css.slice(open + 1, close);
+    i = close + 1;
+
+    // 블록 없이 끝나는 at-rule(@import, @charset 등)은 건너뜀
+    const atStatement = prelude.lastIndexOf(';');
+    const selectorText = atStatement === -1 ? prelude : prelude.slice(atStatement + 1).trim();
+
+    if (selectorText.startsWith('@')) {
+      const mediaMatch = selectorText.match(/^@media\s+(.+)$/i);
+      if (mediaMatch) {
+        rules.push(...parseStylesheet(body, mediaMatch[1].trim()));
+      }
+      // @font-face, @keyframes 등은 요소 스타일에 영향을 주지 않음
+      continue;
+    }
+
+    rules.push({
+      selectors: splitOutside(selectorText, ','),
+      declarations: parseDeclarations(body),
+      media
+    });
+  }
+
+  return rules;
+}
+
+function findMatchingBrace(css, open) {
+  let depth = 0;
+  for (let i = open; i < css.length; i++) {
+    if (css[i] === '{') depth++;
+    if (css[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return css.length;
+}
+
+// 선택자 명시도 계산 [id, class/속성/가상클래스, 타입]
+function calculateSpecificity(selector) {
+  let text = selector.replace(/"[^"]*"|'[^']*'/g, '');
+  const specificity = [0, 0, 0];
+
+  // :where()는 명시도 0, :not()/:is()/:has()는 인자의 명시도를 따름
+  text = text.replace(/:where\((?:[^()]|\([^()]*\))*\)/gi, '');
+  text = text.replace(/:(?:not|is|has)\(((?:[^()]|\([^()]*\))*)\)/gi, (m, inner) => {
+    const innerMax = splitOutside(inner, ',')
+      .map(calculateSpecificity)
+      .sort(compareSpecificity)
+      .pop() || [0, 0, 0];
+    innerMax.forEach((value, index) => { specificity[index] += value; });
+    return '';
+  });
+
+  text = text.replace(/\[[^\]]*\]/g, () => { specificity[1]++; return ''; });
+  text = text.replace(/::[\w-]+/g, () => { specificity[2]++; return ''; });
+  text = text.replace(/#[\w-]+/g, () => { specificity[0]++; return ''; });
+  text = text.replace(/\.[\w-]+/g, () => { specificity[1]++; return ''; });
+  text = text.replace(/:[\w-]+(\([^)]*\))?/g, () => { specificity[1]++; return ''; });
+  (text.match(/(^|[\s>+~])([a-z][\w-]*)/gi) || []).forEach(() => { specificity[2]++; });
+
+  return specificity;
+}
+
+function compareSpecificity(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+class StyleResolver {
+  // options.matchMedia: 미디어 조건 판정 함수 (없으면 미디어 조건이 있는 규칙을 모두 제외)
+  // options.loadStylesheet: <link rel="stylesheet">의 href → CSS 텍스트 (없거나 null을 반환하면 건너뜀)
+  constructor($, options = {}) {
+    this.$ = $;
+    this.matchMedia = options.matchMedia || null;
+    this.loadStylesheet = options.loadStylesheet || null;
+    this.rules = [];
+    this.matched = new Map();
+    this.computed = new Map();
+    // 루트 글자 크기 (getRootFontSize에서 처음 필요할 때 계산)
+    this.rootFontSize = undefined;
+    this.order = 0;
+
+    this.collectStylesheets();
+  }
+
+  // 문서의 <style> 블록과 연결된 스타일시트를 문서 순서대로 수집하여 요소별 선언 목록을 만듦
+  collectStylesheets() {
+    this.$('style, link[rel][href]').each((i, el) => {
+      const media = this.$(el).attr('media');
+      const cssText = el.tagName.toLowerCase() === 'style' ? this.$(el).text() : this.linkedStylesheet(el);
+      if (cssText === null) return;
+      const rules = parseStylesheet(cssText, media && media !== 'all' ? media : null);
+      rules.forEach(rule => this.addRule(rule));
+    });
+  }
+
+  // <link rel="stylesheet">의 CSS 텍스트 (대체 스타일시트는 기본으로 적용되지 않으므로 제외)
+  linkedStylesheet(el) {
+    const rel = (el.attribs.rel || '').toLowerCase().split(/\s+/);
+    if (!this.loadStylesheet || !rel.includes('stylesheet') || rel.includes('alternate')) return null;
+    const cssText = this.loadStylesheet(el.attribs.href);
+    return typeof cssText === 'string' ? cssText : null;
+  }
+
+  addRule(rule) {
+    this.rules.push(rule);
+
+    // 기기 프로필과 일치하지 않는 미디어 조건의 규칙은 계산에서 제외
+    if (!this.appliesMedia(rule.media)) return;
+
+    rule.selectors.forEach(selector => {
+      if (DYNAMIC_PSEUDO_CLASSES.test(selector) || PSEUDO_ELEMENTS.test(selector)) return;
+
+      let matches;
+      try {
+        matches = this.$(selector);
+      } catch (error) {
+        return; // 지원하지 않는 선택자는 무시
+      }
+
+      const specificity = calculateSpecificity(selector);
+      const order = this.order++;
+
+      matches.each((i, el) => {
+        if (!this.matched.has(el)) this.matched.set(el, []);
+        rule.declarations.forEach(declaration => {
+          this.matched.get(el).push({ ...declaration, selector, specificity, order });
+        });
+      });
+    });
+  }
+
+  // 미디어 조건이 현재 기기 프로필에 적용되는지
+  appliesMedia(media) {
+    if (!media) return true;
+    return this.matchMedia ? this.matchMedia(media) : false;
+  }
+
+  // 캐스케이드 결과(상속 전 선언값) 반환, 선언이 없으면 null
+  getCascadedValue(el, property) {
+    const winner = this.getCascadedDeclaration(el, property);
+    return winner ? winner.value : null;
+  }
+
+  // 캐스케이드에서 이긴 선언 (selector가 null이면 인라인 style 속성)
+  getCascadedDeclaration(el, property) {
+    let winner = null;
+
+    const consider = (candidate) => {
+      if (candidate.property !== property) return;
+      if (!winner || this.outranks(candidate, winner)) {
+        winner = candidate;
+      }
+    };
+
+    (this.matched.get(el) || []).forEach(consider);
+
+    // 인라인 style 속성은 가장 높은 명시도
+    const inline = el.attribs && el.attribs.style;
+    if (inline) {
+      parseDeclarations(inline).forEach(declaration => {
+        consider({ ...declaration, selector: null, specificity: [Infinity, 0, 0], order: Infinity });
+      });
+    }
+
+    return winner;
+  }
+
+  // 계산값을 결정한 선언과 그 선언이 있는 요소 (상속 속성은 조상까지 확인, 기본값이면 null)
+  getDeclarationSource(el, property) {
+    for (let node = el; node; node = this.getParentElement(node)) {
+      const declaration = this.getCascadedDeclaration(node, property);
+      if (declaration) return { selector: declaration.selector, value: declaration.value, element: node };
+      if (!INHERITED_PROPERTIES.has(property)) break;
+    }
+    return null;
+  }
+
+  outranks(a, b) {
+    if (a.important !== b.important) return a.important;
+    const bySpecificity = compareSpecificity(a.specificity, b.specificity);
+    if (bySpecificity !== 0) return bySpecificity > 0;
+    return a.order >= b.order;
+  }
+
+  // 요소의 계산된 스타일 반환
+  getComputedStyle(el) {
+    if (this.computed.has(el)) return this.computed.get(el);
+
+    const parent = this.getParentElement(el);
+    const parentStyle = parent ? this.getComputedStyle(parent) : null;
+    const style = {};
+
+    // font-size를 먼저 계산해야 em 단위를 해석할 수 있음
+    const order = ['font-size', ...Object.keys(COMPUTED_PROPERTIES).filter(p => p !== 'font-size')];
+
+    order.forEach(property => {
+      let value = this.getCascadedValue(el, property);
+
+      // currentColor는 앞서 계산된 color 값을 따름
+      if (value && property !== 'color' && value.trim().toLowerCase() === 'currentcolor') {
+        value = style.color;
+      }
+
+      const keyword = value ? value.trim().toLowerCase() : null;
+      const inherits = INHERITED_PROPERTIES.has(property);
+
+      if (!keyword || keyword === 'unset') {
+        value = inherits && parentStyle ? parentStyle[property] : COMPUTED_PROPERTIES[property];
+      } else if (keyword === 'inherit' || (property === 'color' && keyword === 'currentcolor')) {
+        value = parentStyle ? parentStyle[property] : COMPUTED_PROPERTIES[property];
+      } else if (keyword === 'initial') {
+        value = COMPUTED_PROPERTIES[property];
+      } else {
+        value = this.computeValue(property, value.trim(), style, parentStyle);
+      }
+
+      style[property] = value;
+    });
+
+    this.computed.set(el, style);
+    return style;
+  }
+
+  computeValue(property, value, style, parentStyle) {
+    const parentFontSize = parentStyle ? parseFloat(parentStyle['font-size']) : ROOT_FONT_SIZE;
+    const fontSize = parseFloat(style['font-size']) || parentFontSize;
+
+    switch (property) {
+      case 'font-size': {
+        const keyword = value.toLowerCase();
+        if (FONT_SIZE_KEYWORDS[keyword]) return `${FONT_SIZE_KEYWORDS[keyword]}px`;
+        if (keyword === 'smaller') return `${round(parentFontSize / 1.2)}px`;
+        if (keyword === 'larger') return `${round(parentFontSize * 1.2)}px`;
+        // 루트 자신의 font-size에 쓴 rem은 브라우저 기본 크기 기준
+        const px = this.toPixels(value, parentFontSize, parentFontSize, parentStyle ? undefined : ROOT_FONT_SIZE);
+        return px === null ? `${parentFontSize}px` : `${round(px)}px`;
+      }
+
+      case 'font-weight': {
+        const keyword = value.toLowerCase();
+        const parentWeight = parentStyle ? parseInt(parentStyle['font-weight'], 10) : 400;
+        if (keyword === 'normal') return '400';
+        if (keyword === 'bold') return '700';
+        if (keyword === 'bolder') return String(parentWeight >= 600 ? 900 : parentWeight >= 400 ? 700 : 400);
+        if (keyword === 'lighter') return String(parentWeight >= 800 ? 700 : parentWeight >= 600 ? 400 : 100);
+        return /^\d+$/.test(keyword) ? keyword : String(parentWeight);
+      }
+
+      case 'line-height': {
+        if (value.toLowerCase() === 'normal') return 'normal';
+        // 단위 없는 숫자는 비율 그대로 상속됨
+        if (/^[\d.]+$/.test(value)) return String(parseFloat(value));
+        const px = this.toPixels(value, fontSize, fontSize);
+        return px === null ? 'normal' : `${round(px)}px`;
+      }
+
+      case 'letter-spacing':
+      case 'word-spacing': {
+        if (value.toLowerCase() === 'normal') return 'normal';
+        const px = this.toPixels(value, fontSize, fontSize);
+        return px === null ? 'normal' : `${round(px)}px`;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  // 길이 값을 px로 변환 (해석할 수 없으면 null)
+  toPixels(value, emBase, percentBase, remBase) {
+    const match = String(value).trim().match(/^(-?[\d.]+)(px|pt|em|rem|%)?$/i);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    switch ((match[2] || '').toLowerCase()) {
+      case 'px': return number;
+      case 'pt': return number * 4 / 3;
+      case 'em': return number * emBase;
+      case 'rem': return number * (remBase || this.getRootFontSize());
+      case '%': return number * percentBase / 100;
+      default: return number === 0 ? 0 : null;
+    }
+  }
+
+  // 루트 요소의 글자 크기 (rem 기준, 한 번만 계산)
+  getRootFontSize() {
+    if (this.rootFontSize === undefined) {
+      const root = this.$('html')[0];
+      const cascaded = root && this.getCascadedValue(root, 'font-size');
+      this.rootFontSize = cascaded
+        ? parseFloat(this.computeValue('font-size', cascaded.trim(), {}, null)) || ROOT_FONT_SIZE
+        : ROOT_FONT_SIZE;
+    }
+    return this.rootFontSize;
+  }
+
+  getParentElement(el) {
+    let parent = el.parent;
+    while (parent && parent.type !== 'tag') {
+      parent = parent.parent;
+    }
+    return parent || null;
+  }
+
+  // 화면에 렌더링되는 요소인지 (display:none, hidden 속성 확인)
+  isRendered(el) {
+    for (let node = el; node; node = this.getParentElement(node)) {
+      if (NON_RENDERED_TAGS.has(node.tagName)) return false;
+      if (node.attribs && node.attribs.hidden !== undefined) return false;
+      const display = this.getCascadedValue(node, 'display');
+      if (display && display.trim().toLowerCase() === 'none') return false;
+    }
+    return true;
+  }
+
+  // 직접 텍스트를 가진, 렌더링되는 요소 목록
+  getTextElements() {
+    return this.$('body *, body').toArray().filter(el => {
+      const hasText = (el.children || []).some(child => child.type === 'text' && child.data.trim().length > 0);
+      return hasText && this.isRendered(el);
+    });
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  StyleResolver,
+  parseStylesheet,
+  parseDeclarations,
+  calculateSpecificity,
+  compareSpecificity,
+  splitOutside
+};
@@ -0,0 +1,93 @@
+// 표 구조 유틸리티
+// 데이터 표와 레이아웃 표를 구분하고, 중첩 표를 제외한 행·셀을 수집합니다.
+
+const { getRoleTokens } = require('./aria');
+
+// 데이터 표임을 나타내는 마크업
+const DATA_TABLE_MARKUP = 'th, caption, thead, tfoot, colgroup, [scope], [headers], [role="columnheader"], [role="rowheader"]';
+
+// role="presentation" 또는 role="none"으로 레이아웃 표임을 밝힌 경우
+function isLayoutTable(table) {
+  const role = getRoleTokens(table)[0];
+  return role === 'presentation' || role === 'none';
+}
+
+// 중첩 표를 제외한 이 표의 요소만 선택
+function ownElements($, table, selector) {
+  return $(table).find(selector).toArray().filter(el => $(el).closest('table')[0] === table);
+}
+
+function getRows($, table) {
+  return ownElements($, table, 'tr');
+}
+
+function getCells(row) {
+  return (row.children || []).filter(child => child.type === 'tag' && ['td', 'th'].includes(child.tagName.toLowerCase()));
+}
+
+function isHeaderCell(cell) {
+  const role = getRoleTokens(cell)[0];
+  return cell.tagName.toLowerCase() === 'th' || role === 'columnheader' || role === 'rowheader';
+}
+
+function getSpan(cell, attribute) {
+  const span = parseInt(cell.attribs[attribute], 10);
+  return Number.isNaN(span) || span < 1 ? 1 : span;
+}
+
+// 데이터 표 판정 (브라우저의 레이아웃 표 휴리스틱을 단순화)
+function isDataTable($, table) {
+  if (isLayoutTable(table)) return false;
+
+  const role = getRoleTokens(table)[0];
+  if (role === 'table' || role === 'grid' || role === 'treegrid') return true;
+  if (table.attribs.summary || ownElements($, table, DATA_TABLE_MARKUP).length > 0) return true;
+  if ($(table).find('table').length > 0) return false;
+
+  const rows = getRows($, table);
+  const columnCount = Math.max(0, ...rows.map(row => getCells(row).reduce((sum, cell) => sum + getSpan(cell, 'colspan'), 0)));
+  return rows.length >= 2 && columnCount >= 2;
+}
+
+// 머리글 구조 분석
+// 열 머리글 행 수, 행 머리글 존재 여부, 병합된 머리글 여부로 복잡한 표인지 판정
+function analyzeHeaders($, table) {
+  const rows = getRows($, table);
+  const headers = [];
+  let headerRows = 0;
+  let hasRowHeaders = false;
+  let hasSpannedHeaders = false;
+
+  rows.forEach(row => {
+    const cells = getCells(row);
+    const rowHeaders = cells.filter(isHeaderCell);
+    headers.push(...rowHeaders);
+
+    if (cells.length > 0 && rowHeaders.length === cells.length) {
+      headerRows++;
+    } else if (rowHeaders.length > 0) {
+      hasRowHeaders = true;
+    }
+    if (rowHeaders.some(cell => getSpan(cell, 'colspan') > 1 || getSpan(cell, 'rowspan') > 1)) {
+      hasSpannedHeaders = true;
+    }
+  });
+
+  return {
+    headers,
+    headerRows,
+    hasRowHeaders,
+    isComplex: (headerRows > 0 && hasRowHeaders) || headerRows > 1 || hasSpannedHeaders
+  };
+}
+
+module.exports = {
+  isLayoutTable,
+  isDataTable,
+  ownElements,
+  getRows,
+  getCells,
+  isHeaderCell,
+  analyzeHeaders,
+  DATA_TABLE_MARKUP
+};
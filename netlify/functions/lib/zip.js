@@ -0,0 +1,119 @@
+// ZIP 압축 파일 읽기
+// 업로드한 정적 사이트 압축 파일에서 파일 경로와 내용을 꺼냅니다.
+// 저장(0)·deflate(8) 방식만 지원하며, 압축 폭탄을 막기 위해 파일 수와 압축을 푼 전체 크기를 제한합니다.
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const MAX_ENTRIES = 2000;
+const MAX_TOTAL_SIZE = 50 * 1024 * 1024;
+
+// 운영체제가 만든 부가 파일
+const IGNORED_PATHS = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+// 항목 경로 정규화 (., .. 해석, 압축 파일 밖을 가리키면 null)
+function normalizeEntryPath(name) {
+  const segments = [];
+  for (const segment of name.replace(/\\/g, '/').split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
+// 끝에서부터 중앙 디렉터리 끝 레코드 찾기 (뒤에 최대 65535바이트의 주석이 올 수 있음)
+function findEndOfCentralDirectory(buffer) {
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= min; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new ZipError('ZIP 파일 형식이 아닙니다.');
+}
+
+function extract(buffer, entry) {
+  const { name, method, localOffset, compressedSize, size } = entry;
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+    throw new ZipError(`손상된 항목입니다: ${name}`);
+  }
+
+  const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(dataStart, dataStart + compressedSize);
+  if (method === 0) return data;
+  if (method !== 8) throw new ZipError(`지원하지 않는 압축 방식(${method})입니다: ${name}`);
+
+  try {
+    // 중앙 디렉터리에 적힌 크기보다 크게 풀리면 중단
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+  } catch (error) {
+    throw new ZipError(`압축을 풀 수 없는 항목입니다: ${name}`);
+  }
+}
+
+// ZIP 버퍼 → Map(경로 → Buffer), 디렉터리와 부가 파일은 제외
+function readZip(buffer, { maxEntries = MAX_ENTRIES, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+  if (buffer.length < 22) throw new ZipError('ZIP 파일 형식이 아닙니다.');
+
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new ZipError('ZIP64 형식은 지원하지 않습니다.');
+  if (count > maxEntries) throw new ZipError(`압축 파일의 항목은 ${maxEntries}개 이하여야 합니다.`);
+
+  const files = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new ZipError('ZIP 중앙 디렉터리가 손상되었습니다.');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    // 플래그 비트 11: 파일 이름이 UTF-8
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    const entry = {
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    };
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    const path = normalizeEntryPath(name);
+    if (!path || name.endsWith('/') || IGNORED_PATHS.test(path)) continue;
+    if (flags & 0x1) throw new ZipError(`암호화된 항목은 읽을 수 없습니다: ${name}`);
+
+    totalSize += entry.size;
+    if (totalSize > maxTotalSize) {
+      throw new ZipError(`압축을 푼 전체 크기는 ${Math.round(maxTotalSize / 1024 / 1024)}MB 이하여야 합니다.`);
+    }
+
+    const content = extract(buffer, entry);
+    if (content.length !== entry.size) throw new ZipError(`손상된 항목입니다: ${name}`);
+    files.set(path, content);
+  }
+
+  return files;
+}
+
+module.exports = {
+  ZipError,
+  normalizeEntryPath,
+  readZip
+};
@@ -1,4 +1,6 @@
 // IRI 색채 시스템 기반 디자인 추천 시스템
+const tinycolor = require('tinycolor2');
+const { loadRules, RulesValidationError } = require('./lib/rules-db');
 
 // 접근성을 고려한 색상 팔레트 데이터
 const ACCESSIBLE_COLOR_PALETTES = {
@@ -132,8 +134,9 @@ const LAYOUT_RECOMMENDATIONS = {
 };
 
 class DesignRecommendationEngine {
-  constructor(analysisResults = null) {
+  constructor(analysisResults = null, rules = loadRules()) {
     this.analysis = analysisResults;
+    this.rules = rules;
     this.recommendations = [];
   }
 
@@ -184,7 +187,7 @@ class DesignRecommendationEngine {
     // 사용자 지정 primary 색상이 있는 경우 대비 검증
     if (primaryColor) {
       const contrastWithWhite = this.calculateContrastRatio(primaryColor, '#FFFFFF');
-      if (contrastWithWhite < 4.5) {
+      if (contrastWithWhite < this.rules.colorContrast.normalText.aa) {
         basePalette.warnings = [`지정한 색상 ${primaryColor}의 대비가 부족합니다. (${contrastWithWhite.toFixed(2)}:1)`];
         basePalette.suggestions = ['더 어두운 색상을 사용하거나 흰색 배경 대신 회색 배경을 고려하세요.'];
       } else {
@@ -210,12 +213,16 @@ class DesignRecommendationEngine {
       base.mobile.minFontSize = '1.125rem';
     }
 
+    const { lineHeight, minFontSize } = this.rules.fontRequirements;
+
     return {
       ...base,
+      // 터치 대상 크기는 분석기의 target-size 규칙과 같은 rules.json 값을 사용
+      mobile: { ...base.mobile, touchTargetMin: `${this.rules.touchTarget.recommended}px` },
       recommendations: [
         'Pretendard, Inter, 시스템 폰트를 우선 순위로 사용하세요.',
-        '줄 간격은 최소 1.5배 이상 유지하세요.',
-        '모바일에서 최소 16px 폰트 크기를 사용하세요.',
+        `줄 간격은 최소 ${lineHeight.minimum}배 이상 유지하세요.`,
+        `모바일에서 최소 ${minFontSize.mobile}px 폰트 크기를 사용하세요.`,
         '제목과 본문 간 충분한 대비를 만드세요.'
       ],
       webfonts: {
@@ -250,7 +257,7 @@ class DesignRecommendationEngine {
     // 디바이스별 특별 권장사항
     if (deviceTargets.includes('mobile')) {
       recommendations.mobileSpecific = [
-        '터치 타겟 최소 크기: 44px × 44px',
+        `터치 타겟 최소 크기: ${this.rules.touchTarget.recommended}px × ${this.rules.touchTarget.recommended}px`,
         '엄지손가락 영역을 고려한 네비게이션 배치',
         '스크롤 히트맵을 고려한 중요 정보 배치',
         '가로 스크롤 방지'
@@ -266,7 +273,7 @@ class DesignRecommendationEngine {
       return {
         generalRecommendations: [
           '이미지에 적절한 alt 텍스트를 제공하세요.',
-          '색상 대비를 4.5:1 이상으로 유지하세요.',
+          `색상 대비를 ${this.rules.colorContrast.normalText.aa}:1 이상으로 유지하세요.`,
           '키보드로 모든 기능에 접근할 수 있게 하세요.',
           '제목 구조를 논리적으로 구성하세요.'
         ]
@@ -310,13 +317,14 @@ class DesignRecommendationEngine {
 
   // 상세한 해결책 제공
   getDetailedSolution(issueRule) {
+    const { normalText } = this.rules.colorContrast;
     const solutions = {
       '색상 대비 부족': {
         description: '텍스트와 배경 간의 색상 대비를 높이세요.',
         steps: [
           'WebAIM Contrast Checker 등의 도구로 대비 측정',
           '텍스트 색상을 더 어둡게 또는 배경을 더 밝게 조정',
-          'AA 기준: 4.5:1, AAA 기준: 7:1 이상 유지'
+          `AA 기준: ${normalText.aa}:1, AAA 기준: ${normalText.aaa}:1 이상 유지`
         ],
         tools: ['WebAIM Contrast Checker', 'Colour Contrast Analyser']
       },
@@ -357,9 +365,14 @@ class DesignRecommendationEngine {
 
   // 색상 대비 계산
   calculateContrastRatio(color1, color2) {
-    // 간단한 대비 계산 (실제로는 tinycolor2를 사용하는 것이 좋음)
-    // 여기서는 기본값 반환
-    return 4.5;
+    const c1 = tinycolor(color1);
+    const c2 = tinycolor(color2);
+
+    if (!c1.isValid() || !c2.isValid()) {
+      return 0; // 해석할 수 없는 색상은 대비 부족으로 처리
+    }
+
+    return tinycolor.readability(c1, c2);
   }
 
   // CSS 변수 생성
@@ -472,10 +485,26 @@ exports.handler = async (event, context) => {
   try {
     // 요청 본문 파싱
     const body = JSON.parse(event.body || '{}');
-    const { analysisResults, preferences } = body;
+    const { analysisResults, preferences, rulesData } = body;
+
+    // 요청 단위 사용자 정의 규칙 적용
+    let rules;
+    try {
+      rules = loadRules(rulesData);
+    } catch (error) {
+      if (!(error instanceof RulesValidationError)) throw error;
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: '규칙 데이터가 유효하지 않습니다.',
+          message: error.errors.join(' ')
+        })
+      };
+    }
 
     // 디자인 추천 엔진 초기화
-    const engine = new DesignRecommendationEngine(analysisResults);
+    const engine = new DesignRecommendationEngine(analysisResults, rules);
     
     // 추천 생성
     const recommendations = engine.generateRecommendations(preferences);
@@ -9,6 +9,10 @@ const AppState = {
 // DOM 요소 캐싱
 const elements = {
     fileInput: document.getElementById('html-file'),
+    targetLevel: document.getElementById('target-level'),
+    analysisMode: document.getElementById('analysis-mode'),
+    headingLevel: document.getElementById('heading-level'),
+    compareMobile: document.getElementById('compare-mobile'),
     analysisResults: document.getElementById('analysis-results'),
     chatMessages: document.getElementById('chat-messages'),
     chatForm: document.getElementById('chat-form'),
@@ -81,10 +85,25 @@ const utils = {
 
 // HTML 파일 분석 모듈
 const HTMLAnalyzer = {
-    // 파일 업로드 처리
+    // React, Vue, Svelte 컴포넌트 파일 (서버에서 템플릿 마크업을 추출해 분석)
+    isComponentFile(filename) {
+        return /\.(jsx|tsx|vue|svelte)$/i.test(filename || '');
+    },
+
+    // 정적 사이트 압축 파일 (페이지마다 분석하고 사이트 전체 보고서를 만듦)
+    isArchiveFile(filename) {
+        return /\.zip$/i.test(filename || '');
+    },
+
+    // 파일 업로드 처리 (압축 파일은 base64 문자열로 읽음)
     async handleFileUpload(file) {
-        if (!file || !file.type.includes('html')) {
-            throw new Error('HTML 파일만 업로드 가능합니다.');
+        if (!file || !(file.type.includes('html') || this.isComponentFile(file.name) || this.isArchiveFile(file.name))) {
+            throw new Error('HTML 파일, 컴포넌트 파일(.jsx, .tsx, .vue, .svelte) 또는 사이트 압축 파일(.zip)만 업로드 가능합니다.');
+        }
+
+        const isArchive = this.isArchiveFile(file.name);
+        if (isArchive && file.size > 4 * 1024 * 1024) { // 압축 파일 4MB 제한
+            throw new Error('압축 파일 크기는 4MB 이하여야 합니다.');
         }
 
         if (file.size > 5 * 1024 * 1024) { // 5MB 제한
@@ -93,18 +112,29 @@ const HTMLAnalyzer = {
 
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
+            reader.onload = (e) => {
+                const { result } = e.target;
+                resolve(isArchive ? result.slice(result.indexOf(',') + 1) : result);
+            };
             reader.onerror = () => reject(new Error('파일을 읽는 중 오류가 발생했습니다.'));
-            reader.readAsText(file);
+            if (isArchive) {
+                reader.readAsDataURL(file);
+            } else {
+                reader.readAsText(file);
+            }
         });
     },
 
     // HTML 분석 요청
-    async analyzeHTML(htmlContent, filename) {
+    // options: { target, mode, startHeadingLevel, profiles }
+    // 자동 수정은 HTML 파일에서만 요청
+    async analyzeHTML(htmlContent, filename, options = {}) {
         try {
             const result = await utils.apiCall('analyze-html', {
                 html: htmlContent,
-                filename: filename
+                filename: filename,
+                ...(!this.isComponentFile(filename) && { autofix: 'safe' }),
+                ...options
             });
 
             return result;
@@ -114,9 +144,24 @@ const HTMLAnalyzer = {
         }
     },
 
-    // 분석 결과 렌더링
-    renderResults(results) {
-        const { critical, warnings, suggestions, summary } = results;
+    // 사이트 압축 파일 분석 요청 (페이지가 많으면 오래 걸리므로 제한 시간을 늘림)
+    // options: { target }
+    async analyzeSite(archive, filename, options = {}) {
+        try {
+            return await utils.apiCall('analyze-site', {
+                archive,
+                filename,
+                ...options
+            }, 26000);
+        } catch (error) {
+            console.error('사이트 분석 오류:', error);
+            throw new Error(error.message || '분석 중 오류가 발생했습니다.');
+        }
+    },
+
+    // 분석 결과 렌더링 (comparison이 있으면 기기별 비교를 함께 표시)
+    renderResults(results, comparison) {
+        const { critical, warnings, suggestions, manualReview, summary } = results;
         
         let html = `
             <div class="result-section">
@@ -126,10 +171,17 @@ const HTMLAnalyzer = {
                 </h3>
                 <p><strong>전체 점수:</strong> ${summary.score}/100점</p>
                 <p><strong>접근성 등급:</strong> ${summary.grade}</p>
+                ${summary.target ? this.renderTarget(summary.target) : ''}
+                ${summary.conformance ? this.renderConformance(summary.conformance) : ''}
                 <p><strong>주요 개선 포인트:</strong> ${summary.totalIssues}개 이슈 발견</p>
+                ${summary.byPrinciple ? this.renderPrincipleSummary(summary.byPrinciple) : ''}
             </div>
         `;
 
+        if (comparison) {
+            html += this.renderProfileComparison(comparison);
+        }
+
         if (critical && critical.length > 0) {
             html += this.renderIssueSection('치명적 문제', critical, 'critical');
         }
@@ -142,8 +194,17 @@ const HTMLAnalyzer = {
             html += this.renderIssueSection('개선 제안', suggestions, 'success');
         }
 
+        if (manualReview && manualReview.length > 0) {
+            html += this.renderIssueSection('수동 검토 필요', manualReview, 'review');
+        }
+
+        if (results.fixes && results.fixes.changes.length > 0) {
+            html += this.renderFixSection(results.fixes);
+        }
+
         elements.analysisResults.innerHTML = html;
         elements.analysisResults.classList.add('show');
+        this.bindFixDownloads(results.fixes, results.filename);
         
         // 분석 완료 알림
         utils.announceToScreenReader(`분석이 완료되었습니다. ${summary.totalIssues}개의 이슈가 발견되었습니다.`);
@@ -152,11 +213,105 @@ const HTMLAnalyzer = {
         elements.analysisResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
     },
 
+    // 사이트 분석 결과 렌더링
+    renderSiteResults(results) {
+        const { summary, recurringIssues, consistency, inventory } = results;
+
+        let html = `
+            <div class="result-section">
+                <h3 class="result-title">
+                    <span class="status-icon ${this.getStatusClass(summary.score)}" aria-hidden="true">${this.getStatusIcon(summary.score)}</span>
+                    사이트 분석 결과 요약
+                </h3>
+                <p><strong>평균 점수:</strong> ${summary.score}/100점 (${summary.pageCount}개 페이지)</p>
+                <p><strong>접근성 등급:</strong> ${summary.grade}</p>
+                <p><strong>가장 낮은 점수:</strong> ${utils.escapeHtml(summary.lowestScore.path)} ${summary.lowestScore.score}점</p>
+                ${this.renderTarget(summary.target)}
+                <p><strong>목표 충족 페이지:</strong> ${summary.target.pagesMeetingTarget}/${summary.pageCount}개</p>
+                <p><strong>주요 개선 포인트:</strong> ${summary.totalIssues}개 이슈 발견</p>
+            </div>
+        `;
+
+        html += this.renderSitePages(results.pages);
+
+        if (consistency.length > 0) {
+            html += this.renderIssueSection('페이지 간 일관성 문제', consistency, 'warning');
+        }
+
+        if (recurringIssues.length > 0) {
+            html += this.renderIssueSection('여러 페이지에 반복되는 문제', recurringIssues.map(issue => ({
+                ...issue,
+                description: `${issue.description} (${issue.pageCount}개 페이지, ${issue.occurrences}곳)`
+            })), 'critical');
+        }
+
+        html += this.renderInventoryProblems(inventory);
+
+        elements.analysisResults.innerHTML = html;
+        elements.analysisResults.classList.add('show');
+
+        // 분석 완료 알림
+        utils.announceToScreenReader(`사이트 분석이 완료되었습니다. ${summary.pageCount}개 페이지에서 ${summary.totalIssues}개의 이슈가 발견되었습니다.`);
+
+        // 결과 영역으로 스크롤
+        elements.analysisResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    // 페이지별 점수
+    renderSitePages(pages) {
+        const rows = pages.map(page => `
+            <tr>
+                <th scope="row">${utils.escapeHtml(page.path)}${page.title ? `<br><small>${utils.escapeHtml(page.title)}</small>` : ''}</th>
+                <td>${page.score}점 (${utils.escapeHtml(page.grade)})</td>
+                <td>${page.targetMet ? '충족' : '미달'}</td>
+                <td>${page.criticalCount}</td>
+                <td>${page.warningCount}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="result-section">
+                <h3 class="result-title">
+                    <span class="status-icon" aria-hidden="true">📄</span>
+                    페이지별 결과
+                </h3>
+                <table class="contrast-table">
+                    <thead><tr><th scope="col">페이지</th><th scope="col">점수</th><th scope="col">목표 수준</th><th scope="col">치명적 문제</th><th scope="col">경고사항</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    // 링크로 닿지 않는 페이지, 깨진 링크, 없는 파일, 분석하지 않은 페이지
+    renderInventoryProblems(inventory) {
+        const items = [
+            ...inventory.pages.filter(page => !page.reachable).map(page => `진입 페이지에서 링크로 닿지 않는 페이지: ${page.path}`),
+            ...inventory.brokenLinks.map(link => `${link.page}: 없는 페이지로 가는 링크 ${link.href}`),
+            ...inventory.missingResources.map(resource => `${resource.page}: 압축 파일에 없는 ${resource.type === 'image' ? '이미지' : '스타일시트'} ${resource.href}`),
+            ...inventory.skippedPages.map(page => `분석하지 않은 페이지: ${page.path} (${page.reason})`)
+        ];
+        if (items.length === 0) return '';
+
+        return `
+            <div class="result-section">
+                <h3 class="result-title">
+                    <span class="status-icon status-review" aria-hidden="true">🔍</span>
+                    사이트 구성 점검 (${items.length}개)
+                </h3>
+                <ul class="issue-list" role="list">
+                    ${items.map(item => `<li class="issue-item review" role="listitem">${utils.escapeHtml(item)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
     renderIssueSection(title, issues, type) {
         const icon = {
             critical: '❌',
             warning: '⚠️', 
-            success: '💡'
+            success: '💡',
+            review: '🔍'
         }[type];
 
         let html = `
@@ -172,8 +327,17 @@ const HTMLAnalyzer = {
             html += `
                 <li class="issue-item ${type}" role="listitem">
                     <strong>${utils.escapeHtml(issue.rule || issue.title)}:</strong>
+                    ${issue.wcag ? `<span class="wcag-tag">WCAG ${utils.escapeHtml(issue.wcag.criterion)} (${utils.escapeHtml(issue.wcag.level || '-')})</span>` : ''}
+                    ${issue.bestPractice ? '<span class="wcag-tag">권장 사항</span>' : ''}
                     <p>${utils.escapeHtml(issue.description || issue.message)}</p>
+                    ${issue.reviewReason ? `<p><small>${utils.escapeHtml(issue.reviewReason)}</small></p>` : ''}
+                    ${issue.occurrences > 1 ? this.renderOccurrences(issue) : ''}
                     ${issue.element ? `<code>요소: ${utils.escapeHtml(issue.element)}</code>` : ''}
+                    ${issue.location ? `<p class="issue-location"><small>위치: ${issue.location.line}번째 줄, ${issue.location.column}번째 열</small></p>` : ''}
+                    ${issue.selector ? `<code>선택자: ${utils.escapeHtml(issue.selector)}</code>` : ''}
+                    ${issue.snippet ? `<pre class="issue-snippet"><code>${utils.escapeHtml(issue.snippet)}</code></pre>` : ''}
+                    ${issue.colors ? this.renderColors(issue.colors) : ''}
+                    ${issue.accessibleName !== undefined ? `<p><small>계산된 접근 가능한 이름: "${utils.escapeHtml(issue.accessibleName)}"</small></p>` : ''}
                     ${issue.suggestion ? `<p><em>제안: ${utils.escapeHtml(issue.suggestion)}</em></p>` : ''}
                 </li>
             `;
@@ -183,6 +347,151 @@ const HTMLAnalyzer = {
         return html;
     },
 
+    // 자동 수정 목록과 다운로드 버튼
+    renderFixSection(fixes) {
+        const items = fixes.changes.map(change => `
+            <li class="issue-item ${change.applied ? 'success' : 'review'}" role="listitem">
+                <strong>${change.safety === 'safe' ? '안전한 수정' : '검토 필요'}:</strong>
+                ${utils.escapeHtml(change.description)}
+                ${change.location ? `<small>(${change.location.line}번째 줄)</small>` : ''}
+                <p><small>${change.applied ? '적용됨' : utils.escapeHtml(change.reason || '적용되지 않음')}</small></p>
+            </li>
+        `).join('');
+
+        return `
+            <div class="result-section">
+                <h3 class="result-title">
+                    <span class="status-icon status-success" aria-hidden="true">🛠️</span>
+                    자동 수정 (${fixes.appliedCount}개 적용)
+                </h3>
+                <ul class="issue-list" role="list">${items}</ul>
+                ${fixes.appliedCount > 0 ? `
+                    <button type="button" class="fix-download" data-download="html">수정된 HTML 다운로드</button>
+                    <button type="button" class="fix-download" data-download="diff">변경 내용(diff) 다운로드</button>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    bindFixDownloads(fixes, filename = 'index.html') {
+        if (!fixes) return;
+        const downloads = {
+            html: { content: fixes.html, name: filename.replace(/(\.html?)?$/i, '.fixed.html'), type: 'text/html' },
+            diff: { content: fixes.diff, name: `${filename}.diff`, type: 'text/x-diff' }
+        };
+
+        elements.analysisResults.querySelectorAll('[data-download]').forEach(button => {
+            button.addEventListener('click', () => {
+                const { content, name, type } = downloads[button.dataset.download];
+                const url = URL.createObjectURL(new Blob([content], { type }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = name;
+                link.click();
+                URL.revokeObjectURL(url);
+            });
+        });
+    },
+
+    // 같은 원인으로 묶인 요소 목록
+    renderOccurrences(issue) {
+        const items = issue.elements.map(occurrence => `
+            <li><code>${utils.escapeHtml(occurrence.selector || occurrence.element || '')}</code>${occurrence.location ? ` <small>(${occurrence.location.line}번째 줄)</small>` : ''}</li>
+        `).join('');
+        return `
+            <details class="issue-occurrences">
+                <summary>같은 원인으로 ${issue.occurrences}곳에서 발생</summary>
+                <ul role="list">${items}</ul>
+            </details>
+        `;
+    },
+
+    // WCAG 원칙별 이슈 요약
+    renderPrincipleSummary(byPrinciple) {
+        const rows = Object.values(byPrinciple).map(principle => `
+            <li>${utils.escapeHtml(principle.name)}: 치명적 ${principle.critical}, 경고 ${principle.warning}, 제안 ${principle.suggestion}</li>
+        `).join('');
+        return `<ul class="principle-summary" role="list">${rows}</ul>`;
+    },
+
+    // 기기 프로필별 결과 비교
+    renderProfileComparison(comparison) {
+        const labels = { desktop: '데스크톱', mobile: '모바일' };
+        const label = (name) => utils.escapeHtml(labels[name] || name);
+        const rows = [
+            ['점수', item => `${item.score}점`],
+            ['등급', item => utils.escapeHtml(item.grade)],
+            ['목표 수준', item => (item.targetMet ? '충족' : '미달')],
+            ['치명적 문제', item => item.criticalCount],
+            ['경고사항', item => item.warningCount],
+            ['개선 제안', item => item.suggestionCount]
+        ].map(([title, format]) => `
+            <tr><th scope="row">${title}</th>${comparison.profiles.map(name => `<td>${format(comparison.summary[name])}</td>`).join('')}</tr>
+        `).join('');
+
+        const differences = comparison.differences.map(item => `
+            <li>${utils.escapeHtml(item.rule)}${item.criterion ? ` (WCAG ${utils.escapeHtml(item.criterion)})` : ''}: ${comparison.profiles.map(name => `${label(name)} ${item.occurrences[name]}곳`).join(' · ')}</li>
+        `).join('');
+
+        return `
+            <div class="result-section">
+                <h3 class="result-title">
+                    <span class="status-icon" aria-hidden="true">📱</span>
+                    기기별 결과 비교
+                </h3>
+                <table class="contrast-table">
+                    <caption>아래 상세 결과는 ${label(comparison.profiles[0])} 기준입니다.</caption>
+                    <thead><tr><th scope="col">항목</th>${comparison.profiles.map(name => `<th scope="col">${label(name)}</th>`).join('')}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${differences ? `<p><strong>기기에 따라 달라지는 문제:</strong></p><ul class="conformance-summary" role="list">${differences}</ul>` : ''}
+            </div>
+        `;
+    },
+
+    // 목표 적합성 수준 충족 여부
+    renderTarget(target) {
+        const details = [];
+        if (target.failedCriteria.length > 0) details.push(`실패 기준 ${target.failedCriteria.join(', ')}`);
+        if (target.reviewCriteria.length > 0) details.push(`수동 검토 ${target.reviewCriteria.join(', ')}`);
+        return `<p><strong>목표 수준(${target.level}):</strong> ${target.met ? '충족' : '미달'}${details.length > 0 ? ` <small>(${utils.escapeHtml(details.join(' · '))})</small>` : ''}</p>`;
+    },
+
+    // 수준별 WCAG 적합성 판정 (자동 검사 범위)
+    renderConformance(conformance) {
+        const rows = Object.entries(conformance).map(([level, verdict]) => `
+            <li>${level}: ${verdict.status === 'pass' ? '통과' : '미달'} (자동 검사 ${verdict.testedCriteria}/${verdict.totalCriteria}개 기준${verdict.failedCriteria.length > 0 ? `, 실패 ${utils.escapeHtml(verdict.failedCriteria.join(', '))}` : ''})</li>
+        `).join('');
+        return `<p><strong>WCAG 적합성:</strong></p><ul class="conformance-summary" role="list">${rows}</ul>`;
+    },
+
+    // 대비 판정에 사용된 색상 정보
+    renderColors(colors) {
+        const parts = [];
+        if (colors.effectiveForeground) parts.push(`전경 ${colors.effectiveForeground}`);
+        else if (colors.foreground) parts.push(`전경 ${colors.foreground}`);
+        if (colors.effectiveBackground) parts.push(`배경 ${colors.effectiveBackground}`);
+        if (colors.backgroundImage) parts.push(`배경 이미지 ${colors.backgroundImage}`);
+        if (colors.backgroundSource) parts.push(`배경 출처 ${colors.backgroundSource}`);
+        if (colors.ratio) parts.push(`대비 ${colors.ratio}:1 (기준 ${colors.requiredRatio}:1)`);
+
+        // 기준을 충족하는 가장 가까운 색상 제안
+        const suggestions = Object.entries(colors.suggestions || {})
+            .filter(([, suggestion]) => suggestion)
+            .map(([level, suggestion]) => {
+                const options = [];
+                if (suggestion.foreground) options.push(`전경 ${suggestion.foreground.color} (${suggestion.foreground.ratio}:1)`);
+                if (suggestion.background) options.push(`배경 ${suggestion.background.color} (${suggestion.background.ratio}:1)`);
+                return options.length ? `${level.toUpperCase()} 제안: ${options.join(' 또는 ')}` : '';
+            })
+            .filter(Boolean);
+
+        const suggestionHtml = suggestions.length
+            ? `<br><small>${utils.escapeHtml(suggestions.join(' · '))}</small>`
+            : '';
+        return `<p class="issue-colors"><small>${utils.escapeHtml(parts.join(' · '))}</small>${suggestionHtml}</p>`;
+    },
+
     getStatusClass(score) {
         if (score >= 80) return 'status-success';
         if (score >= 60) return 'status-warning';
@@ -334,6 +643,15 @@ const EventListeners = {
             }
         }
 
+        // 시작 제목 수준은 컴포넌트 조각 분석에서만 사용
+        if (elements.analysisMode && elements.headingLevel) {
+            const syncHeadingLevel = () => {
+                elements.headingLevel.disabled = elements.analysisMode.value !== 'fragment';
+            };
+            elements.analysisMode.addEventListener('change', syncHeadingLevel);
+            syncHeadingLevel();
+        }
+
         // 채팅 폼
         if (elements.chatForm) {
             elements.chatForm.addEventListener('submit', this.handleChatSubmit);
@@ -359,10 +677,38 @@ const EventListeners = {
             elements.analysisResults.classList.add('show');
             
             const htmlContent = await HTMLAnalyzer.handleFileUpload(file);
-            const results = await HTMLAnalyzer.analyzeHTML(htmlContent, file.name);
+            const options = { target: elements.targetLevel ? elements.targetLevel.value : 'AA' };
+
+            // 사이트 압축 파일은 사이트 보고서로 표시 (AI 도우미에는 반복 문제와 일관성 문제를 전달)
+            if (HTMLAnalyzer.isArchiveFile(file.name)) {
+                const site = await HTMLAnalyzer.analyzeSite(htmlContent, file.name, options);
+                AppState.analysisResults = {
+                    ...site,
+                    critical: site.recurringIssues.filter(issue => issue.severity === 'critical'),
+                    warnings: [...site.consistency, ...site.recurringIssues.filter(issue => issue.severity === 'warning')]
+                };
+                HTMLAnalyzer.renderSiteResults(site);
+                return;
+            }
+
+            // 컴포넌트 조각은 시작 제목 수준과 함께 전송
+            if (elements.analysisMode && elements.analysisMode.value === 'fragment') {
+                options.mode = 'fragment';
+                options.startHeadingLevel = parseInt(elements.headingLevel.value, 10);
+            }
+            // 모바일 비교는 선택했을 때만 요청 (프로필마다 분석하므로 시간이 늘어남)
+            if (elements.compareMobile && elements.compareMobile.checked) {
+                options.profiles = ['desktop', 'mobile'];
+            }
+            const response = await HTMLAnalyzer.analyzeHTML(htmlContent, file.name, options);
+            // 기기별 결과 중 첫 번째 프로필을 상세 결과로 사용
+            const comparison = response.comparison || null;
+            const results = comparison
+                ? { ...response.profiles[comparison.profiles[0]], filename: response.filename }
+                : response;
             
-            AppState.analysisResults = results;
-            HTMLAnalyzer.renderResults(results);
+            AppState.analysisResults = comparison ? { ...results, comparison } : results;
+            HTMLAnalyzer.renderResults(results, comparison);
             
         } catch (error) {
             console.error('파일 분석 오류:', error);
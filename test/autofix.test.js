@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+const {
+  AutofixError, setAttribute, removeAttribute, renameElement, resolveMode, applyFixes
+} = require('../netlify/functions/lib/autofix');
+
+const source = [
+  '<div>',
+  '  <button class="close">닫기</button>',
+  '  <b role="presentation" title="old">굵게</b>',
+  '  <img src="a.png"/>',
+  '</div>'
+].join('\n');
+
+function load(html) {
+  return cheerio.load(html, { sourceCodeLocationInfo: true });
+}
+
+const fix = (safety, operations) => ({ ruleId: 'test-rule', fix: { safety, description: '수정', operations }, issue: {} });
+
+test('원본 서식을 유지한 채 속성과 요소 이름을 수정하고 diff 생성', () => {
+  const $ = load(source);
+  const result = applyFixes(source, [
+    fix('safe', [setAttribute($('button')[0], 'type', 'button')]),
+    fix('safe', [removeAttribute($('b')[0], 'role'), setAttribute($('b')[0], 'title', '"새" 제목'), renameElement($('b')[0], 'strong')]),
+    fix('safe', [setAttribute($('img')[0], 'alt', '')])
+  ], { filename: 'page.html' });
+
+  assert.strictEqual(result.html, [
+    '<div>',
+    '  <button class="close" type="button">닫기</button>',
+    '  <strong title="&quot;새&quot; 제목">굵게</strong>',
+    '  <img src="a.png" alt=""/>',
+    '</div>'
+  ].join('\n'));
+  assert.strictEqual(result.appliedCount, 3);
+  assert.match(result.diff, /^--- a\/page.html\n\+\+\+ b\/page.html\n@@ -1,5 \+1,5 @@/);
+  assert.match(result.diff, /\n-  <button class="close">닫기<\/button>\n/);
+  assert.match(result.diff, /\n\+  <button class="close" type="button">닫기<\/button>\n/);
+});
+
+test('safe 모드에서는 검토 필요 수정을 건너뛰고 겹치는 수정은 하나만 적용', () => {
+  const $ = load(source);
+  const button = $('button')[0];
+  const fixes = [
+    fix('review', [setAttribute(button, 'type', 'submit')]),
+    fix('safe', [setAttribute(button, 'type', 'button')]),
+    fix('safe', [setAttribute(button, 'type', 'reset')])
+  ];
+
+  const safe = applyFixes(source, fixes);
+  assert.deepStrictEqual(safe.changes.map(change => change.applied), [false, true, false]);
+  assert.match(safe.html, /type="button"/);
+
+  const all = applyFixes(source, fixes, { mode: 'all' });
+  assert.deepStrictEqual(all.changes.map(change => change.applied), [true, false, false]);
+  assert.match(all.html, /type="submit"/);
+});
+
+test('autofix 요청 값 해석', () => {
+  assert.strictEqual(resolveMode(undefined), null);
+  assert.strictEqual(resolveMode(false), null);
+  assert.strictEqual(resolveMode(true), 'safe');
+  assert.strictEqual(resolveMode('all'), 'all');
+  assert.throws(() => resolveMode('everything'), AutofixError);
+});
+
+test('분석 보고서에 자동 수정 결과 포함', () => {
+  const html = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title></head>' +
+    '<body><main><h1>제목</h1><button>확인</button></main></body></html>';
+  const report = new HTMLAccessibilityAnalyzer(html, { autofix: 'safe', filename: 'index.html' }).analyze();
+
+  assert.strictEqual(report.fixes.mode, 'safe');
+  assert.ok(report.fixes.changes.some(change => change.ruleId === 'required-attributes' && change.applied));
+  assert.match(report.fixes.html, /<button type="button">확인<\/button>/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { StyleResolver } = require('../netlify/functions/lib/style-resolver');
+const { resolveEffectiveColors, composite, toHex } = require('../netlify/functions/lib/color');
+
+function colorsOf(css, body, selector) {
+  const $ = cheerio.load(`<html><head><style>${css}</style></head><body>${body}</body></html>`);
+  return resolveEffectiveColors(new StyleResolver($), $(selector)[0]);
+}
+
+test('배경이 없는 요소는 조상의 배경색 사용', () => {
+  const colors = colorsOf('.card { background: #000; } p { color: #fff; }', '<div class="card"><p>본문</p></div>', 'p');
+  assert.strictEqual(toHex(colors.background), '#000000');
+  assert.strictEqual(toHex(colors.foreground), '#ffffff');
+});
+
+test('반투명 배경과 opacity를 조상 배경 위에 합성', () => {
+  const colors = colorsOf(
+    '.page { background: #000; } .overlay { background: rgba(255, 255, 255, 0.5); } p { color: #000; opacity: 0.5; }',
+    '<div class="page"><div class="overlay"><p>본문</p></div></div>', 'p'
+  );
+  assert.strictEqual(toHex(colors.background), '#808080');
+  assert.strictEqual(toHex(colors.foreground), '#404040');
+  assert.strictEqual(colors.layers.length, 2);
+});
+
+test('배경 이미지나 그라디언트는 판정 대신 표시', () => {
+  const colors = colorsOf('.hero { background-image: linear-gradient(#000, #fff); }', '<div class="hero"><p>본문</p></div>', 'p');
+  assert.strictEqual(colors.backgroundImage, 'gradient');
+});
+
+test('불투명 배경 위에 합성', () => {
+  assert.deepStrictEqual(composite({ r: 0, g: 0, b: 0, a: 0.25 }, { r: 255, g: 255, b: 255, a: 1 }), { r: 191, g: 191, b: 191, a: 1 });
+});
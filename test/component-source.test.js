@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+const { ComponentSourceError, isDynamicValue, convertComponent } = require('../netlify/functions/lib/component-source');
+
+function analyze(source, sourceType) {
+  const report = new HTMLAccessibilityAnalyzer(source, { sourceType, groupIssues: false }).analyze();
+  return {
+    report,
+    issues: [...report.critical, ...report.warnings, ...report.suggestions]
+  };
+}
+
+const jsx = [
+  "import { t } from './i18n';",
+  '',
+  'export function Card({ title, image, ...props }) {',
+  '  const label = title && `${title}`;',
+  '  return (',
+  '    <article className="card">',
+  '      <img src={image} />',
+  "      <img src=\"/logo.png\" alt={t('logo')} />",
+  '      <img {...props} />',
+  '      <label htmlFor="email">이메일</label>',
+  '    </article>',
+  '  );',
+  '}'
+].join('\n');
+
+test('JSX 이슈 위치는 원본 파일의 줄/열', () => {
+  const { issues } = analyze(jsx, 'jsx');
+  const missingAlt = issues.filter(issue => issue.ruleId === 'image-alt');
+  assert.deepStrictEqual(missingAlt.map(issue => [issue.location.line, issue.location.column]), [[7, 7]]);
+});
+
+test('표현식으로 채운 속성은 값이 있는 것으로 판정', () => {
+  const { html } = convertComponent(jsx, 'jsx');
+  assert.match(html, /alt="\{t\('logo'\)\}"/);
+  assert.match(html, /class="card"/);
+  assert.match(html, /for="email"/);
+  assert.strictEqual(isDynamicValue("{t('logo')}"), true);
+  assert.strictEqual(isDynamicValue('회사 로고'), false);
+});
+
+test('전개 속성이 있는 요소의 이슈는 수동 검토로 보고', () => {
+  const { report, issues } = analyze(jsx, 'jsx');
+  assert.ok(!issues.some(issue => issue.location && issue.location.line === 9));
+  const review = report.manualReview.filter(issue => issue.location && issue.location.line === 9);
+  assert.ok(review.length > 0);
+  assert.ok(review.every(issue => issue.reviewReason));
+});
+
+test('Vue 템플릿의 바인딩과 줄 위치', () => {
+  const vue = [
+    '<template>',
+    '  <nav>',
+    '    <img :src="logo" :alt="logoAlt">',
+    '    <img v-bind:src="icon">',
+    '    <button @click="toggle">메뉴</button>',
+    '  </nav>',
+    '</template>',
+    '<script>',
+    'export default { data: () => ({ logoAlt: "로고" }) };',
+    '</script>'
+  ].join('\n');
+
+  const { html } = convertComponent(vue, 'vue');
+  assert.match(html, /alt="\{logoAlt\}"/);
+  assert.match(html, /onclick="\{toggle\}"/);
+
+  const { issues } = analyze(vue, 'vue');
+  const missingAlt = issues.filter(issue => issue.ruleId === 'image-alt');
+  assert.deepStrictEqual(missingAlt.map(issue => issue.location.line), [4]);
+});
+
+test('Svelte 블록은 모든 분기를 포함', () => {
+  const svelte = [
+    '<script>let open = false;</script>',
+    '{#if open}',
+    '  <img src="a.png" alt="열림">',
+    '{:else}',
+    '  <img src="b.png">',
+    '{/if}',
+    '<input bind:value={name}>'
+  ].join('\n');
+
+  const { html } = convertComponent(svelte, 'svelte');
+  assert.match(html, /alt="열림"/);
+  assert.match(html, /value="\{name\}"/);
+
+  const { issues } = analyze(svelte, 'svelte');
+  assert.deepStrictEqual(issues.filter(issue => issue.ruleId === 'image-alt').map(issue => issue.location.line), [5]);
+});
+
+test('변환할 수 없는 소스는 ComponentSourceError', () => {
+  assert.throws(() => convertComponent('const a = 1;', 'jsx'), ComponentSourceError);
+  assert.throws(() => convertComponent('<div>', 'vue'), ComponentSourceError);
+  assert.throws(() => convertComponent('const el = <div><span></div>;', 'jsx'), ComponentSourceError);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+const { evaluateConformance, evaluateTarget } = require('../netlify/functions/lib/scoring');
+
+const page = (style, body) => '<!DOCTYPE html><html lang="ko"><head><title>테스트</title>' +
+  `<style>${style}</style></head><body><main><h1>제목</h1>${body}</main></body></html>`;
+
+function analyze(html, options = {}) {
+  return new HTMLAccessibilityAnalyzer(html, { groupIssues: false, ...options }).analyze();
+}
+
+test('추정 규칙의 경고는 성공 기준을 수동 검토로 집계', () => {
+  const report = analyze(page('p { font-size: 10px; }', '<p>작은 글자</p><h3>건너뛴 제목</h3>'));
+
+  assert.ok(report.warnings.some(issue => issue.ruleId === 'font-size' && issue.wcag.criterion === '1.4.4'));
+  // 제목 순서는 analysis_criteria에서 치명적 이슈로 분류되지만 추정 규칙이므로 실패로 보지 않음
+  assert.ok(report.critical.some(issue => issue.ruleId === 'heading-order'));
+  assert.strictEqual(report.summary.byCriterion['1.4.4'].status, 'review');
+  assert.strictEqual(report.summary.byCriterion['1.3.1'].status, 'review');
+  assert.deepStrictEqual(report.summary.target, {
+    level: 'AA', met: true, failedCriteria: [], reviewCriteria: ['1.3.1', '1.4.4']
+  });
+});
+
+test('확정 규칙의 이슈가 함께 있으면 실패로 판정', () => {
+  const report = analyze(page('p { font-size: 10px; color: #aaa; background: #fff; }', '<p>작은 글자</p><img src="a.png">'));
+
+  assert.strictEqual(report.summary.byCriterion['1.4.4'].status, 'review');
+  assert.strictEqual(report.summary.byCriterion['1.4.3'].status, 'fail');
+  assert.strictEqual(report.summary.byCriterion['1.1.1'].status, 'fail');
+  assert.strictEqual(report.summary.target.met, false);
+  assert.deepStrictEqual(report.summary.target.failedCriteria, ['1.1.1', '1.4.3']);
+});
+
+test('수준별 판정은 하위 수준을 포함하고 검토 항목은 실패로 보지 않음', () => {
+  const byCriterion = {
+    '1.1.1': { level: 'A', status: 'pass' },
+    '1.4.4': { level: 'AA', status: 'review' },
+    '1.4.6': { level: 'AAA', status: 'fail' }
+  };
+  const conformance = evaluateConformance(byCriterion, 'AAA');
+
+  assert.strictEqual(conformance.A.status, 'pass');
+  assert.strictEqual(conformance.AA.status, 'pass');
+  assert.deepStrictEqual(conformance.AA.reviewCriteria, ['1.4.4']);
+  assert.strictEqual(conformance.AAA.status, 'fail');
+  assert.deepStrictEqual(conformance.AAA.failedCriteria, ['1.4.6']);
+  assert.strictEqual(conformance.AAA.testedCriteria, 3);
+  assert.strictEqual(evaluateTarget(conformance, 'AA').met, true);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { StyleResolver } = require('../netlify/functions/lib/style-resolver');
+const { analyzeFocus, getFocusTargets } = require('../netlify/functions/lib/focus');
+
+function createContext(css, body) {
+  const $ = cheerio.load(`<html><head><style>${css}</style></head><body>${body}</body></html>`);
+  return { $, styles: new StyleResolver($) };
+}
+
+test('선택자별로 일치하는 요소의 포커스 표시 판정', () => {
+  const context = createContext(
+    'a:focus { outline: none; } .ok:focus-visible { box-shadow: 0 0 0 3px #005fcc; } button { outline: 0; } [unsupported= { color: red; }',
+    '<a href="/">홈</a><a class="ok" href="/a">소개</a><button>확인</button>'
+  );
+  const [plain, ok, button] = getFocusTargets(context);
+
+  assert.strictEqual(analyzeFocus(context, plain).removed, true);
+  assert.strictEqual(analyzeFocus(context, plain).indicators.length, 0);
+  assert.strictEqual(analyzeFocus(context, ok).indicators.length, 1);
+  assert.strictEqual(analyzeFocus(context, button).removed, true);
+});
+
+test('같은 요소의 분석 결과는 재사용', () => {
+  const context = createContext('a:focus { outline: none; }', '<a href="/">홈</a>');
+  const [link] = getFocusTargets(context);
+  assert.strictEqual(analyzeFocus(context, link), analyzeFocus(context, link));
+});
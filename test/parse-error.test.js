@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+
+function parseErrorIssues(html) {
+  const report = new HTMLAccessibilityAnalyzer(html, { groupIssues: false }).analyze();
+  return [...report.critical, ...report.warnings, ...report.suggestions].filter(issue => issue.ruleId === 'parse-error');
+}
+
+const page = (body) => `<!DOCTYPE html><html lang="ko"><head><title>테스트</title></head><body><main><h1>제목</h1>${body}</main></body></html>`;
+
+test('스스로 닫은 SVG·MathML 요소는 닫히지 않은 요소로 보고하지 않음', () => {
+  const issues = parseErrorIssues(page(
+    '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M0 0h24v24H0z"/><circle cx="12" cy="12" r="4" /></svg>' +
+    '<math><mi>x</mi><mspace width="1em"/></math>'
+  ));
+  assert.deepStrictEqual(issues, []);
+});
+
+test('SVG 안에서 닫는 태그 없이 끝난 요소는 보고', () => {
+  const issues = parseErrorIssues(page('<svg viewBox="0 0 24 24"><g><rect width="1" height="1"></svg>'));
+  assert.deepStrictEqual(issues.map(issue => issue.rule), ['닫히지 않은 요소', '닫히지 않은 요소']);
+});
+
+test('HTML 요소를 />로 닫으면 계속 보고', () => {
+  const issues = parseErrorIssues(page('<div/><p>내용</p>'));
+  assert.ok(issues.some(issue => issue.errorCode === 'non-void-html-element-start-tag-with-trailing-solidus'));
+});
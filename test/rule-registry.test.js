@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+const { RuleRegistry, RuleConfigError } = require('../netlify/functions/lib/rule-registry');
+
+const logoRule = {
+  id: 'company-logo-alt',
+  wcag: ['1.1.1'],
+  severity: 'warning',
+  penalty: 3,
+  defaultOptions: { selector: '.logo img' },
+  check(context, options) {
+    context.$(options.selector).each((i, el) => {
+      if (context.$(el).attr('alt') !== '회사') {
+        context.report({ rule: '로고 대체 텍스트', description: '회사 이름이 아닙니다.', element: context.describeElement(el), node: el });
+      }
+    });
+  }
+};
+
+const html = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title></head>' +
+  '<body><main><h1>제목</h1><div class="logo"><img src="logo.png" alt="로고"></div></main></body></html>';
+
+test('등록한 규칙만 실행하고 요청 설정으로 심각도와 옵션을 변경', () => {
+  const registry = new RuleRegistry([logoRule]);
+  const analyze = (ruleConfig) => new HTMLAccessibilityAnalyzer(html, { registry, ruleConfig, groupIssues: false }).analyze();
+
+  const report = analyze();
+  assert.deepStrictEqual(report.appliedRules, ['company-logo-alt']);
+  assert.deepStrictEqual(report.warnings.map(issue => issue.ruleId), ['company-logo-alt']);
+
+  const overridden = analyze({ 'company-logo-alt': { severity: 'suggestion' } });
+  assert.deepStrictEqual(overridden.suggestions.map(issue => issue.ruleId), ['company-logo-alt']);
+
+  assert.deepStrictEqual(analyze({ 'company-logo-alt': { options: { selector: '.missing img' } } }).warnings, []);
+  assert.deepStrictEqual(analyze({ 'company-logo-alt': false }).appliedRules, []);
+});
+
+test('규칙 오류는 분석을 중단하지 않고 ruleErrors로 보고', () => {
+  const registry = new RuleRegistry([logoRule, {
+    id: 'broken-rule', wcag: ['4.1.2'], severity: 'warning', check() { throw new Error('실패'); }
+  }]);
+  const report = new HTMLAccessibilityAnalyzer(html, { registry }).analyze();
+  assert.deepStrictEqual(report.ruleErrors, [{ ruleId: 'broken-rule', message: '실패' }]);
+  assert.ok(report.appliedRules.includes('company-logo-alt'));
+});
+
+test('잘못된 규칙 모듈과 설정은 RuleConfigError', () => {
+  const registry = new RuleRegistry([logoRule]);
+  assert.throws(() => registry.register(logoRule), RuleConfigError);
+  assert.throws(() => registry.register({ ...logoRule, id: 'no-criteria', wcag: [] }), RuleConfigError);
+  assert.throws(() => registry.register({ ...logoRule, id: 'bad-criterion', wcag: ['9.9.9'] }), RuleConfigError);
+  assert.throws(() => registry.register({ ...logoRule, id: 'bad-flag', heuristic: 'yes' }), RuleConfigError);
+  assert.doesNotThrow(() => registry.register({ ...logoRule, id: 'best-practice', wcag: [], bestPractice: true }));
+  assert.throws(() => registry.resolve({ 'unknown-rule': true }), RuleConfigError);
+  assert.throws(() => registry.resolve({ 'company-logo-alt': { severity: 'fatal' } }), RuleConfigError);
+});
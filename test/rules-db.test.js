@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLAccessibilityAnalyzer, handler } = require('../netlify/functions/analyze-html');
+const { loadRules, RulesValidationError } = require('../netlify/functions/lib/rules-db');
+
+const page = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title></head>' +
+  '<body><main><h1>제목</h1><p style="color: #999; background: #fff">본문</p></main></body></html>';
+
+test('요청 단위로 이슈 분류를 바꿔 목표 수준 판정을 통과시킬 수 없음', () => {
+  const override = {
+    analysis_criteria: {
+      critical_issues: [],
+      optimization_suggestions: ['color_contrast_failure']
+    }
+  };
+  assert.throws(() => loadRules(override), RulesValidationError);
+
+  // 기본 분류에서는 대비 부족으로 AA 미달
+  const report = new HTMLAccessibilityAnalyzer(page).analyze();
+  assert.strictEqual(report.summary.target.met, false);
+  assert.ok(report.summary.target.failedCriteria.includes('1.4.3'));
+});
+
+test('요청 단위로 심각도 가중치를 0으로 바꿔 점수를 올릴 수 없음', async () => {
+  const override = { scoring: { severity_weights: { critical: 0, warning: 0, suggestion: 0 } } };
+  assert.throws(() => loadRules(override), RulesValidationError);
+
+  const response = await handler({ httpMethod: 'POST', body: JSON.stringify({ html: page, rulesData: override }) });
+  assert.strictEqual(response.statusCode, 400);
+  assert.match(JSON.parse(response.body).message, /scoring/);
+});
+
+test('기준을 강화하는 요청 단위 규칙은 적용', () => {
+  const rules = loadRules({ color_contrast: { normal_text: { aa: 5.0 } } });
+  assert.strictEqual(rules.colorContrast.normalText.aa, 5.0);
+  assert.throws(() => loadRules({ color_contrast: { normal_text: { aa: 3.0 } } }), RulesValidationError);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+const { loadRules } = require('../netlify/functions/lib/rules-db');
+const { calculateScore } = require('../netlify/functions/lib/scoring');
+
+const config = loadRules().scoring;
+const rule = (id, penalty) => ({ id, penalty });
+const issue = (criterion) => ({ wcag: { criterion, level: 'A' } });
+
+test('같은 요소·같은 성공 기준의 이슈는 감점이 가장 큰 하나만 반영', () => {
+  const img = {};
+  const { deductions } = calculateScore([
+    { issue: issue('1.1.1'), severity: 'warning', rule: rule('small-rule', 2), node: img },
+    { issue: issue('1.1.1'), severity: 'critical', rule: rule('large-rule', 10), node: img }
+  ], { config, elementCount: 10 });
+
+  assert.deepStrictEqual(deductions.map(deduction => [deduction.ruleId, deduction.occurrences]), [['large-rule', 1]]);
+});
+
+test('요소나 성공 기준이 다르면 각각 감점', () => {
+  const first = {};
+  const second = {};
+  const { deductions } = calculateScore([
+    { issue: issue('1.1.1'), severity: 'critical', rule: rule('a-rule', 5), node: first },
+    { issue: issue('1.1.1'), severity: 'critical', rule: rule('a-rule', 5), node: second },
+    { issue: issue('4.1.2'), severity: 'critical', rule: rule('b-rule', 5), node: first },
+    { issue: issue('4.1.2'), severity: 'critical', rule: rule('c-rule', 5) }
+  ], { config, elementCount: 10 });
+
+  assert.deepStrictEqual(deductions.map(deduction => [deduction.ruleId, deduction.occurrences]).sort(),
+    [['a-rule', 2], ['b-rule', 1], ['c-rule', 1]]);
+});
+
+test('대체 텍스트 누락은 한 번만 감점', () => {
+  const html = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title></head>' +
+    '<body><main><h1>제목</h1><img src="photo.png"></main></body></html>';
+  const report = new HTMLAccessibilityAnalyzer(html).analyze();
+
+  assert.deepStrictEqual(report.summary.scoring.deductions.map(deduction => deduction.ruleId), ['image-alt']);
+  assert.ok(![...report.critical, ...report.warnings, ...report.suggestions].some(item => item.ruleId === 'required-attributes'));
+});
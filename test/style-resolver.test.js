@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+const { StyleResolver } = require('../netlify/functions/lib/style-resolver');
+
+function resolve(css, body) {
+  const $ = cheerio.load(`<html><head><style>${css}</style></head><body>${body}</body></html>`);
+  return { $, styles: new StyleResolver($) };
+}
+
+test('루트 font-size의 rem은 브라우저 기본 크기 기준', () => {
+  const { $, styles } = resolve('html { font-size: 1.25rem; line-height: 2rem; } p { font-size: 1rem; }', '<p>본문</p>');
+  assert.strictEqual(styles.getComputedStyle($('html')[0])['font-size'], '20px');
+  assert.strictEqual(styles.getComputedStyle($('p')[0])['font-size'], '20px');
+});
+
+test('루트 font-size가 rem이어도 규칙 오류 없이 분석', () => {
+  const html = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title><style>html { font-size: 1.25rem; } p { font-size: 0.5rem; }</style></head>' +
+    '<body><main><h1>제목</h1><p>본문</p></main></body></html>';
+  const report = new HTMLAccessibilityAnalyzer(html).analyze();
+  assert.deepStrictEqual(report.ruleErrors || [], []);
+});
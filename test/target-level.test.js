@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLAccessibilityAnalyzer } = require('../netlify/functions/analyze-html');
+
+const html = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title></head><body><main><h1>제목</h1>' +
+  '<p><a href="https://example.com" target="_blank">예제 사이트</a></p></main></body></html>';
+
+function analyze(target) {
+  const report = new HTMLAccessibilityAnalyzer(html, { target }).analyze();
+  const issues = [...report.critical, ...report.warnings, ...report.suggestions];
+  return { report, newWindow: issues.filter(issue => issue.ruleId === 'link-new-window') };
+}
+
+test('새 창 안내 검사는 AA 목표에서도 권장 사항으로 실행', () => {
+  const { report, newWindow } = analyze('AA');
+  assert.strictEqual(newWindow.length, 1);
+  assert.strictEqual(newWindow[0].bestPractice, true);
+  assert.ok(report.appliedRules.includes('link-new-window'));
+  assert.strictEqual(report.summary.byCriterion['3.2.5'], undefined);
+  assert.strictEqual(report.summary.target.met, true);
+});
+
+test('AAA 목표에서는 3.2.5 성공 기준으로 판정', () => {
+  const { report, newWindow } = analyze('AAA');
+  assert.strictEqual(newWindow.length, 1);
+  assert.strictEqual(newWindow[0].bestPractice, undefined);
+  assert.strictEqual(report.summary.byCriterion['3.2.5'].issueCount, 1);
+});
+
+test('권장 터치 대상 크기(2.5.5)는 AAA 목표에서만 보고', () => {
+  const page = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title>' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+    '<style>.icon { width: 30px; height: 30px; }</style></head>' +
+    '<body><main><h1>제목</h1><button type="button" class="icon" aria-label="닫기">×</button></main></body></html>';
+  const targetSize = (target) => {
+    const report = new HTMLAccessibilityAnalyzer(page, { target, profile: 'mobile' }).analyze();
+    return [...report.critical, ...report.warnings, ...report.suggestions].filter(issue => issue.ruleId === 'target-size');
+  };
+
+  assert.deepStrictEqual(targetSize('AA'), []);
+  assert.deepStrictEqual(targetSize('AAA').map(issue => issue.wcag.criterion), ['2.5.5']);
+});
+
+test('성공 기준 위반이 아닌 필수 속성 누락은 권장 사항으로만 보고', () => {
+  const page = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title></head><body><main><h1>제목</h1>' +
+    '<form><label>이메일 <input type="email" name="email" autocomplete="email"></label><button>구독</button></form></main></body></html>';
+  const report = new HTMLAccessibilityAnalyzer(page, { target: 'AA', groupIssues: false }).analyze();
+  const required = report.suggestions.filter(issue => issue.ruleId === 'required-attributes');
+
+  assert.deepStrictEqual(required.map(issue => issue.description).sort(), [
+    'action 속성이 누락되었습니다.', 'for 속성이 누락되었습니다.', 'id 속성이 누락되었습니다.',
+    'method 속성이 누락되었습니다.', 'type 속성이 누락되었습니다.'
+  ]);
+  assert.ok(required.every(issue => issue.wcag === null && issue.bestPractice === true));
+  assert.ok(![...report.critical, ...report.warnings].some(issue => issue.ruleId === 'required-attributes'));
+  assert.strictEqual(report.summary.target.met, true);
+});
+
+test('좁게 지정한 줄 간격·자간은 권장 사항이고 1.4.12 판정에 반영하지 않음', () => {
+  const page = '<!DOCTYPE html><html lang="ko"><head><title>테스트</title>' +
+    '<style>p { line-height: 1.2; letter-spacing: 0; }</style></head>' +
+    '<body><main><h1>제목</h1><p>본문</p></main></body></html>';
+  const report = new HTMLAccessibilityAnalyzer(page, { target: 'AA', groupIssues: false }).analyze();
+  const spacing = report.suggestions.filter(issue => ['line-height', 'text-spacing'].includes(issue.ruleId));
+
+  assert.deepStrictEqual(spacing.map(issue => issue.ruleId).sort(), ['line-height', 'text-spacing']);
+  assert.ok(spacing.every(issue => issue.wcag === null && issue.bestPractice === true));
+  assert.strictEqual(report.summary.byCriterion['1.4.12'].status, 'pass');
+  assert.strictEqual(report.summary.target.met, true);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { ZipError, normalizeEntryPath, readZip } = require('../netlify/functions/lib/zip');
+
+// 테스트용 ZIP 작성 (CRC는 읽을 때 확인하지 않으므로 0)
+// entries: [{ name, content, method = 8, size }] (size로 중앙 디렉터리의 원래 크기를 바꿀 수 있음)
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content = '', method = 8, size }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const raw = Buffer.from(content);
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size === undefined ? raw.length : size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+test('저장·deflate 항목을 경로별로 읽음', () => {
+  const files = readZip(createZip([
+    { name: 'site/index.html', content: '<h1>홈</h1>' },
+    { name: 'site/css/site.css', content: 'body { color: #333; }', method: 0 },
+    { name: 'site/', content: '', method: 0 },
+    { name: '__MACOSX/site/._index.html', content: 'x' },
+    { name: 'site/.DS_Store', content: 'x' }
+  ]));
+
+  assert.deepStrictEqual(Array.from(files.keys()), ['site/index.html', 'site/css/site.css']);
+  assert.strictEqual(files.get('site/index.html').toString('utf8'), '<h1>홈</h1>');
+  assert.strictEqual(files.get('site/css/site.css').toString('utf8'), 'body { color: #333; }');
+});
+
+test('압축 파일 밖을 가리키는 .. 항목은 제외', () => {
+  assert.strictEqual(normalizeEntryPath('../evil.html'), null);
+  assert.strictEqual(normalizeEntryPath('a/../../evil.html'), null);
+  assert.strictEqual(normalizeEntryPath('a/./b/../index.html'), 'a/index.html');
+  assert.strictEqual(normalizeEntryPath('a\\b\\index.html'), 'a/b/index.html');
+
+  const files = readZip(createZip([
+    { name: '../evil.html', content: 'evil' },
+    { name: 'pages/../../../etc/passwd', content: 'evil' },
+    { name: 'pages/../index.html', content: 'ok' }
+  ]));
+  assert.deepStrictEqual(Array.from(files.keys()), ['index.html']);
+});
+
+test('압축을 푼 전체 크기와 항목 수 제한', () => {
+  const archive = createZip([
+    { name: 'a.html', content: 'a'.repeat(600) },
+    { name: 'b.html', content: 'b'.repeat(600) }
+  ]);
+
+  assert.throws(() => readZip(archive, { maxTotalSize: 1000 }), ZipError);
+  assert.throws(() => readZip(archive, { maxEntries: 1 }), ZipError);
+  assert.strictEqual(readZip(archive, { maxTotalSize: 1200 }).size, 2);
+});
+
+test('중앙 디렉터리의 크기보다 크게 풀리는 항목은 거부', () => {
+  const archive = createZip([{ name: 'bomb.html', content: '0'.repeat(100000), size: 100 }]);
+  assert.throws(() => readZip(archive), ZipError);
+});
+
+test('ZIP이 아니거나 지원하지 않는 압축 방식이면 ZipError', () => {
+  assert.throws(() => readZip(Buffer.from('hello')), ZipError);
+  assert.throws(() => readZip(Buffer.alloc(100)), ZipError);
+  assert.throws(() => readZip(createZip([{ name: 'a.html', content: 'a', method: 12 }])), ZipError);
+});